@@ -0,0 +1,123 @@
+// acceptance_checks.js - Acceptance checks a delegated task must pass before its TASK_COMPLETE is accepted
+
+import fs from 'fs/promises';
+import { resolveWorkspacePath, pathExists, waitForFileOperations } from './file_system_utils.js';
+import { executeCommand, formatCommandResult } from './command_executor.js';
+import { checkCommand } from './command_policy.js';
+
+/*
+ * A task may carry checks, given by the SuperAgent on DELEGATE_TASK / ADD_TASK
+ * (check_files, check_command, check_match_file + check_match_pattern) or in a task line
+ * (| check files: ... | check command: ... | check match: /file ~ regex):
+ *   { files: ['/index.html'], command: 'node test.js', match: { file: '/app.js', pattern: 'export function' } }
+ * Every part is optional. The checks run after the specialist's file operations, when it
+ * reports TASK_COMPLETE: each file must exist, the command must exit 0 and the regular
+ * expression must match the file's content.
+ */
+
+/**
+ * Build and validate acceptance checks from the values the SuperAgent wrote
+ * @param {Object} values - { files (comma-separated), command, matchFile, matchPattern }
+ * @returns {Object} - { checks (null when there are none), error }
+ */
+function buildAcceptanceChecks({ files = '', command = '', matchFile = '', matchPattern = '' } = {}) {
+    const fileList = String(files ?? '').split(',').map(file => file.trim()).filter(Boolean);
+    const commandText = String(command ?? '').trim();
+    const file = String(matchFile ?? '').trim();
+    const pattern = String(matchPattern ?? '').trim();
+
+    if (!file !== !pattern) return { checks: null, error: 'A match check needs both a file and a pattern.' };
+    for (const checkedFile of [...fileList, file].filter(Boolean)) {
+        if (resolveWorkspacePath(checkedFile).error) return { checks: null, error: `Check path "${checkedFile}" is not a workspace path.` };
+    }
+    if (commandText) {
+        // A command the policy denies would fail every TASK_COMPLETE
+        const decision = checkCommand(commandText);
+        if (!decision.allowed) return { checks: null, error: `Check command "${commandText}" is denied by the command policy: ${decision.reason}` };
+    }
+    if (pattern) {
+        try {
+            new RegExp(pattern, 'm');
+        } catch (err) {
+            return { checks: null, error: `Check pattern "${pattern}" is not a valid regular expression: ${err.message}` };
+        }
+    }
+    if (fileList.length === 0 && !commandText && !file) return { checks: null, error: null };
+    return {
+        checks: { files: fileList, command: commandText || null, match: file ? { file, pattern } : null },
+        error: null
+    };
+}
+
+/**
+ * Describe acceptance checks in one line, for prompts and logs
+ * @param {Object} checks - The checks
+ * @returns {string} - e.g. 'files exist: /index.html; `node test.js` exits 0; /app.js matches /export/'
+ */
+function formatAcceptanceChecks(checks) {
+    const parts = [];
+    if (checks.files.length > 0) parts.push(`files exist: ${checks.files.join(', ')}`);
+    if (checks.command) parts.push(`\`${checks.command}\` exits 0`);
+    if (checks.match) parts.push(`${checks.match.file} matches /${checks.match.pattern}/`);
+    return parts.join('; ');
+}
+
+/**
+ * Run acceptance checks against the workspace, after pending file operations finished
+ * @param {Object} checks - The checks
+ * @returns {Promise<Object>} - { passed, results: [{ check, passed, output }] }
+ */
+async function runAcceptanceChecks(checks) {
+    await waitForFileOperations();
+    const results = [];
+
+    for (const file of checks.files) {
+        const { absolutePath, error } = resolveWorkspacePath(file);
+        const exists = !error && await pathExists(absolutePath);
+        results.push({ check: `file exists: ${file}`, passed: exists, output: exists ? '' : `${file} does not exist.` });
+    }
+
+    if (checks.command) {
+        const result = await executeCommand(checks.command);
+        results.push({
+            check: `\`${checks.command}\` exits 0`,
+            passed: result.exitCode === 0,
+            output: result.exitCode === 0 ? '' : formatCommandResult(result)
+        });
+    }
+
+    if (checks.match) {
+        const { file, pattern } = checks.match;
+        const { absolutePath, error } = resolveWorkspacePath(file);
+        let output = '';
+        try {
+            const content = error ? null : await fs.readFile(absolutePath, 'utf-8');
+            if (content === null) output = `${file} is not a workspace path.`;
+            else if (!new RegExp(pattern, 'm').test(content)) output = `${file} does not match /${pattern}/.`;
+        } catch (err) {
+            output = `${file} could not be read: ${err.code === 'ENOENT' ? 'it does not exist' : err.message}.`;
+        }
+        results.push({ check: `${file} matches /${pattern}/`, passed: !output, output });
+    }
+
+    return { passed: results.every(result => result.passed), results };
+}
+
+/**
+ * Describe the failed checks for the specialist that has to fix them
+ * @param {Array<Object>} results - The results of runAcceptanceChecks()
+ * @returns {string} - One line per failed check, with its output
+ */
+function formatCheckFailures(results) {
+    return results
+        .filter(result => !result.passed)
+        .map(result => `- ${result.check}: FAILED\n${result.output.trim().split('\n').map(line => `  ${line}`).join('\n')}`)
+        .join('\n');
+}
+
+export {
+    buildAcceptanceChecks,
+    formatAcceptanceChecks,
+    runAcceptanceChecks,
+    formatCheckFailures
+};
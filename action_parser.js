@@ -0,0 +1,365 @@
+// action_parser.js - Tokenizer and parser for the ACTION text protocol, with diagnostics
+
+import { getAction, getActions } from './action_registry.js';
+
+/*
+ * The action language, as documented in the agent instructions:
+ *   ACTION: NAME key="value" key='value' key=value ...
+ *   SYSTEM_ACTION: NAME key="value" ...
+ *   TASK_COMPLETE: <task description>
+ *   TASK_BLOCKED: <reason>
+ * Attributes may come in any order. Quoted values may contain escaped quotes (\" or \')
+ * and may span several lines. CREATE_FILE / MODIFY_FILE (full content), APPEND_FILE,
+ * APPLY_PATCH (unified diff) and EDIT_FILE (SEARCH/REPLACE blocks) take their content
+ * from the next fenced code block. A fenced block that is not file content but starts with an
+ * action is parsed as well, since models often wrap their action in a code block.
+ * The known actions, their required attributes and content come from action_registry.js.
+ *
+ * parseActionText() never throws: problems are returned as diagnostics
+ *   { code, severity: 'error' | 'warning', line, action, message }
+ * which are shown to the agent in its next prompt so it can correct itself.
+ */
+
+const STATEMENT_START_REGEX = /\b(SYSTEM_ACTION|ACTION|TASK_COMPLETE|TASK_BLOCKED)\s*:/g;
+const LINE_STARTS_STATEMENT_REGEX = /^[\s*`>-]*(?:SYSTEM_ACTION|ACTION|TASK_COMPLETE|TASK_BLOCKED)\s*:|^\s*```/;
+const FENCE = '```';
+
+/**
+ * Look up the grammar of an ACTION / SYSTEM_ACTION statement in the action registry
+ * @param {string} name - The action name
+ * @returns {Object|null} - The action definition ({ kind, required, content, ... }), or null if unknown
+ */
+function grammarFor(name) {
+    const action = getAction(name);
+    return action && action.kind !== 'TASK_STATUS' ? action : null;
+}
+
+/**
+ * Names of the actions that take their content from the next code block, for messages
+ * @returns {string} - e.g. "CREATE_FILE, MODIFY_FILE or EDIT_FILE"
+ */
+function contentActionNames() {
+    const names = getActions().filter(action => action.content && action.kind !== 'TASK_STATUS').map(action => action.name);
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names.join('');
+}
+
+/**
+ * Build a function mapping a character index to its 1-based line number
+ * @param {string} text - The source text
+ * @returns {Function} - (index) => line
+ */
+function createLineLocator(text) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+    return (index) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= index) low = mid; else high = mid - 1;
+        }
+        return low + 1;
+    };
+}
+
+/**
+ * Find the fenced code blocks (```lang\n...```) of a response
+ * @param {string} text - The response text
+ * @param {Function} lineOf - Line locator
+ * @param {Array<Object>} diagnostics - Diagnostics to append to
+ * @returns {Array<Object>} - [{ start, end, contentStart, content }] in document order
+ */
+function findCodeBlocks(text, lineOf, diagnostics) {
+    const blocks = [];
+    let searchFrom = 0;
+    while (true) {
+        const open = text.indexOf(FENCE, searchFrom);
+        if (open === -1) break;
+        // An optional language tag directly after the opening fence is not content
+        const header = text.slice(open + FENCE.length).match(/^[\w+#.-]*\n/);
+        const contentStart = open + FENCE.length + (header ? header[0].length : 0);
+        const close = text.indexOf(FENCE, contentStart);
+        if (close === -1) {
+            diagnostics.push({
+                code: 'UNCLOSED_CODE_BLOCK',
+                severity: 'warning',
+                line: lineOf(open),
+                action: null,
+                message: 'Code block is never closed with ```; using everything up to the end of the response as its content.'
+            });
+            blocks.push({ start: open, end: text.length, contentStart, content: text.slice(contentStart) });
+            break;
+        }
+        blocks.push({ start: open, end: close + FENCE.length, contentStart, content: text.slice(contentStart, close) });
+        searchFrom = close + FENCE.length;
+    }
+    return blocks;
+}
+
+/**
+ * Read a quoted attribute value starting at an opening quote
+ * @param {string} text - The source text
+ * @param {number} start - Index of the opening quote
+ * @param {number} limit - Index the value may not reach (next code block)
+ * @returns {Object} - { value, end, closed }
+ */
+function readQuotedValue(text, start, limit) {
+    const quote = text[start];
+    let value = '';
+    let i = start + 1;
+    while (i < limit) {
+        const char = text[i];
+        if (char === '\\' && (text[i + 1] === quote || text[i + 1] === '\\')) {
+            value += text[i + 1];
+            i += 2;
+            continue;
+        }
+        if (char === quote) return { value, end: i + 1, closed: true };
+        // A value may span lines, but never into the next statement or code block
+        if (char === '\n' && LINE_STARTS_STATEMENT_REGEX.test(text.slice(i + 1, Math.min(limit, i + 200)))) break;
+        value += char;
+        i++;
+    }
+    // Unclosed: recover with the rest of the opening line
+    const lineEnd = text.indexOf('\n', start);
+    const end = lineEnd === -1 || lineEnd > limit ? limit : lineEnd;
+    return { value: text.slice(start + 1, end).replace(/[`\s]+$/, ''), end, closed: false };
+}
+
+/**
+ * Read the key=value attributes following an action name
+ * @param {string} text - The source text
+ * @param {number} start - Index right after the action name
+ * @param {number} limit - Index the attributes may not reach
+ * @param {Object} context - { lineOf, diagnostics, action } for reporting problems
+ * @returns {Object} - { attributes, end }
+ */
+function readAttributes(text, start, limit, { lineOf, diagnostics, action }) {
+    const attributes = {};
+    const attributeRegex = /[ \t]*([A-Za-z_][\w-]*)[ \t]*=[ \t]*/y;
+    let i = start;
+    while (i < limit) {
+        attributeRegex.lastIndex = i;
+        const match = attributeRegex.exec(text);
+        if (!match) break;
+        const key = match[1].toLowerCase();
+        const valueStart = match.index + match[0].length;
+        let value;
+        let closed = true;
+        if (text[valueStart] === '"' || text[valueStart] === "'") {
+            const quoted = readQuotedValue(text, valueStart, limit);
+            if (!quoted.closed) {
+                diagnostics.push({
+                    code: 'UNCLOSED_QUOTE',
+                    severity: 'error',
+                    line: lineOf(valueStart),
+                    action,
+                    message: `Value of "${key}" opens with ${text[valueStart]} but is never closed. Close every quoted value and escape quotes inside it as \\${text[valueStart]}.`
+                });
+            }
+            ({ value, closed } = quoted);
+            i = quoted.end;
+        } else {
+            value = text.slice(valueStart, limit).match(/^[^\s`]*/)[0];
+            i = valueStart + value.length;
+        }
+        // The first occurrence wins, as with the old regex parser
+        if (!(key in attributes)) attributes[key] = value;
+        if (!closed) break;
+    }
+    return { attributes, end: i };
+}
+
+/**
+ * Parse the statements of one region of text (outside of code blocks)
+ * @param {string} text - The full source text
+ * @param {number} from - Region start
+ * @param {number} to - Region end
+ * @param {Object} context - { lineOf, diagnostics }
+ * @returns {Array<Object>} - Raw statements { prefix, name, attributes, text, index, end, line }
+ */
+function readStatements(text, from, to, { lineOf, diagnostics }) {
+    const statements = [];
+    const region = text.slice(0, to);
+    STATEMENT_START_REGEX.lastIndex = from;
+    let match;
+    while ((match = STATEMENT_START_REGEX.exec(region)) !== null) {
+        const prefix = match[1].toUpperCase();
+        const afterPrefix = match.index + match[0].length;
+
+        if (prefix === 'TASK_COMPLETE' || prefix === 'TASK_BLOCKED') {
+            const lineEnd = region.indexOf('\n', afterPrefix);
+            const end = lineEnd === -1 ? to : lineEnd;
+            statements.push({
+                prefix,
+                name: prefix,
+                attributes: {},
+                text: region.slice(afterPrefix, end).trim().replace(/^[`"']+|[`"']+$/g, '').trim(),
+                index: match.index,
+                end,
+                line: lineOf(match.index)
+            });
+            STATEMENT_START_REGEX.lastIndex = end;
+            continue;
+        }
+
+        const nameMatch = region.slice(afterPrefix).match(/^[ \t]*([A-Za-z_]\w*)/);
+        if (!nameMatch) {
+            diagnostics.push({
+                code: 'UNKNOWN_ACTION',
+                severity: 'error',
+                line: lineOf(match.index),
+                action: null,
+                message: `${prefix}: is not followed by an action name.`
+            });
+            continue;
+        }
+        const name = nameMatch[1].toUpperCase();
+        const nameEnd = afterPrefix + nameMatch[0].length;
+        const { attributes, end } = readAttributes(region, nameEnd, to, { lineOf, diagnostics, action: name });
+        statements.push({ prefix, name, attributes, text: null, index: match.index, end, line: lineOf(match.index) });
+        STATEMENT_START_REGEX.lastIndex = Math.max(end, nameEnd);
+    }
+    return statements;
+}
+
+/**
+ * Check a raw statement against the grammar
+ * @param {Object} statement - The raw statement
+ * @param {Array<Object>} diagnostics - Diagnostics to append to
+ * @returns {boolean} - Whether the statement is usable
+ */
+function validateStatement(statement, diagnostics) {
+    if (statement.prefix === 'TASK_COMPLETE' || statement.prefix === 'TASK_BLOCKED') return true;
+
+    const grammar = grammarFor(statement.name);
+    if (!grammar) {
+        diagnostics.push({
+            code: 'UNKNOWN_ACTION',
+            severity: 'error',
+            line: statement.line,
+            action: statement.name,
+            message: `Unknown action "${statement.name}". Known actions: ${getActions().filter(action => action.kind !== 'TASK_STATUS').map(action => action.name).join(', ')}.`
+        });
+        return false;
+    }
+    if (grammar.kind !== statement.prefix) {
+        diagnostics.push({
+            code: 'WRONG_PREFIX',
+            severity: 'warning',
+            line: statement.line,
+            action: statement.name,
+            message: `${statement.name} is a ${grammar.kind}; write it as "${grammar.kind}: ${statement.name} ...".`
+        });
+    }
+    const missing = grammar.required.filter(key => !(key in statement.attributes) || statement.attributes[key].trim() === '');
+    if (missing.length > 0) {
+        diagnostics.push({
+            code: 'MISSING_ATTRIBUTE',
+            severity: 'error',
+            line: statement.line,
+            action: statement.name,
+            message: `${statement.name} is missing required attribute${missing.length > 1 ? 's' : ''} ${missing.map(key => `${key}="..."`).join(', ')}.`
+        });
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Parse an agent response into action statements and diagnostics
+ * @param {string} text - The AI response text
+ * @returns {Object} - { statements: [{ kind, name, attributes, content, text, line }], diagnostics }
+ */
+function parseActionText(text) {
+    const source = typeof text === 'string' ? text : '';
+    const diagnostics = [];
+    const lineOf = createLineLocator(source);
+    const blocks = findCodeBlocks(source, lineOf, diagnostics);
+    const context = { lineOf, diagnostics };
+
+    // Walk the text in document order: prose regions between code blocks, then each block
+    const statements = [];
+    const awaitingContent = []; // File actions waiting for the next code block
+    const accept = (raw) => {
+        if (!validateStatement(raw, diagnostics)) return;
+        const grammar = grammarFor(raw.name);
+        const statement = {
+            kind: grammar ? grammar.kind : raw.prefix,
+            name: raw.name,
+            attributes: raw.attributes,
+            content: null,
+            text: raw.text,
+            line: raw.line
+        };
+        statements.push(statement);
+        if (grammar?.content) awaitingContent.push(statement);
+    };
+
+    let position = 0;
+    for (const block of blocks) {
+        readStatements(source, position, block.start, context).forEach(accept);
+        position = block.end;
+
+        if (awaitingContent.length > 0) {
+            awaitingContent.shift().content = block.content;
+        } else if (LINE_STARTS_STATEMENT_REGEX.test(block.content.replace(/^\s*\n/, ''))) {
+            // An action wrapped in a code block
+            readStatements(source, block.contentStart, block.contentStart + block.content.length, context).forEach(accept);
+        } else {
+            diagnostics.push({
+                code: 'ORPHAN_CODE_BLOCK',
+                severity: 'warning',
+                line: lineOf(block.start),
+                action: null,
+                message: `Code block is not preceded by a ${contentActionNames()} action, so it was ignored. Put "ACTION: CREATE_FILE path=\\"...\\"" on the line before it.`
+            });
+        }
+    }
+    readStatements(source, position, source.length, context).forEach(accept);
+
+    for (const statement of statements.filter(s => grammarFor(s.name)?.content)) {
+        const required = grammarFor(statement.name).content === 'required';
+        const target = statement.attributes.path !== undefined ? `${statement.name} path="${statement.attributes.path}"` : statement.name;
+        if (statement.content === null) {
+            diagnostics.push({
+                code: 'MISSING_CONTENT',
+                severity: required ? 'error' : 'warning',
+                line: statement.line,
+                action: statement.name,
+                message: required
+                    ? `${target} has no code block with its content after it, so it was skipped.`
+                    : `${target} has no code block after it; an empty file was created.`
+            });
+        } else if (required && statement.content.trim() === '') {
+            diagnostics.push({
+                code: 'MISSING_CONTENT',
+                severity: 'error',
+                line: statement.line,
+                action: statement.name,
+                message: `${target} has an empty code block, so it was skipped.`
+            });
+        }
+    }
+
+    diagnostics.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+    return { statements, diagnostics };
+}
+
+/**
+ * Format diagnostics as feedback for the agent's next prompt
+ * @param {Array<Object>} diagnostics - Diagnostics from parseActionText()
+ * @returns {string} - One line per diagnostic
+ */
+function formatDiagnostics(diagnostics) {
+    return diagnostics
+        .map(d => `- ${d.severity === 'error' ? 'ERROR' : 'WARNING'} (${d.line ? `line ${d.line}, ` : ''}${d.code}): ${d.message}`)
+        .join('\n');
+}
+
+export {
+    parseActionText,
+    formatDiagnostics
+};
@@ -1,105 +1,327 @@
 // action_processor.js - Parse responses from AI agents and extract structured actions
 
+import { parseActionText } from './action_parser.js';
+import { getAction, isActionAllowed, ACTION_CATEGORIES } from './action_registry.js';
+
+/*
+ * Actions are dispatched on their registry entry (action_registry.js): plugin actions by
+ * their handler, SYSTEM_ACTIONs by the attribute `param` names, and built-in ACTIONs by
+ * their `category`, which names the builder below and the list of the output they go into
+ * (category 'file' -> fileActions). Text statements and native tool calls take the same path.
+ */
+
+/**
+ * Convert an attribute or tool call argument to trimmed text
+ * @param {*} value - The value
+ * @returns {string} - The text ('' for undefined or null)
+ */
+function text(value) {
+    return (value === undefined || value === null ? '' : String(value)).trim();
+}
+
+/**
+ * Build a command execution action from its attributes (or tool call arguments)
+ * @param {string} type - The action name
+ * @param {Object} values - { command, timeout (seconds, optional) }
+ * @returns {Object} - { type, command, timeoutMs (null for the configured default) }
+ */
+function commandActionFrom(type, values) {
+    const seconds = parseFloat(values.timeout);
+    return {
+        type,
+        command: text(values.command),
+        timeoutMs: seconds > 0 ? Math.round(seconds * 1000) : null
+    };
+}
+
+/**
+ * Collect the acceptance check attributes of DELEGATE_TASK / ADD_TASK (see acceptance_checks.js)
+ * @param {Object} values - The attributes (or tool call arguments)
+ * @returns {Object} - { files, command, matchFile, matchPattern }, empty strings when not given
+ */
+function checkValuesFrom(values) {
+    return {
+        files: text(values.check_files),
+        command: text(values.check_command),
+        matchFile: text(values.check_match_file),
+        matchPattern: text(values.check_match_pattern)
+    };
+}
+
+/**
+ * Build a file operation from its attributes (or tool call arguments)
+ * @param {string} type - The file action name
+ * @param {Object} values - The attributes, e.g. { path } or { from, to }
+ * @param {string|null} content - The content for actions that carry one
+ * @returns {Object} - { type, path, content } plus destination (MOVE_PATH/COPY_PATH) or recursive (DELETE_DIRECTORY)
+ */
+function fileActionFrom(type, values, content) {
+    switch (type) {
+        case 'MOVE_PATH':
+        case 'COPY_PATH':
+            return { type, path: text(values.from), destination: text(values.to), content: null };
+        case 'DELETE_DIRECTORY':
+            return { type, path: text(values.path), recursive: text(values.recursive).toLowerCase() === 'true', content: null };
+        case 'CREATE_DIRECTORY':
+        case 'DELETE_FILE':
+            return { type, path: text(values.path), content: null };
+        default:
+            return { type, path: text(values.path), content: content === undefined || content === null ? '' : String(content) };
+    }
+}
+
+/**
+ * Build a bug operation from its attributes (or tool call arguments)
+ * @param {string} type - The bug action name
+ * @param {Object} values - The attributes
+ * @returns {Object} - { type, id, ... } with the fields of that action
+ */
+function bugActionFrom(type, values) {
+    switch (type) {
+        case 'REPORT_BUG':
+            return { type, description: text(values.description), severity: text(values.severity), files: text(values.files) };
+        case 'VERIFY_BUG':
+            return { type, id: text(values.id), status: text(values.status), comment: text(values.comment) };
+        case 'FIX_BUG':
+            return { type, id: text(values.id), comment: text(values.comment), files: text(values.files) };
+        case 'ASSIGN_BUG':
+            return { type, id: text(values.id), role: text(values.role), comment: text(values.comment) };
+        default: // CLOSE_BUG
+            return { type, id: text(values.id), comment: text(values.comment) };
+    }
+}
+
+/**
+ * Build a backlog operation from its attributes (or tool call arguments)
+ * @param {string} type - The backlog action name
+ * @param {Object} values - The attributes
+ * @param {string|null} content - The task lines (PLAN / SPLIT_TASK)
+ * @returns {Object} - { type, ... } with the fields of that action
+ */
+function planActionFrom(type, values, content = null) {
+    switch (type) {
+        case 'PLAN':
+            return { type, content: content ?? '' };
+        case 'ADD_TASK':
+            return {
+                type, role: text(values.role), description: text(values.description), acceptance: text(values.acceptance),
+                after: text(values.after), before: text(values.before), checks: checkValuesFrom(values)
+            };
+        case 'SPLIT_TASK':
+            return { type, id: text(values.id), content: content ?? '' };
+        case 'REORDER_TASKS':
+            return { type, order: text(values.order) };
+        case 'CANCEL_TASK':
+            return { type, id: text(values.id), reason: text(values.reason) };
+        default: // DELEGATE_NEXT_TASK
+            return { type, id: text(values.id) || null };
+    }
+}
+
+// The builder of each action category: (name, values, content) => action
+const ACTION_BUILDERS = {
+    readFile: (type, values) => ({ type, path: text(values.path) }),
+    listDirectory: (type, values) => ({ type, path: text(values.path) }),
+    searchCode: (type, values) => ({ type, pattern: String(values.pattern), glob: text(values.glob) || null }),
+    findFiles: (type, values) => ({ type, glob: text(values.glob) }),
+    command: commandActionFrom,
+    delegateTask: (type, values) => ({ type, role: text(values.role), description: text(values.description), checks: checkValuesFrom(values) }),
+    plan: planActionFrom,
+    file: fileActionFrom,
+    bug: bugActionFrom
+};
+
+/**
+ * Create the empty result of processActions() / processToolCalls()
+ * @returns {Object} - { systemAction, <category>Actions..., pluginActions, taskStatus, diagnostics }
+ */
+function emptyActions() {
+    return {
+        systemAction: null,
+        ...Object.fromEntries(ACTION_CATEGORIES.map(category => [`${category}Actions`, []])),
+        pluginActions: [],
+        taskStatus: null,
+        diagnostics: []
+    };
+}
+
+/**
+ * Add one action (a parsed statement or a tool call) to the actions, as its registry entry says.
+ * Task status lines are handled by the callers.
+ * @param {Object} actions - The actions collected so far (see emptyActions)
+ * @param {Object} definition - The registry entry
+ * @param {Object} values - The attributes or tool call arguments
+ * @param {string|null} content - The code block or `content` argument
+ */
+function addAction(actions, definition, values, content) {
+    const { name } = definition;
+    // Actions that need content never run without it (the parser or processToolCalls reports why)
+    if (definition.content === 'required' && !text(content)) {
+        console.warn(`[DEBUG] No content for ${name}${values.path ? ` path="${values.path}"` : ''}, skipping`);
+        return;
+    }
+    if (definition.handler) {
+        actions.pluginActions.push({
+            name,
+            attributes: Object.fromEntries(Object.entries(values).map(([key, value]) => [key, text(value)])),
+            content: definition.content && content !== undefined && content !== null ? String(content) : null
+        });
+        return;
+    }
+    if (definition.kind === 'SYSTEM_ACTION') {
+        // One per response: the first one counts
+        if (!actions.systemAction) {
+            actions.systemAction = { type: 'SYSTEM_ACTION', action: name, paramKey: definition.param, paramValue: text(values[definition.param]) || undefined };
+        }
+        return;
+    }
+    const action = ACTION_BUILDERS[definition.category](name, values, content);
+    const list = actions[`${definition.category}Actions`];
+    if (definition.category === 'file' && !definition.sequential && list.some(existing => existing.type === name && existing.path === action.path)) {
+        console.log(`[DEBUG] Skipping duplicate ${name} action for path="${action.path}"`);
+        return;
+    }
+    list.push(action);
+}
+
+/**
+ * Find the first parsed statement with the given action name
+ * @param {Array<Object>} statements - Statements from parseActionText()
+ * @param {string} name - The action name
+ * @returns {Object|undefined} - The statement
+ */
+function findStatement(statements, name) {
+    return statements.find(statement => statement.name === name);
+}
+
+/**
+ * Check an action against the actions the agent's role may use
+ * @param {string} name - The action name
+ * @param {string|null} role - The agent role (null: no check)
+ * @param {number|null} line - Line of the action in the response
+ * @param {Array<Object>} diagnostics - Diagnostics to append a rejection to
+ * @returns {boolean} - Whether the action may run
+ */
+function checkActionRole(name, role, line, diagnostics) {
+    if (!role || !getAction(name) || isActionAllowed(name, role)) return true;
+    console.warn(`[SYSTEM] ${role} may not use ${name}, ignoring it`);
+    diagnostics.push({
+        code: 'NOT_ALLOWED',
+        severity: 'error',
+        line,
+        action: name,
+        message: `${name} is not available to the ${role} role, so it was ignored. Use only the actions listed in your instructions.`
+    });
+    return false;
+}
+
+/**
+ * Normalize a task description for comparison (case, whitespace, wrapping quotes, final period)
+ * @param {string} value - The text
+ * @returns {string} - The normalized text
+ */
+function normalizeTaskText(value) {
+    return value.toLowerCase().replace(/\s+/g, ' ').replace(/^["'`\s]+|["'`.\s]+$/g, '');
+}
+
+/**
+ * Build the task status from parsed statements
+ * @param {Array<Object>} statements - Statements from parseActionText()
+ * @param {string} taskDescription - The task description to check for completion
+ * @param {Array<Object>} diagnostics - Diagnostics to append problems to
+ * @returns {Object|null} - The task status or null if not found
+ */
+function taskStatusFrom(statements, taskDescription, diagnostics = []) {
+    const completion = findStatement(statements, 'TASK_COMPLETE');
+    if (completion) {
+        // The completion must name the assigned task, so a stale or copied marker is not taken as done
+        if (normalizeTaskText(completion.text).startsWith(normalizeTaskText(taskDescription))) {
+            return { type: 'TASK_COMPLETE', taskDescription };
+        }
+        diagnostics.push({
+            code: 'TASK_MISMATCH',
+            severity: 'error',
+            line: completion.line,
+            action: 'TASK_COMPLETE',
+            message: `TASK_COMPLETE must repeat the assigned task exactly: "TASK_COMPLETE: ${taskDescription}".`
+        });
+    }
+
+    const blocker = findStatement(statements, 'TASK_BLOCKED');
+    if (blocker) {
+        if (blocker.text) return { type: 'TASK_BLOCKED', reason: blocker.text, taskDescription };
+        diagnostics.push({
+            code: 'MISSING_ATTRIBUTE',
+            severity: 'error',
+            line: blocker.line,
+            action: 'TASK_BLOCKED',
+            message: 'TASK_BLOCKED needs a reason on the same line: "TASK_BLOCKED: <reason>".'
+        });
+    }
+    return null;
+}
+
 /**
  * Parse system actions from an AI response
  * @param {string} response - The AI response text
  * @returns {Object|null} - The parsed system action or null if none found
  */
 function parseSystemAction(response) {
-    const systemActionRegex = /SYSTEM_ACTION:\s*(\w+)\s*(?:(phase|status|reason|command)="([^"]+)")?/i;
-    const systemMatch = response.match(systemActionRegex);
-
-    if (systemMatch) {
-        const actionType = systemMatch[1].toUpperCase();
-        const paramKey = systemMatch[2];
-        const paramValue = systemMatch[3];
-        
-        return {
-            type: 'SYSTEM_ACTION',
-            action: actionType,
-            paramKey,
-            paramValue
-        };
-    }
-    
-    return null;
+    return processActions(response).systemAction;
 }
 
 /**
- * Parse directory listing action from an AI response
+ * Parse directory listing actions from an AI response
  * @param {string} response - The AI response text
- * @returns {Object|null} - The parsed directory listing action or null if none found
+ * @returns {Array<Object>} - The parsed directory listing actions, in order
  */
-function parseListDirectoryAction(response) {
-    const listDirRegex = /ACTION:\s*LIST_DIRECTORY\s+path="([^"]+)"/i;
-    const listDirMatch = response.match(listDirRegex);
-    
-    if (listDirMatch && listDirMatch[1]) {
-        return {
-            type: 'LIST_DIRECTORY',
-            path: listDirMatch[1].trim()
-        };
-    }
-    
-    return null;
+function parseListDirectoryActions(response) {
+    return processActions(response).listDirectoryActions;
 }
 
 /**
- * Parse file read action from an AI response
+ * Parse file read actions from an AI response
  * @param {string} response - The AI response text
- * @returns {Object|null} - The parsed file read action or null if none found
+ * @returns {Array<Object>} - The parsed file read actions, in order
  */
-function parseReadFileAction(response) {
-    const readFileRegex = /ACTION:\s*READ_FILE\s+path="([^"]+)"/i;
-    const readFileMatch = response.match(readFileRegex);
-    
-    if (readFileMatch && readFileMatch[1]) {
-        return {
-            type: 'READ_FILE',
-            path: readFileMatch[1].trim()
-        };
-    }
-    
-    return null;
+function parseReadFileActions(response) {
+    return processActions(response).readFileActions;
 }
 
 /**
- * Parse task delegation action from an AI response
+ * Parse code search actions from an AI response
  * @param {string} response - The AI response text
- * @returns {Object|null} - The parsed task delegation action or null if none found
+ * @returns {Array<Object>} - The parsed code search actions, in order
  */
-function parseDelegateTaskAction(response) {
-    const delegateTaskRegex = /ACTION:\s*DELEGATE_TASK\s+role="([^"]+)"\s+description="([^"]+)"/i;
-    const delegateMatch = response.match(delegateTaskRegex);
-    
-    if (delegateMatch && delegateMatch[1] && delegateMatch[2]) {
-        return {
-            type: 'DELEGATE_TASK',
-            role: delegateMatch[1].trim(),
-            description: delegateMatch[2].trim()
-        };
-    }
-    
-    return null;
+function parseSearchCodeActions(response) {
+    return processActions(response).searchCodeActions;
 }
 
 /**
- * Parse command execution action from an AI response
+ * Parse file name search actions from an AI response
  * @param {string} response - The AI response text
- * @returns {Object|null} - The parsed command execution action or null if none found
+ * @returns {Array<Object>} - The parsed file name search actions, in order
  */
-function parseCommandAction(response) {
-    const testCommandRegex = /ACTION:\s*RUN_TEST_COMMAND\s+command="([^"]+)"/i;
-    const testMatchCmd = response.match(testCommandRegex);
-    
-    if (testMatchCmd && testMatchCmd[1]) {
-        return {
-            type: 'RUN_TEST_COMMAND',
-            command: testMatchCmd[1].trim()
-        };
-    }
-    
-    return null;
+function parseFindFilesActions(response) {
+    return processActions(response).findFilesActions;
+}
+
+/**
+ * Parse task delegation actions from an AI response
+ * @param {string} response - The AI response text
+ * @returns {Array<Object>} - The parsed task delegation actions, in order
+ */
+function parseDelegateTaskActions(response) {
+    return processActions(response).delegateTaskActions;
+}
+
+/**
+ * Parse command execution actions from an AI response
+ * @param {string} response - The AI response text
+ * @returns {Array<Object>} - The parsed command execution actions, in order
+ */
+function parseCommandActions(response) {
+    return processActions(response).commandActions;
 }
 
 /**
@@ -108,129 +330,7 @@ function parseCommandAction(response) {
  * @returns {Array<Object>} - Array of parsed file operations
  */
 function parseFileActions(response) {
-    console.log(`[DEBUG] Parsing file actions from response (length: ${response.length})`);
-    const fileActions = [];
-    
-    // First, collect all action lines with their positions
-    const actionLines = [];
-    
-    // 1. Find all CREATE_FILE action lines
-    const createFileLineRegex = /ACTION:\s*(CREATE_FILE)\s+path="?((?:[^"\n]|\\")+)"?/gi;
-    let createLineMatch;
-    while ((createLineMatch = createFileLineRegex.exec(response)) !== null) {
-        actionLines.push({
-            type: 'CREATE_FILE',
-            path: createLineMatch[2].trim(),
-            index: createLineMatch.index,
-            endIndex: createLineMatch.index + createLineMatch[0].length
-        });
-    }
-    
-    // 2. Find all MODIFY_FILE action lines
-    const modifyFileLineRegex = /ACTION:\s*(MODIFY_FILE)\s+path="?((?:[^"\n]|\\")+)"?/gi;
-    let modifyLineMatch;
-    while ((modifyLineMatch = modifyFileLineRegex.exec(response)) !== null) {
-        actionLines.push({
-            type: 'MODIFY_FILE',
-            path: modifyLineMatch[2].trim(),
-            index: modifyLineMatch.index,
-            endIndex: modifyLineMatch.index + modifyLineMatch[0].length
-        });
-    }
-    
-    // 3. Find all CREATE_DIRECTORY action lines (no content block needed)
-    const createDirRegex = /ACTION:\s*(CREATE_DIRECTORY)\s+path="?((?:[^"\n]|\\")+)"?/gi;
-    let dirMatch;
-    while ((dirMatch = createDirRegex.exec(response)) !== null) {
-        actionLines.push({
-            type: 'CREATE_DIRECTORY',
-            path: dirMatch[2].trim(),
-            index: dirMatch.index,
-            endIndex: dirMatch.index + dirMatch[0].length
-        });
-    }
-    
-    // Sort action lines by their position in the response
-    actionLines.sort((a, b) => a.index - b.index);
-    
-    console.log(`[DEBUG] Found ${actionLines.length} action lines: ${JSON.stringify(actionLines.map(a => ({ type: a.type, path: a.path })))}`);
-    
-    // Find all content blocks in the response
-    const contentBlocks = [];
-    const contentBlockRegex = /```(?:[a-z]*\n)?([\s\S]*?)```/g;
-    let contentMatch;
-    while ((contentMatch = contentBlockRegex.exec(response)) !== null) {
-        contentBlocks.push({
-            content: contentMatch[1] || '',
-            index: contentMatch.index,
-            endIndex: contentMatch.index + contentMatch[0].length
-        });
-    }
-    
-    console.log(`[DEBUG] Found ${contentBlocks.length} content blocks in the response`);
-    
-    // Process each action line and associate with appropriate content block
-    for (const action of actionLines) {
-        if (action.type === 'CREATE_DIRECTORY') {
-            // CREATE_DIRECTORY doesn't need content
-            fileActions.push({
-                type: 'CREATE_DIRECTORY',
-                path: action.path,
-                content: null
-            });
-            console.log(`[DEBUG] Added CREATE_DIRECTORY action for path="${action.path}"`);
-            continue;
-        }
-        
-        // For CREATE_FILE and MODIFY_FILE, find the next content block after this action line
-        let content = '';
-        let foundContentBlock = false;
-        
-        // Find the first content block that appears after this action line
-        for (const block of contentBlocks) {
-            if (block.index > action.endIndex) {
-                content = block.content;
-                foundContentBlock = true;
-                console.log(`[DEBUG] Found content block for ${action.type} path="${action.path}" at position ${block.index}, length: ${content.length}`);
-                
-                // Mark this block as used by setting its index to -1 so it's not reused
-                block.index = -1;
-                break;
-            }
-        }
-        
-        if (!foundContentBlock) {
-            if (action.type === 'CREATE_FILE') {
-                // For CREATE_FILE, empty content is acceptable
-                console.log(`[DEBUG] No content block found for CREATE_FILE path="${action.path}", using empty string`);
-            } else {
-                // For MODIFY_FILE, we require content
-                console.warn(`[DEBUG] No content block found for MODIFY_FILE path="${action.path}", skipping`);
-                continue; // Skip this action
-            }
-        }
-        
-        // For MODIFY_FILE, ensure content is not empty
-        if (action.type === 'MODIFY_FILE' && (!content || content.trim() === '')) {
-            console.warn(`[DEBUG] Empty content for MODIFY_FILE path="${action.path}", skipping`);
-            continue;
-        }
-        
-        // Check if this path is already in fileActions (avoid duplicates)
-        if (!fileActions.some(existingAction => existingAction.type === action.type && existingAction.path === action.path)) {
-            fileActions.push({
-                type: action.type,
-                path: action.path,
-                content: content
-            });
-            console.log(`[DEBUG] Added ${action.type} action for path="${action.path}"`);
-        } else {
-            console.log(`[DEBUG] Skipping duplicate ${action.type} action for path="${action.path}"`);
-        }
-    }
-    
-    console.log(`[DEBUG] Parsed ${fileActions.length} file actions: ${JSON.stringify(fileActions.map(a => ({ type: a.type, path: a.path })))}`);
-    return fileActions;
+    return processActions(response).fileActions;
 }
 
 /**
@@ -239,43 +339,7 @@ function parseFileActions(response) {
  * @returns {Array<Object>} - Array of parsed bug operations
  */
 function parseBugActions(response) {
-    const bugActions = [];
-    
-    // Process REPORT_BUG actions
-    const reportBugRegex = /ACTION:\s*REPORT_BUG\s+description="([^"]+)"\s+severity="([^"]+)"/gi;
-    let reportMatch;
-    while ((reportMatch = reportBugRegex.exec(response)) !== null) {
-        bugActions.push({
-            type: 'REPORT_BUG',
-            description: reportMatch[1],
-            severity: reportMatch[2]
-        });
-    }
-    
-    // Process VERIFY_BUG actions
-    const verifyBugRegex = /ACTION:\s*VERIFY_BUG\s+id="?(B\d+)"?\s+status="?(Verified|Reopened)"?\s+comment="([^"]*)"/gi;
-    let verifyMatch;
-    while ((verifyMatch = verifyBugRegex.exec(response)) !== null) {
-        bugActions.push({
-            type: 'VERIFY_BUG',
-            id: verifyMatch[1],
-            status: verifyMatch[2],
-            comment: verifyMatch[3]
-        });
-    }
-    
-    // Process FIX_BUG actions
-    const fixBugRegex = /ACTION:\s*FIX_BUG\s+id="?(B\d+)"?\s+comment="([^"]*)"/gi;
-    let fixMatch;
-    while ((fixMatch = fixBugRegex.exec(response)) !== null) {
-        bugActions.push({
-            type: 'FIX_BUG',
-            id: fixMatch[1],
-            comment: fixMatch[2]
-        });
-    }
-    
-    return bugActions;
+    return processActions(response).bugActions;
 }
 
 /**
@@ -285,56 +349,122 @@ function parseBugActions(response) {
  * @returns {Object|null} - The parsed task status or null if not found
  */
 function parseTaskCompletionStatus(response, taskDescription) {
-    // Check for task completion
-    const completionMarker = `TASK_COMPLETE: ${taskDescription}`;
-    if (response.includes(completionMarker)) {
-        return {
-            type: 'TASK_COMPLETE',
-            taskDescription
-        };
+    return taskStatusFrom(parseActionText(response).statements, taskDescription);
+}
+
+/**
+ * Process all actions from an AI response.
+ * `diagnostics` lists what could not be parsed and why (see action_parser.js),
+ * for feeding back to the agent.
+ * @param {string} response - The AI response text
+ * @param {string} taskDescription - The task description (for specialists)
+ * @param {string|null} role - The agent role; actions it may not use are dropped with a diagnostic
+ * @returns {Object} - All parsed actions
+ */
+function processActions(response, taskDescription = null, role = null) {
+    const parsed = parseActionText(response);
+    const actions = emptyActions();
+    actions.diagnostics = parsed.diagnostics;
+    const statements = parsed.statements.filter(statement => checkActionRole(statement.name, role, statement.line, actions.diagnostics));
+    for (const statement of statements) {
+        const definition = getAction(statement.name);
+        if (definition && definition.kind !== 'TASK_STATUS') addAction(actions, definition, statement.attributes, statement.content);
     }
-    
-    // Check for task blockage
-    const blockerRegex = /TASK_BLOCKED:\s*(.*)/i;
-    const blockerMatch = response.match(blockerRegex);
-    if (blockerMatch && blockerMatch[1]) {
-        return {
-            type: 'TASK_BLOCKED',
-            reason: blockerMatch[1].trim(),
-            taskDescription
-        };
+    if (taskDescription) actions.taskStatus = taskStatusFrom(statements, taskDescription, actions.diagnostics);
+    console.log(`[DEBUG] Parsed ${actions.fileActions.length} file actions: ${JSON.stringify(actions.fileActions.map(a => ({ type: a.type, path: a.path })))}`);
+    return actions;
+}
+
+/**
+ * Enforce per-turn caps on repeated actions. Actions beyond a cap are dropped
+ * and reported in `diagnostics`, so the agent can issue them next turn.
+ * @param {Object} actions - Output of processActions() or processToolCalls() (modified in place)
+ * @param {Object} limits - Maximum number of each action per turn, by action name
+ * @returns {Object} - The same actions object
+ */
+function applyActionLimits(actions, limits) {
+    for (const [name, limit] of Object.entries(limits)) {
+        const list = actions[`${getAction(name)?.category}Actions`];
+        if (!list || list.length <= limit) continue;
+        const dropped = list.splice(limit);
+        console.warn(`[SYSTEM] ${dropped.length} ${name} action(s) over the per-turn limit of ${limit} were dropped.`);
+        actions.diagnostics.push({
+            code: 'ACTION_LIMIT',
+            severity: 'warning',
+            line: null,
+            action: name,
+            message: `Only ${limit} ${name} actions are executed per turn; ${dropped.length} more were ignored. Repeat them in your next response if still needed.`
+        });
     }
-    
-    return null;
+    return actions;
 }
 
 /**
- * Process all actions from an AI response
- * @param {string} response - The AI response text
+ * Convert native tool calls into the same action structure processActions() returns
+ * @param {Array<Object>} toolCalls - [{ name, arguments }] from the provider
  * @param {string} taskDescription - The task description (for specialists)
+ * @param {string|null} role - The agent role; tools it may not use are dropped with a diagnostic
  * @returns {Object} - All parsed actions
  */
-function processActions(response, taskDescription = null) {
-    return {
-        systemAction: parseSystemAction(response),
-        listDirectoryAction: parseListDirectoryAction(response),
-        readFileAction: parseReadFileAction(response),
-        delegateTaskAction: parseDelegateTaskAction(response),
-        commandAction: parseCommandAction(response),
-        fileActions: parseFileActions(response),
-        bugActions: parseBugActions(response),
-        taskStatus: taskDescription ? parseTaskCompletionStatus(response, taskDescription) : null
-    };
+function processToolCalls(toolCalls, taskDescription = null, role = null) {
+    const actions = emptyActions();
+
+    for (const call of toolCalls) {
+        const args = call.arguments || {};
+        const name = (call.name || '').toUpperCase();
+        console.log(`[DEBUG] Tool call: ${name} ${JSON.stringify(Object.keys(args))}`);
+        const definition = getAction(name);
+        if (!definition) {
+            console.warn(`[DEBUG] Unknown tool call "${call.name}", ignoring`);
+            actions.diagnostics.push({
+                code: 'UNKNOWN_ACTION',
+                severity: 'error',
+                line: null,
+                action: call.name,
+                message: `Unknown tool "${call.name}". Call only the provided tools.`
+            });
+            continue;
+        }
+        if (!checkActionRole(name, role, null, actions.diagnostics)) continue;
+
+        if (definition.kind === 'TASK_STATUS') {
+            if (!taskDescription || actions.taskStatus) continue;
+            actions.taskStatus = name === 'TASK_COMPLETE'
+                ? { type: 'TASK_COMPLETE', taskDescription }
+                : { type: 'TASK_BLOCKED', reason: text(args.reason) || 'No reason given', taskDescription };
+            continue;
+        }
+
+        // The same rule as the text parser: required arguments (and content) must not be empty
+        const { content = null, ...values } = args;
+        const missing = [...definition.required, ...(definition.content === 'required' ? ['content'] : [])].filter(key => !text(args[key]));
+        if (missing.length > 0) {
+            actions.diagnostics.push({
+                code: 'MISSING_ATTRIBUTE',
+                severity: 'error',
+                line: null,
+                action: name,
+                message: `${name} is missing required argument${missing.length > 1 ? 's' : ''} ${missing.join(', ')}, so it was ignored.`
+            });
+            continue;
+        }
+        addAction(actions, definition, values, content);
+    }
+    return actions;
 }
 
 export {
     parseSystemAction,
-    parseListDirectoryAction,
-    parseReadFileAction,
-    parseDelegateTaskAction,
-    parseCommandAction,
+    parseListDirectoryActions,
+    parseReadFileActions,
+    parseSearchCodeActions,
+    parseFindFilesActions,
+    parseDelegateTaskActions,
+    parseCommandActions,
     parseFileActions,
     parseBugActions,
     parseTaskCompletionStatus,
-    processActions
+    processActions,
+    processToolCalls,
+    applyActionLimits
 };
\ No newline at end of file
@@ -0,0 +1,487 @@
+// action_registry.js - Registry of agent actions: syntax, allowed roles, handlers and prompt documentation
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+/*
+ * Every action agents can use is declared here once. The parser (action_parser.js),
+ * the tool schemas (action_tools.js), the role checks and plugin dispatch
+ * (action_processor.js) and the prompt instructions (context_builder.js) are all
+ * generated from these definitions:
+ *   name         - Action name, upper case (e.g. 'READ_FILE')
+ *   kind         - 'ACTION' or 'SYSTEM_ACTION' (the line prefix), or 'TASK_STATUS'
+ *                  for the TASK_COMPLETE / TASK_BLOCKED lines
+ *   roles        - Roles that may use the action
+ *   required     - Attributes the parser requires
+ *   content      - 'optional' or 'required' if the action takes the next code block as content
+ *   description  - One-line description (tool schema)
+ *   parameters   - JSON schema properties of the tool arguments (including `content`)
+ *   toolRequired - Required tool arguments (defaults to `required`, plus content if required)
+ *   usage        - Prompt documentation, one string or a list (one bullet each)
+ *   section      - Where the SuperAgent instructions list it: 'direct', 'plan', 'delegate' or 'system'
+ *   category     - Built-in ACTIONs: how action_processor.js builds it and the list it goes
+ *                  into ('file' -> fileActions, ...), one of ACTION_CATEGORIES
+ *   sequential   - File actions applied one after another, so repeating one on a path is no duplicate
+ *   param        - SYSTEM_ACTIONs: the attribute that carries its parameter
+ *   handler      - async ({ name, attributes, content }, context) => { success, output, error }
+ *
+ * Built-in actions have no handler: the simulation loop executes them itself.
+ * Plugin actions (loadActionPlugins) must have one; their results are shown to
+ * the agents in the next prompt.
+ */
+
+const SPECIALIST_ROLES = ['Executor-Code', 'Executor-Test', 'Executor-Design'];
+const ALL_ROLES = ['SuperAgent', ...SPECIALIST_ROLES];
+const ACTION_KINDS = ['ACTION', 'SYSTEM_ACTION', 'TASK_STATUS'];
+const ACTION_CATEGORIES = ['readFile', 'listDirectory', 'searchCode', 'findFiles', 'command', 'delegateTask', 'plan', 'file', 'bug'];
+const ACTION_NAME_REGEX = /^[A-Z][A-Z0-9_]*$/;
+
+const pathParameter = (description) => ({ path: { type: 'string', description } });
+const reasonParameter = { reason: { type: 'string', description: 'Justification' } };
+// Optional acceptance checks of a task (see acceptance_checks.js)
+const checkParameters = {
+    check_files: { type: 'string', description: 'Optional comma-separated files that must exist when the task is complete' },
+    check_command: { type: 'string', description: 'Optional command that must exit 0 when the task is complete' },
+    check_match_file: { type: 'string', description: 'Optional file that must match check_match_pattern' },
+    check_match_pattern: { type: 'string', description: 'Regular expression that check_match_file must match' }
+};
+
+const BUILT_IN_ACTIONS = [
+    // --- Direct actions (SuperAgent; specialists use them within their session) ---
+    {
+        name: 'READ_FILE', kind: 'ACTION', category: 'readFile', roles: ALL_ROLES, section: 'direct',
+        required: ['path'],
+        description: 'Read the content of a file in the project workspace.',
+        parameters: pathParameter('Workspace-relative file path, e.g. "/src/app.js"'),
+        usage: '`ACTION: READ_FILE path="/path/to/read.ext"` (To get the content of a specific file)'
+    },
+    {
+        name: 'LIST_DIRECTORY', kind: 'ACTION', category: 'listDirectory', roles: ALL_ROLES, section: 'direct',
+        required: ['path'],
+        description: 'List the entries of a directory in the project workspace.',
+        parameters: pathParameter('Workspace-relative directory path, e.g. "/src/"'),
+        usage: '`ACTION: LIST_DIRECTORY path="/path/to/list/"` (To get contents of a specific directory)'
+    },
+    {
+        name: 'SEARCH_CODE', kind: 'ACTION', category: 'searchCode', roles: ALL_ROLES, section: 'direct',
+        required: ['pattern'],
+        description: 'Search the workspace files for a regular expression and get file:line matches with surrounding lines. Ignored and binary files are skipped.',
+        parameters: {
+            pattern: { type: 'string', description: 'JavaScript regular expression, e.g. "function \\w+Handler"' },
+            glob: { type: 'string', description: 'Optional file filter, e.g. "*.js" or "src/**/*.ts"' }
+        },
+        usage: '`ACTION: SEARCH_CODE pattern="regular expression" glob="*.js"` (To find where something is defined or used across the workspace; glob is optional)'
+    },
+    {
+        name: 'FIND_FILES', kind: 'ACTION', category: 'findFiles', roles: ALL_ROLES, section: 'direct',
+        required: ['glob'],
+        description: 'Find workspace files by name.',
+        parameters: { glob: { type: 'string', description: 'File name or path glob, e.g. "*.test.js" or "src/**/index.*"' } },
+        usage: '`ACTION: FIND_FILES glob="*.test.js"` (To locate files by name)'
+    },
+    {
+        name: 'RUN_TEST_COMMAND', kind: 'ACTION', category: 'command', roles: ALL_ROLES, section: 'direct',
+        required: ['command'],
+        description: 'Run a test or system command in the project workspace and capture its exit code and output. Long output is shortened to its beginning and end; the full output is saved to a file you can READ_FILE.',
+        parameters: {
+            command: { type: 'string', description: 'The command line to run' },
+            timeout: { type: 'number', description: 'Optional timeout in seconds, for commands that take longer than the default' }
+        },
+        usage: '`ACTION: RUN_TEST_COMMAND command="command to run" timeout="60"` (To execute a test or system command; timeout in seconds is optional, the full output is saved to the file named in the result)'
+    },
+    // --- SuperAgent: delegation ---
+    {
+        name: 'DELEGATE_TASK', kind: 'ACTION', category: 'delegateTask', roles: ['SuperAgent'], section: 'delegate',
+        required: ['role', 'description'],
+        description: 'Delegate a clear, specific, actionable task to a specialist.',
+        parameters: {
+            role: { type: 'string', enum: SPECIALIST_ROLES, description: 'Specialist role' },
+            description: { type: 'string', description: 'The task for the specialist' },
+            ...checkParameters
+        },
+        usage: [
+            '`ACTION: DELEGATE_TASK role="Executor-Code" description="Clear, specific, actionable coding task"`',
+            '`ACTION: DELEGATE_TASK role="Executor-Test" description="Clear, specific, actionable testing task"`',
+            '`ACTION: DELEGATE_TASK role="Executor-Design" description="Clear, specific, actionable design task"`',
+            'Optional acceptance checks, run before TASK_COMPLETE is accepted: `check_files="/index.html, /style.css" check_command="node test.js" check_match_file="/app.js" check_match_pattern="export function \\w+"`'
+        ]
+    },
+    {
+        name: 'DELEGATE_NEXT_TASK', kind: 'ACTION', category: 'plan', roles: ['SuperAgent'], section: 'delegate',
+        required: [],
+        description: 'Delegate the next ready task of the backlog (or the given one) to a specialist of its role.',
+        parameters: { id: { type: 'string', description: 'Optional task ID, e.g. "T3"; default: the first Ready task' } },
+        usage: '`ACTION: DELEGATE_NEXT_TASK` (Delegates the first Ready task of the Task Backlog to its role; add id="T..." to pick a specific Ready task)'
+    },
+    // --- SuperAgent: task backlog ---
+    {
+        name: 'PLAN', kind: 'ACTION', category: 'plan', roles: ['SuperAgent'], section: 'plan',
+        required: [], content: 'required',
+        description: 'Write the task backlog: one task per line, "1. [Role] Description | accept: criteria | after: 1, T4". Replaces the tasks that have not started.',
+        parameters: { content: { type: 'string', description: 'The task lines' } },
+        usage: 'Plan the work as a backlog (replaces the tasks not yet started): `ACTION: PLAN`\n```\n1. [Executor-Code] Task description | accept: how to tell it is done | check files: /index.html\n2. [Executor-Test] Task description | accept: ... | after: 1 | check command: node test.js | check match: /app.js ~ regex\n```\n(The check fields are optional acceptance checks, run before TASK_COMPLETE is accepted)'
+    },
+    {
+        name: 'ADD_TASK', kind: 'ACTION', category: 'plan', roles: ['SuperAgent'], section: 'plan',
+        required: ['role', 'description'],
+        description: 'Add one task to the backlog.',
+        parameters: {
+            role: { type: 'string', enum: SPECIALIST_ROLES, description: 'Specialist role' },
+            description: { type: 'string', description: 'The task' },
+            acceptance: { type: 'string', description: 'Acceptance criteria' },
+            after: { type: 'string', description: 'Optional comma-separated IDs of the tasks it depends on' },
+            before: { type: 'string', description: 'Optional ID of the task to insert it before (default: at the end)' },
+            ...checkParameters
+        },
+        usage: '`ACTION: ADD_TASK role="Executor-Code" description="..." acceptance="..." after="T1" before="T3"` (after, before and the check_* attributes of DELEGATE_TASK are optional)'
+    },
+    {
+        name: 'SPLIT_TASK', kind: 'ACTION', category: 'plan', roles: ['SuperAgent'], section: 'plan',
+        required: ['id'], content: 'required',
+        description: 'Replace a task that has not started with smaller tasks, given as task lines like PLAN.',
+        parameters: {
+            id: { type: 'string', description: 'Task ID, e.g. "T2"' },
+            content: { type: 'string', description: 'The task lines of the new tasks' }
+        },
+        usage: '`ACTION: SPLIT_TASK id="T..."` followed by task lines as for PLAN (To replace a task that is too large)'
+    },
+    {
+        name: 'REORDER_TASKS', kind: 'ACTION', category: 'plan', roles: ['SuperAgent'], section: 'plan',
+        required: ['order'],
+        description: 'Move tasks to the front of the backlog, in the given order.',
+        parameters: { order: { type: 'string', description: 'Comma-separated task IDs, e.g. "T4, T2"' } },
+        usage: '`ACTION: REORDER_TASKS order="T4, T2"` (Moves these tasks to the front of the backlog)'
+    },
+    {
+        name: 'CANCEL_TASK', kind: 'ACTION', category: 'plan', roles: ['SuperAgent'], section: 'plan',
+        required: ['id'],
+        description: 'Cancel a backlog task that is no longer needed.',
+        parameters: { id: { type: 'string', description: 'Task ID, e.g. "T2"' }, ...reasonParameter },
+        usage: '`ACTION: CANCEL_TASK id="T..." reason="..."`'
+    },
+    // --- SuperAgent: system actions ---
+    {
+        name: 'CHANGE_PHASE', kind: 'SYSTEM_ACTION', param: 'phase', roles: ['SuperAgent'], section: 'system',
+        required: ['phase'], toolRequired: ['phase', 'reason'],
+        description: 'Change the overall phase when its criteria are met.',
+        parameters: { phase: { type: 'string', description: 'The new phase' }, ...reasonParameter },
+        usage: '`SYSTEM_ACTION: CHANGE_PHASE phase="NewPhase" reason="Justification"` (If criteria met, e.g., goal achieved, testing passed)'
+    },
+    {
+        name: 'CHANGE_STATUS', kind: 'SYSTEM_ACTION', param: 'status', roles: ['SuperAgent'], section: 'system',
+        required: ['status'], toolRequired: ['status', 'reason'],
+        description: 'Change the project status.',
+        parameters: { status: { type: 'string', description: 'The new status' }, ...reasonParameter },
+        usage: '`SYSTEM_ACTION: CHANGE_STATUS status="NewStatus" reason="Justification"`'
+    },
+    {
+        name: 'WAIT', kind: 'SYSTEM_ACTION', param: 'reason', roles: ['SuperAgent'], section: 'system',
+        required: [], toolRequired: ['reason'],
+        description: 'Do nothing this turn, e.g. while waiting for a specialist.',
+        parameters: { reason: { type: 'string' } },
+        usage: '`SYSTEM_ACTION: WAIT reason="Why waiting, e.g., Waiting for specialist to complete task"`'
+    },
+    {
+        name: 'REQUEST_USER_INPUT', kind: 'SYSTEM_ACTION', param: 'reason', roles: ['SuperAgent'], section: 'system',
+        required: [], toolRequired: ['reason'],
+        description: 'Pause and ask the user for input, e.g. when the goal is achieved.',
+        parameters: { reason: { type: 'string' } },
+        usage: '`SYSTEM_ACTION: REQUEST_USER_INPUT reason="Why input needed, e.g., Awaiting next goal"`'
+    },
+    // --- Specialists: file actions ---
+    {
+        name: 'CREATE_FILE', kind: 'ACTION', category: 'file', roles: SPECIALIST_ROLES,
+        required: ['path'], content: 'optional', toolRequired: ['path', 'content'],
+        description: 'Create a file (or overwrite it) with the given content.',
+        parameters: { ...pathParameter('Workspace-relative file path'), content: { type: 'string', description: 'Full file content' } },
+        usage: 'Code/Text Files: `ACTION: CREATE_FILE path="/path/to/file.ext"`\n```\nFile Content Here\n```'
+    },
+    {
+        name: 'MODIFY_FILE', kind: 'ACTION', category: 'file', roles: SPECIALIST_ROLES,
+        required: ['path'], content: 'required',
+        description: 'Replace the content of an existing file.',
+        parameters: { ...pathParameter('Workspace-relative file path'), content: { type: 'string', description: 'New full file content' } },
+        usage: 'File Modifications: `ACTION: MODIFY_FILE path="/path/to/existing/file.ext"`\n```\nNew Full File Content Here\n```'
+    },
+    {
+        name: 'EDIT_FILE', kind: 'ACTION', category: 'file', sequential: true, roles: SPECIALIST_ROLES,
+        required: ['path'], content: 'required',
+        description: 'Change part of an existing file by replacing exact snippets of its current content.',
+        parameters: {
+            ...pathParameter('Workspace-relative file path'),
+            content: { type: 'string', description: 'One or more blocks of "<<<<<<< SEARCH", the lines to replace, "=======", the new lines, ">>>>>>> REPLACE"' }
+        },
+        usage: 'Partial Edits (preferred for small changes to existing files): `ACTION: EDIT_FILE path="/path/to/existing/file.ext"`\n```\n<<<<<<< SEARCH\nexact lines from the current file\n=======\nreplacement lines\n>>>>>>> REPLACE\n```'
+    },
+    {
+        name: 'APPLY_PATCH', kind: 'ACTION', category: 'file', sequential: true, roles: SPECIALIST_ROLES,
+        required: ['path'], content: 'required',
+        description: 'Change part of an existing file with a unified diff. Prefer this or EDIT_FILE over MODIFY_FILE for small changes to large files.',
+        parameters: {
+            ...pathParameter('Workspace-relative file path'),
+            content: { type: 'string', description: 'Unified diff with "@@ -l,n +l,n @@" hunks; context lines start with a space, removed lines with "-", added lines with "+"' }
+        },
+        usage: 'Patches: `ACTION: APPLY_PATCH path="/path/to/existing/file.ext"`\n```diff\n@@ -10,3 +10,3 @@\n unchanged line\n-old line\n+new line\n unchanged line\n```'
+    },
+    {
+        name: 'APPEND_FILE', kind: 'ACTION', category: 'file', sequential: true, roles: SPECIALIST_ROLES,
+        required: ['path'], content: 'required',
+        description: 'Append text to the end of a file (created if missing), e.g. a log or README section.',
+        parameters: { ...pathParameter('Workspace-relative file path'), content: { type: 'string', description: 'Text to append' } },
+        usage: 'Appending: `ACTION: APPEND_FILE path="/path/to/file.ext"`\n```\nText To Add At The End\n```'
+    },
+    {
+        name: 'CREATE_DIRECTORY', kind: 'ACTION', category: 'file', roles: SPECIALIST_ROLES,
+        required: ['path'],
+        description: 'Create a directory (and any missing parents).',
+        parameters: pathParameter('Workspace-relative directory path'),
+        usage: 'Directory Creation: `ACTION: CREATE_DIRECTORY path="/path/to/new_dir/"`'
+    },
+    {
+        name: 'DELETE_FILE', kind: 'ACTION', category: 'file', roles: SPECIALIST_ROLES,
+        required: ['path'],
+        description: 'Delete a file.',
+        parameters: pathParameter('Workspace-relative file path'),
+        usage: 'File Deletion: `ACTION: DELETE_FILE path="/path/to/file.ext"`'
+    },
+    {
+        name: 'DELETE_DIRECTORY', kind: 'ACTION', category: 'file', roles: SPECIALIST_ROLES,
+        required: ['path'],
+        description: 'Delete a directory. Only empty directories are deleted unless recursive is true.',
+        parameters: {
+            ...pathParameter('Workspace-relative directory path'),
+            recursive: { type: 'boolean', description: 'Also delete everything inside the directory' }
+        },
+        usage: 'Directory Deletion: `ACTION: DELETE_DIRECTORY path="/path/to/dir/"` (empty directories only; add recursive="true" to delete the contents too)'
+    },
+    {
+        name: 'MOVE_PATH', kind: 'ACTION', category: 'file', roles: SPECIALIST_ROLES,
+        required: ['from', 'to'],
+        description: 'Move or rename a file or directory. The destination must not exist; end it with "/" to move into a directory.',
+        parameters: {
+            from: { type: 'string', description: 'Workspace-relative source path' },
+            to: { type: 'string', description: 'Workspace-relative destination path' }
+        },
+        usage: 'Move/Rename: `ACTION: MOVE_PATH from="/old/name.ext" to="/new/name.ext"` (the destination must not exist)'
+    },
+    {
+        name: 'COPY_PATH', kind: 'ACTION', category: 'file', roles: SPECIALIST_ROLES,
+        required: ['from', 'to'],
+        description: 'Copy a file or directory. The destination must not exist; end it with "/" to copy into a directory.',
+        parameters: {
+            from: { type: 'string', description: 'Workspace-relative source path' },
+            to: { type: 'string', description: 'Workspace-relative destination path' }
+        },
+        usage: 'Copy: `ACTION: COPY_PATH from="/src/file.ext" to="/dest/dir/"` (the destination must not exist)'
+    },
+    // --- Bug tracking (see bug_tracker.js) ---
+    {
+        name: 'REPORT_BUG', kind: 'ACTION', category: 'bug', roles: ['Executor-Test'],
+        required: ['description', 'severity'],
+        description: 'Report a bug found while testing. It gets an ID (B1, B2, ...) and the status Open.',
+        parameters: {
+            description: { type: 'string', description: 'Detailed description of the bug' },
+            severity: { type: 'string', enum: ['High', 'Medium', 'Low'] },
+            files: { type: 'string', description: 'Optional comma-separated workspace paths of the files involved' }
+        },
+        usage: 'Bug Reporting: `ACTION: REPORT_BUG description="Detailed description..." severity="High/Medium/Low" files="/path/a.js, /path/b.js"` (files is optional)'
+    },
+    {
+        name: 'VERIFY_BUG', kind: 'ACTION', category: 'bug', roles: ['Executor-Test'],
+        required: ['id', 'status'], toolRequired: ['id', 'status', 'comment'],
+        description: 'Record the verification result of a Fixed bug.',
+        parameters: {
+            id: { type: 'string', description: 'Bug ID, e.g. "B1"' },
+            status: { type: 'string', enum: ['Verified', 'Reopened'] },
+            comment: { type: 'string' }
+        },
+        usage: 'Bug Verification (only for Fixed bugs): `ACTION: VERIFY_BUG id="B..." status="Verified/Reopened" comment="..."`'
+    },
+    {
+        name: 'FIX_BUG', kind: 'ACTION', category: 'bug', roles: ['Executor-Code'],
+        required: ['id'], toolRequired: ['id', 'comment'],
+        description: 'Mark an Open or Reopened bug as fixed after modifying the files.',
+        parameters: {
+            id: { type: 'string', description: 'Bug ID, e.g. "B1"' },
+            comment: { type: 'string', description: 'What was changed' },
+            files: { type: 'string', description: 'Optional comma-separated workspace paths of the files changed' }
+        },
+        usage: 'Bug Fixing: `ACTION: FIX_BUG id="B..." comment="Fixed by [changes]"` (Use AFTER modifying files; files changed in the same response are linked to the bug)'
+    },
+    {
+        name: 'ASSIGN_BUG', kind: 'ACTION', category: 'bug', roles: ['SuperAgent'], section: 'delegate',
+        required: ['id', 'role'],
+        description: 'Assign a bug to a specialist: an Open/Reopened bug to Executor-Code for fixing, a Fixed bug to Executor-Test for verification.',
+        parameters: {
+            id: { type: 'string', description: 'Bug ID, e.g. "B1"' },
+            role: { type: 'string', enum: ['Executor-Code', 'Executor-Test'], description: 'Specialist role' },
+            comment: { type: 'string', description: 'Optional instructions for the specialist' }
+        },
+        usage: '`ACTION: ASSIGN_BUG id="B..." role="Executor-Code"` (Open/Reopened bugs to Executor-Code for fixing, Fixed bugs to Executor-Test for verification)'
+    },
+    {
+        name: 'CLOSE_BUG', kind: 'ACTION', category: 'bug', roles: ['SuperAgent'], section: 'direct',
+        required: ['id'],
+        description: 'Close a Verified bug.',
+        parameters: {
+            id: { type: 'string', description: 'Bug ID, e.g. "B1"' },
+            comment: { type: 'string' }
+        },
+        usage: '`ACTION: CLOSE_BUG id="B..." comment="..."` (To close a Verified bug)'
+    },
+    // --- Specialists: task status (documented in the response rules, not as actions) ---
+    {
+        name: 'TASK_COMPLETE', kind: 'TASK_STATUS', roles: SPECIALIST_ROLES,
+        required: [],
+        description: 'Report that the assigned task is fully complete.',
+        parameters: {},
+        usage: null
+    },
+    {
+        name: 'TASK_BLOCKED', kind: 'TASK_STATUS', roles: SPECIALIST_ROLES,
+        required: [], toolRequired: ['reason'],
+        description: 'Report that the assigned task cannot be completed.',
+        parameters: { reason: { type: 'string', description: 'Clear reason for the blockage' } },
+        usage: null
+    }
+];
+
+const registry = new Map();
+
+/**
+ * Check an action definition and add it to the registry
+ * @param {Object} definition - The action definition (see the top of this file)
+ * @param {string} source - Where the definition comes from, for messages
+ * @returns {Object} - The registered definition
+ * @throws {Error} - If the definition is invalid or the name is taken
+ */
+function registerAction(definition, source = 'built-in') {
+    const { name, kind, roles, required = [], content, handler, usage } = definition || {};
+    if (typeof name !== 'string' || !ACTION_NAME_REGEX.test(name)) throw new Error(`Invalid action name "${name}" (use UPPER_SNAKE_CASE)`);
+    if (registry.has(name)) throw new Error(`Action ${name} is already registered by ${registry.get(name).source}`);
+    if (!ACTION_KINDS.includes(kind)) throw new Error(`Action ${name}: kind must be one of ${ACTION_KINDS.join(', ')}`);
+    if (!Array.isArray(roles) || roles.length === 0) throw new Error(`Action ${name}: roles must be a non-empty array`);
+    if (!Array.isArray(required)) throw new Error(`Action ${name}: required must be an array`);
+    if (content !== undefined && !['optional', 'required'].includes(content)) throw new Error(`Action ${name}: content must be 'optional' or 'required'`);
+    if (handler !== undefined && typeof handler !== 'function') throw new Error(`Action ${name}: handler must be a function`);
+    if (source !== 'built-in' && !handler) throw new Error(`Action ${name}: plugin actions need a handler`);
+    if (!handler && kind === 'ACTION' && !ACTION_CATEGORIES.includes(definition.category)) throw new Error(`Action ${name}: built-in actions need a category, one of ${ACTION_CATEGORIES.join(', ')}`);
+    if (kind !== 'TASK_STATUS' && !usage) throw new Error(`Action ${name}: usage documentation is required`);
+
+    const entry = {
+        ...definition,
+        required,
+        description: definition.description || name,
+        parameters: definition.parameters || {},
+        toolRequired: definition.toolRequired || [...required, ...(content === 'required' ? ['content'] : [])],
+        usage: usage ? [].concat(usage) : [],
+        section: definition.section || 'direct',
+        source
+    };
+    registry.set(name, entry);
+    return entry;
+}
+
+/**
+ * Get an action definition
+ * @param {string} name - The action name
+ * @returns {Object|undefined} - The definition
+ */
+function getAction(name) {
+    return registry.get(name);
+}
+
+/**
+ * Get all action definitions, built-in actions first, in registration order
+ * @returns {Array<Object>} - The definitions
+ */
+function getActions() {
+    return [...registry.values()];
+}
+
+/**
+ * Get the actions a role may use
+ * @param {string} role - The agent role
+ * @returns {Array<Object>} - The definitions
+ */
+function getActionsForRole(role) {
+    return getActions().filter(action => action.roles.includes(role));
+}
+
+/**
+ * Check whether a role may use an action
+ * @param {string} name - The action name
+ * @param {string} role - The agent role
+ * @returns {boolean} - True if the action exists and the role may use it
+ */
+function isActionAllowed(name, role) {
+    return !!registry.get(name)?.roles.includes(role);
+}
+
+/**
+ * Load plugin actions from a directory. Each .js/.mjs file default-exports one
+ * action definition or an array of them. A broken plugin is reported and skipped.
+ * @param {string} directory - The plugins directory (missing directory: nothing to load)
+ * @returns {Promise<Array<string>>} - Names of the actions loaded
+ */
+async function loadActionPlugins(directory) {
+    let files;
+    try {
+        files = (await fs.readdir(directory)).filter(file => /\.m?js$/.test(file)).sort();
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`[SYSTEM] Cannot read action plugins directory ${directory}: ${error.message}`);
+        return [];
+    }
+
+    const loaded = [];
+    for (const file of files) {
+        try {
+            const module = await import(pathToFileURL(path.join(directory, file)).href);
+            for (const definition of [].concat(module.default ?? [])) {
+                registerAction({ ...definition, roles: definition?.roles?.filter(role => ALL_ROLES.includes(role)) }, `plugin ${file}`);
+                loaded.push(definition.name);
+            }
+        } catch (error) {
+            console.warn(`[SYSTEM] Skipping action plugin ${file}: ${error.message}`);
+        }
+    }
+    if (loaded.length > 0) console.log(`[SYSTEM] Loaded plugin actions: ${loaded.join(', ')}`);
+    return loaded;
+}
+
+/**
+ * Run the handler of a plugin action. Handler errors are returned, never thrown.
+ * @param {Object} action - { name, attributes, content }
+ * @param {Object} context - Passed to the handler: { db, agent, workspace, readFile, fileAction, runCommand }
+ * @returns {Promise<Object>} - { success, output, error }
+ */
+async function runActionHandler(action, context) {
+    const definition = registry.get(action.name);
+    if (!definition?.handler) return { success: false, output: '', error: `Action ${action.name} has no handler` };
+    try {
+        const result = await definition.handler(action, context);
+        return {
+            success: result?.success !== false,
+            output: result?.output === undefined || result?.output === null ? '' : String(result.output),
+            error: result?.error || null
+        };
+    } catch (error) {
+        console.error(`[SYSTEM] Action ${action.name} failed:`, error.message);
+        return { success: false, output: '', error: error.message };
+    }
+}
+
+BUILT_IN_ACTIONS.forEach(definition => registerAction(definition));
+
+export {
+    SPECIALIST_ROLES,
+    ACTION_CATEGORIES,
+    registerAction,
+    getAction,
+    getActions,
+    getActionsForRole,
+    isActionAllowed,
+    loadActionPlugins,
+    runActionHandler
+};
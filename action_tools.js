@@ -0,0 +1,106 @@
+// action_tools.js - Tool schemas for native tool-calling mode (alternative to ACTION text lines)
+
+import { getAction, getActions, getActionsForRole, SPECIALIST_ROLES } from './action_registry.js';
+
+/*
+ * Each action of the text protocol is declared as a tool, generated from the
+ * action registry (action_registry.js). Tool calls come back from the providers
+ * as [{ name, arguments }] and are turned into the same action objects
+ * processActions() returns (see processToolCalls in action_processor.js).
+ */
+
+/**
+ * Get the tool declarations a role may use, in the Ollama/OpenAI `tools` format
+ * @param {string} role - The agent role
+ * @returns {Array<Object>} - The tool declarations
+ */
+function getToolsForRole(role) {
+    // Unknown roles get the actions every specialist may use
+    const actions = getActionsForRole(role).length > 0
+        ? getActionsForRole(role)
+        : getActions().filter(action => SPECIALIST_ROLES.every(r => action.roles.includes(r)));
+    return actions.map(action => ({
+        type: 'function',
+        function: {
+            name: action.name,
+            description: action.description,
+            parameters: {
+                type: 'object',
+                properties: action.parameters,
+                required: action.toolRequired
+            }
+        }
+    }));
+}
+
+/**
+ * Build a JSON schema for structured-output mode (Ollama `format`), for models
+ * whose template has no tool support: the reply is { actions: [{ tool, arguments }] }
+ * @param {Array<Object>} tools - The tool declarations from getToolsForRole()
+ * @returns {Object} - The JSON schema
+ */
+function buildActionFormatSchema(tools) {
+    return {
+        type: 'object',
+        properties: {
+            actions: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        tool: { type: 'string', enum: tools.map(t => t.function.name) },
+                        arguments: { type: 'object' }
+                    },
+                    required: ['tool', 'arguments']
+                }
+            }
+        },
+        required: ['actions']
+    };
+}
+
+/**
+ * Parse a structured-output reply into tool calls
+ * @param {string} text - The JSON reply
+ * @returns {Array<Object>|null} - [{ name, arguments }], or null if the reply is not valid
+ */
+function parseActionFormatResponse(text) {
+    try {
+        const data = JSON.parse(text);
+        if (!data || !Array.isArray(data.actions)) return null;
+        return data.actions
+            .filter(a => a && typeof a.tool === 'string')
+            .map(a => ({ name: a.tool.toUpperCase(), arguments: a.arguments && typeof a.arguments === 'object' ? a.arguments : {} }));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Render tool calls in the ACTION text protocol, so logs, history and
+ * other agents' prompts look the same in both modes
+ * @param {Array<Object>} toolCalls - [{ name, arguments }]
+ * @param {string|null} taskDescription - The specialist's task (for TASK_COMPLETE)
+ * @returns {string} - The equivalent text response
+ */
+function formatToolCallsAsText(toolCalls, taskDescription = null) {
+    const quote = (value) => `"${String(value ?? '').replace(/"/g, '\\"')}"`;
+    return toolCalls.map(({ name, arguments: args = {} }) => {
+        const action = getAction(name);
+        if (action?.kind === 'TASK_STATUS') {
+            return name === 'TASK_COMPLETE' ? `TASK_COMPLETE: ${taskDescription || ''}` : `${name}: ${args.reason || ''}`;
+        }
+        const { content, ...attributes } = args;
+        const attributeText = Object.entries(action?.content ? attributes : args)
+            .map(([key, value]) => `${key}=${quote(value)}`).join(' ');
+        const line = `${action?.kind || 'ACTION'}: ${name}${attributeText ? ` ${attributeText}` : ''}`;
+        return action?.content ? `${line}\n\`\`\`\n${content ?? ''}\n\`\`\`` : line;
+    }).join('\n');
+}
+
+export {
+    getToolsForRole,
+    buildActionFormatSchema,
+    parseActionFormatResponse,
+    formatToolCallsAsText
+};
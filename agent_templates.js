@@ -7,9 +7,10 @@ export const superAgentTemplate = {
     capabilities: [
         "System State Analysis",
         "Goal Decomposition",
-        "Task Planning",
+        "Task Planning (via ACTION:PLAN and the task backlog)",
         "Direct Action Execution",
         "Specialist Delegation",
+        "Bug Triage (via ACTION:ASSIGN_BUG / ACTION:CLOSE_BUG)",
         "Status Monitoring",
         "Phase Management",
         "Directory Creation",
@@ -0,0 +1,102 @@
+// ai_errors.js - Typed errors for LLM provider calls
+
+/**
+ * Base class for all AI call failures
+ * @property {string} code - Machine-readable error code
+ * @property {boolean} retryable - Whether retrying the same call may succeed
+ * @property {string|null} provider - Provider name, filled in by ai_interface.js
+ * @property {string|null} model - Model name, filled in by ai_interface.js
+ */
+class AIError extends Error {
+    constructor(message, { code = 'AI_ERROR', retryable = false, cause } = {}) {
+        super(message, cause ? { cause } : undefined);
+        this.name = 'AIError';
+        this.code = code;
+        this.retryable = retryable;
+        this.provider = null;
+        this.model = null;
+    }
+}
+
+/** The backend could not be reached (refused, reset, DNS, timeout) */
+class AIConnectionError extends AIError {
+    constructor(message, options = {}) {
+        super(message, { code: 'AI_CONNECTION', retryable: true, ...options });
+        this.name = 'AIConnectionError';
+    }
+}
+
+/** The backend answered with a non-2xx HTTP status */
+class AIHttpError extends AIError {
+    constructor(status, statusText, body = '') {
+        // 408/429 and 5xx are usually transient (model loading, overloaded server)
+        const retryable = status === 408 || status === 429 || status >= 500;
+        super(`HTTP ${status} ${statusText}${body ? `: ${body.substring(0, 300)}` : ''}`, { code: 'AI_HTTP', retryable });
+        this.name = 'AIHttpError';
+        this.status = status;
+    }
+}
+
+/** The configured model does not exist on the backend (e.g. not pulled) */
+class AIModelNotFoundError extends AIError {
+    constructor(model, message = `Model "${model}" is not available`) {
+        super(message, { code: 'AI_MODEL_NOT_FOUND', retryable: false });
+        this.name = 'AIModelNotFoundError';
+        this.model = model;
+    }
+}
+
+/** The model's template has no tool support, so a tool-calling request was rejected */
+class AIToolsUnsupportedError extends AIError {
+    constructor(model, message = `Model "${model}" does not support tool calling`) {
+        super(message, { code: 'AI_TOOLS_UNSUPPORTED', retryable: false });
+        this.name = 'AIToolsUnsupportedError';
+        this.model = model;
+    }
+}
+
+/** The backend answered, but not with something we can use */
+class AIResponseError extends AIError {
+    constructor(message) {
+        super(message, { code: 'AI_BAD_RESPONSE', retryable: true });
+        this.name = 'AIResponseError';
+    }
+}
+
+/** Calls are suspended because too many consecutive calls failed */
+class AICircuitOpenError extends AIError {
+    constructor(retryAt) {
+        super(`AI backend circuit is open after repeated failures; next attempt at ${new Date(retryAt).toISOString()}`, { code: 'AI_CIRCUIT_OPEN', retryable: false });
+        this.name = 'AICircuitOpenError';
+        this.retryAt = retryAt;
+    }
+}
+
+/**
+ * Convert any thrown value into an AIError
+ * @param {*} error - The thrown value
+ * @returns {AIError} - The typed error
+ */
+function toAIError(error) {
+    if (error instanceof AIError) return error;
+    const code = error?.cause?.code || error?.code;
+    // fetch() rejects with a TypeError ("fetch failed") whose cause carries the socket error
+    if (error instanceof TypeError || ['ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'ETIMEDOUT', 'EAI_AGAIN', 'UND_ERR_SOCKET'].includes(code)) {
+        return new AIConnectionError(`Connection failed: ${error?.cause?.message || error?.message || code}`, { cause: error });
+    }
+    if (error instanceof SyntaxError) {
+        return new AIResponseError(`Malformed response: ${error.message}`);
+    }
+    return new AIError(error?.message || String(error), { cause: error });
+}
+
+export {
+    AIError,
+    AIConnectionError,
+    AIHttpError,
+    AIModelNotFoundError,
+    AIToolsUnsupportedError,
+    AIResponseError,
+    AICircuitOpenError,
+    toAIError
+};
@@ -1,60 +1,354 @@
-// ai_interface.js - Handle all direct interactions with the Ollama API
+// ai_interface.js - Handle all direct interactions with the configured LLM provider
 
-import { OLLAMA_API_URL, AI_MODEL_NAME } from './config.js';
+import { AI_PROVIDER, AI_MODEL_NAME, AI_STREAM_OUTPUT, MODEL_PROFILES, AI_RETRY, AI_CIRCUIT_BREAKER } from './config.js';
+import { getProvider } from './llm_providers.js';
+import { AIError, AICircuitOpenError, AIToolsUnsupportedError, toAIError } from './ai_errors.js';
+import { getCassetteMode, recordInteraction, replayInteraction } from './cassette.js';
+import { buildActionFormatSchema, parseActionFormatResponse } from './action_tools.js';
+
+// Controllers of the generations currently in flight (one per specialist running in parallel)
+const activeGenerations = new Set();
+
+// Circuit breaker state shared by all roles (they usually share one backend)
+const circuit = { consecutiveFailures: 0, openUntil: 0 };
+
+// Share of the context window (num_ctx) above which a prompt is reported as near the limit
+const CONTEXT_WARNING_RATIO = 0.9;
+
+// "provider/model" keys that rejected tool schemas; they fall back to the ACTION text protocol
+const modelsWithoutTools = new Set();
 
 /**
- * Send a prompt to the Ollama API and get a response
- * @param {string} prompt - The prompt to send to the AI
- * @returns {Promise<string>} - The AI's response text
+ * Resolve the model profile for an agent role
+ * @param {string} role - The agent role (e.g. "SuperAgent", "Executor-Code")
+ * @returns {Object} - { name, provider, model, options, think }
  */
-async function askAI(prompt) {
-    try {
-        console.log("\n--- Sending Prompt to AI ---");
-        // console.log(prompt); // Keep commented unless debugging prompt details
-        console.log("--- Prompt End ---"); // Mark end for clarity
-        
-        const response = await fetch(`${OLLAMA_API_URL}/api/generate`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify({
-                model: AI_MODEL_NAME,
-                prompt: prompt,
-                stream: false
-            })
-        });
-
-        // Check if the response is OK
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.error(`Ollama API Error: ${response.status} ${response.statusText}`, errorText);
-            return `[AI Error: API call failed. Status: ${response.status} ${response.statusText}]`;
-        }
+function resolveModelProfile(role) {
+    const name = role && MODEL_PROFILES[role] ? role : 'default';
+    const profile = MODEL_PROFILES[name] || {};
+    return {
+        name,
+        provider: profile.provider || AI_PROVIDER,
+        model: profile.model || AI_MODEL_NAME,
+        options: { ...(profile.options || {}) },
+        think: typeof profile.think === 'boolean' ? profile.think : null
+    };
+}
+
+/**
+ * Split model reasoning (<think>...</think> blocks) from the final answer
+ * @param {string} text - The raw model output
+ * @returns {Object} - { answer, reasoning }
+ */
+function splitReasoning(text) {
+    const reasoningParts = [];
+    let answer = (text || '').replace(/<think>([\s\S]*?)<\/think>/gi, (match, inner) => {
+        reasoningParts.push(inner.trim());
+        return '';
+    });
+    // Some chat templates put the opening tag in the prompt, so only </think> is generated
+    const closeIndex = answer.search(/<\/think>/i);
+    if (closeIndex !== -1) {
+        reasoningParts.unshift(answer.slice(0, closeIndex).trim());
+        answer = answer.slice(closeIndex + '</think>'.length);
+    }
+    // A block that never closed (generation cut off mid-thought) is reasoning to the end
+    const openIndex = answer.search(/<think>/i);
+    if (openIndex !== -1) {
+        reasoningParts.push(answer.slice(openIndex + '<think>'.length).trim());
+        answer = answer.slice(0, openIndex);
+    }
+    return { answer: answer.trim(), reasoning: reasoningParts.filter(Boolean).join('\n\n') };
+}
+
+/**
+ * Sleep for the given time, resolving early if the signal aborts
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Signal that cuts the wait short
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve) => {
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => { clearTimeout(timer); resolve(); }, { once: true });
+    });
+}
+
+/**
+ * Record the outcome of a completion in the circuit breaker
+ * @param {boolean} succeeded - Whether the completion succeeded
+ */
+function recordOutcome(succeeded) {
+    if (succeeded) {
+        circuit.consecutiveFailures = 0;
+        circuit.openUntil = 0;
+        return;
+    }
+    circuit.consecutiveFailures++;
+    if (circuit.consecutiveFailures >= AI_CIRCUIT_BREAKER.failureThreshold) {
+        circuit.openUntil = Date.now() + AI_CIRCUIT_BREAKER.cooldownMs;
+        console.error(`[SYSTEM] ${circuit.consecutiveFailures} consecutive AI failures. Circuit open for ${Math.round(AI_CIRCUIT_BREAKER.cooldownMs / 1000)}s.`);
+    }
+}
+
+/**
+ * Build the usage record of a completion and report it on the console
+ * @param {Object|undefined} providerUsage - Token counts and timings reported by the provider
+ * @param {number} latencyMs - Wall-clock time of the call, including retries
+ * @param {Object} profile - The resolved profile record ({ name, options })
+ * @returns {Object} - { promptTokens, completionTokens, latencyMs, contextWindow, ...backend timings }
+ */
+function buildUsage(providerUsage, latencyMs, profile) {
+    const usage = {
+        promptTokens: null,
+        completionTokens: null,
+        ...(providerUsage || {}),
+        latencyMs,
+        contextWindow: profile.options.num_ctx ?? null
+    };
+    const tokens = usage.promptTokens === null ? 'tokens not reported' : `${usage.promptTokens} prompt + ${usage.completionTokens ?? '?'} completion tokens`;
+    console.log(`[SYSTEM] Usage (${profile.name}): ${tokens}, ${(latencyMs / 1000).toFixed(1)}s`);
+    // Ollama silently truncates prompts longer than num_ctx, so get close and context is lost
+    if (usage.promptTokens !== null && usage.contextWindow && usage.promptTokens >= usage.contextWindow * CONTEXT_WARNING_RATIO) {
+        console.warn(`[SYSTEM] Prompt for ${profile.name} used ${usage.promptTokens} of ${usage.contextWindow} context tokens; older context may be truncated.`);
+    }
+    return usage;
+}
+
+/**
+ * Get the circuit breaker state
+ * @returns {Object} - { open, retryAt, consecutiveFailures }
+ */
+function getCircuitState() {
+    return {
+        open: Date.now() < circuit.openUntil,
+        retryAt: circuit.openUntil,
+        consecutiveFailures: circuit.consecutiveFailures
+    };
+}
 
-        const data = await response.json();
+/**
+ * Send a prompt to the configured LLM provider and get a completion.
+ * A string prompt is sent as a single completion; an array of
+ * { role, content } messages is sent as a chat conversation.
+ * In cassette record mode every successful call is written to the cassette; in
+ * replay mode the call is served from it (see cassette.js) and `replay` is set.
+ * Reasoning is split from the answer: `text` only ever holds the answer, so
+ * example ACTION strings inside <think> blocks never reach processActions.
+ * With `tools` and a `toolMode`, the model is asked for native tool calls ('tools')
+ * or a JSON action list ('format'); either way they come back in `toolCalls`.
+ * A model that rejects tool schemas is remembered and asked in plain text instead.
+ * Transient failures are retried with exponential backoff. Failures never throw;
+ * they come back as a typed AIError in `error` (with empty `text`).
+ * @param {string|Array<Object>} prompt - The prompt text or chat messages to send to the AI
+ * @param {Object} options - Completion options
+ * @param {string} options.role - Role of the calling agent; selects the model profile
+ * @param {number} options.turn - Simulation turn of the call (cassette key)
+ * @param {string} options.provider - Provider name override (defaults to the profile's provider)
+ * @param {string} options.model - Model name override (defaults to the profile's model)
+ * @param {Object} options.generation - Generation options merged over the profile's options
+ * @param {boolean} options.think - Reasoning on/off override (defaults to the profile's `think`)
+ * @param {boolean} options.stream - Echo tokens to the console as they arrive (defaults to AI_STREAM_OUTPUT)
+ * @param {Array<Object>} options.tools - Tool declarations for the role (see action_tools.js)
+ * @param {string} options.toolMode - 'tools' or 'format' to use the declarations; anything else ignores them
+ * Successful calls carry `usage` (token counts, backend timings and wall-clock latency).
+ * @returns {Promise<Object>} - { text, reasoning, rawText, toolCalls, usage, provider, model, profile, streamed, aborted, partialText, attempts, error, replay }
+ */
+async function complete(prompt, options = {}) {
+    const profile = resolveModelProfile(options.role);
+    const providerName = options.provider || profile.provider;
+    const model = options.model || profile.model;
+    const generation = { ...profile.options, ...(options.generation || {}) };
+    const think = typeof options.think === 'boolean' ? options.think : profile.think;
+    const profileRecord = { name: profile.name, provider: providerName, model, options: generation, think };
+    const stream = options.stream ?? AI_STREAM_OUTPUT;
+    const toolMode = options.tools && ['tools', 'format'].includes(options.toolMode) ? options.toolMode : 'off';
+    const baseResult = { text: '', reasoning: '', rawText: '', toolCalls: [], usage: null, provider: providerName, model, profile: profileRecord, streamed: false, aborted: false, attempts: 0, error: null, replay: null };
 
-        // Improved Response Validation
-        if (!data) {
-            console.error("AI Error: No response data received.");
-            return "[AI Error: No response data]";
+    if (getCassetteMode() === 'replay') {
+        const replay = await replayInteraction({ turn: options.turn, role: options.role, prompt });
+        if (!replay) {
+            return { ...baseResult, error: new AIError("Replay cassette exhausted", { code: 'AI_CASSETTE_END' }) };
         }
+        const { entry, divergence } = replay;
+        console.log(`\n--- Replaying AI interaction ${entry.index} (${entry.provider}/${entry.model}, turn ${entry.turn}) ---`);
+        return {
+            ...baseResult,
+            text: entry.response.text,
+            reasoning: entry.response.reasoning || '',
+            rawText: entry.response.rawText ?? entry.response.text,
+            toolCalls: entry.response.toolCalls || [],
+            usage: entry.response.usage || null,
+            provider: entry.provider,
+            model: entry.model,
+            profile: entry.profile || profileRecord,
+            replay: { index: entry.index, divergence }
+        };
+    }
+
+    if (getCircuitState().open) {
+        const error = new AICircuitOpenError(circuit.openUntil);
+        console.warn(`[SYSTEM] Skipping AI call: ${error.message}`);
+        return { ...baseResult, error };
+    }
 
-        if (!data.response) {
-            console.error("AI Error: Response missing 'response' field:", data);
-            return "[AI Error: Invalid response structure - missing response field]";
+    const controller = new AbortController();
+    let partialText = '';
+    let lastError = null;
+    let attempts = 0;
+    const startedAt = Date.now();
+
+    activeGenerations.add(controller);
+    try {
+        for (let attempt = 1; attempt <= AI_RETRY.maxAttempts; attempt++) {
+            attempts = attempt;
+            partialText = '';
+            let streamingReasoning = false;
+            const useTools = toolMode === 'tools' && !modelsWithoutTools.has(`${providerName}/${model}`);
+            try {
+                const provider = getProvider(providerName);
+                const promptKind = Array.isArray(prompt) ? `chat, ${prompt.length} messages` : 'prompt';
+                console.log(`\n--- Sending Prompt to AI (${provider.name}/${model}, profile: ${profile.name}, ${promptKind}${attempt > 1 ? `, attempt ${attempt}` : ''}) ---`);
+                // console.log(prompt); // Keep commented unless debugging prompt details
+                console.log("--- Prompt End ---"); // Mark end for clarity
+                if (stream) console.log("--- Streaming Response (Ctrl+C to cancel) ---");
+
+                const callOptions = {
+                    ...options,
+                    model,
+                    generation,
+                    think,
+                    tools: useTools ? options.tools : undefined,
+                    format: toolMode === 'format' ? buildActionFormatSchema(options.tools) : undefined,
+                    signal: controller.signal,
+                    onToken: (token, { reasoning = false } = {}) => {
+                        if (!reasoning) partialText += token;
+                        if (!stream) return;
+                        if (reasoning !== streamingReasoning) {
+                            process.stdout.write(reasoning ? "[thinking] " : "\n[answer] ");
+                            streamingReasoning = reasoning;
+                        }
+                        process.stdout.write(token);
+                    }
+                };
+                const result = Array.isArray(prompt)
+                    ? await provider.chat(prompt, callOptions)
+                    : await provider.generate(prompt, callOptions);
+                if (stream) process.stdout.write("\n--- Response End ---\n");
+                recordOutcome(true);
+                const { answer, reasoning } = splitReasoning(result.text);
+                const fullReasoning = [result.reasoning, reasoning].filter(Boolean).join('\n\n');
+                let toolCalls = result.toolCalls || [];
+                if (toolMode === 'format' && toolCalls.length === 0) {
+                    // A reply that is not the requested JSON is left to the text parser
+                    toolCalls = parseActionFormatResponse(answer) || [];
+                }
+                const usage = buildUsage(result.usage, Date.now() - startedAt, profileRecord);
+                if (getCassetteMode() === 'record') {
+                    await recordInteraction({
+                        turn: options.turn,
+                        role: options.role,
+                        prompt,
+                        provider: provider.name,
+                        model,
+                        profile: profileRecord,
+                        response: { text: answer, reasoning: fullReasoning, rawText: result.text, toolCalls, usage }
+                    });
+                }
+                return { ...baseResult, text: answer, reasoning: fullReasoning, rawText: result.text, toolCalls, usage, provider: provider.name, streamed: stream, attempts: attempt };
+            } catch (error) {
+                if (controller.signal.aborted) {
+                    if (stream) process.stdout.write("\n--- Response Cancelled ---\n");
+                    console.warn(`[SYSTEM] Generation cancelled by operator after ${partialText.length} characters.`);
+                    return { ...baseResult, streamed: stream, aborted: true, partialText, attempts: attempt };
+                }
+                if (stream && partialText) process.stdout.write("\n--- Response Interrupted ---\n");
+
+                lastError = toAIError(error);
+                lastError.provider = providerName;
+                lastError.model = lastError.model || model;
+                if (useTools && lastError instanceof AIToolsUnsupportedError) {
+                    modelsWithoutTools.add(`${providerName}/${model}`);
+                    console.warn(`[SYSTEM] ${lastError.message}. Falling back to the ACTION text protocol for ${model}.`);
+                    attempt--; // The fallback request does not count as a retry
+                    continue;
+                }
+                console.error(`[SYSTEM] AI call failed (${lastError.name}, attempt ${attempt}/${AI_RETRY.maxAttempts}): ${lastError.message}`);
+                if (!lastError.retryable || attempt === AI_RETRY.maxAttempts) break;
+
+                const delay = Math.min(AI_RETRY.maxDelayMs, AI_RETRY.baseDelayMs * 2 ** (attempt - 1));
+                console.warn(`[SYSTEM] Retrying in ${delay}ms...`);
+                await sleep(delay, controller.signal);
+                if (controller.signal.aborted) {
+                    return { ...baseResult, aborted: true, partialText: '', attempts: attempt };
+                }
+            }
         }
+        recordOutcome(false);
+        return { ...baseResult, attempts, error: lastError };
+    } finally {
+        activeGenerations.delete(controller);
+    }
+}
+
+/**
+ * Check that every configured provider is reachable and every profile's model exists
+ * @returns {Promise<Object>} - { ok, problems: [string], warnings: [string] }
+ */
+async function checkAIHealth() {
+    // Replay never touches a backend
+    if (getCassetteMode() === 'replay') return { ok: true, problems: [], warnings: [] };
+
+    // Group the distinct models of all profiles by provider
+    const modelsByProvider = new Map();
+    for (const role of Object.keys(MODEL_PROFILES)) {
+        const profile = resolveModelProfile(role);
+        if (!modelsByProvider.has(profile.provider)) modelsByProvider.set(profile.provider, new Set());
+        modelsByProvider.get(profile.provider).add(profile.model);
+    }
 
-        return data.response;
-    } catch (error) {
-        console.error('Ollama API Error:', error);
-        // Attempt to get more specific error info if available
-        const reason = error.message || 'Unknown';
-        return `[AI Error: API call failed. Reason: ${reason}]`;
+    const problems = [];
+    const warnings = [];
+    for (const [providerName, models] of modelsByProvider) {
+        try {
+            const result = await getProvider(providerName).healthCheck([...models]);
+            problems.push(...result.problems);
+            warnings.push(...result.warnings);
+        } catch (error) {
+            problems.push(`Provider "${providerName}": ${toAIError(error).message}`);
+        }
     }
+    return { ok: problems.length === 0, problems, warnings };
+}
+
+/**
+ * Abort the generations currently in flight (several when specialists run in parallel), if any
+ * @returns {boolean} - True if a generation was cancelled
+ */
+function cancelActiveGeneration() {
+    const running = [...activeGenerations].filter(controller => !controller.signal.aborted);
+    running.forEach(controller => controller.abort());
+    return running.length > 0;
+}
+
+/**
+ * Send a prompt and return only the response text
+ * @param {string} prompt - The prompt to send to the AI
+ * @returns {Promise<string>} - The AI's response text
+ * @throws {AIError} - If the call failed
+ */
+async function askAI(prompt) {
+    const result = await complete(prompt, { stream: false });
+    if (result.error) throw result.error;
+    return result.text;
 }
 
-// Export with the original name to maintain compatibility with existing code
 export {
-    askAI as askGoogleAI
-};
\ No newline at end of file
+    complete,
+    resolveModelProfile,
+    splitReasoning,
+    checkAIHealth,
+    getCircuitState,
+    cancelActiveGeneration,
+    askAI
+};
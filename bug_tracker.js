@@ -0,0 +1,265 @@
+// bug_tracker.js - Bug records, status lifecycle and history for the current project
+
+/*
+ * Bugs are kept on the project (db.state.currentProject.bugs) as
+ *   { id: 'B<n>', description, severity, status, reporter, assignee, files: [], history: [], createdAt, updatedAt }
+ * IDs are sequential per project (project.bugSequence). Every change is appended to
+ * `history` as { at, actor, action, from, to, comment }.
+ *
+ * Status lifecycle:
+ *   Open / Reopened --FIX_BUG--> Fixed --VERIFY_BUG--> Verified or Reopened
+ *   Verified --CLOSE_BUG--> Closed
+ * A Verified or Closed bug can be reopened (VERIFY_BUG status="Reopened") if it comes back.
+ * Operations never throw: a rejected operation returns { success: false, error } with
+ * the reason, which is fed back to the agent that attempted it.
+ */
+
+const SEVERITIES = ['High', 'Medium', 'Low'];
+
+// Allowed status changes: from -> [to]
+const TRANSITIONS = {
+    Open: ['Fixed'],
+    Reopened: ['Fixed'],
+    Fixed: ['Verified', 'Reopened'],
+    Verified: ['Closed', 'Reopened'],
+    Closed: ['Reopened']
+};
+
+// Statuses in which each specialist role can be given a bug: the roles that can FIX_BUG and VERIFY_BUG
+const ASSIGNABLE_STATUSES = {
+    'Executor-Code': ['Open', 'Reopened'],
+    'Executor-Test': ['Fixed']
+};
+
+const OPEN_STATUSES = ['Open', 'Reopened', 'Fixed'];
+
+/**
+ * Normalize a bug ID as agents write it ("B3", "b3", "#B3" or "3")
+ * @param {string} id - The ID
+ * @returns {string} - The canonical ID, e.g. "B3"
+ */
+function normalizeBugId(id) {
+    const match = String(id ?? '').trim().match(/^#?B?(\d+)$/i);
+    return match ? `B${parseInt(match[1], 10)}` : String(id ?? '').trim();
+}
+
+/**
+ * Split a comma-separated list of file paths
+ * @param {string|Array<string>|undefined} files - The list
+ * @returns {Array<string>} - The paths
+ */
+function parseFileList(files) {
+    const list = Array.isArray(files) ? files : String(files ?? '').split(',');
+    return list.map(file => String(file).trim()).filter(Boolean);
+}
+
+/**
+ * Find a bug of the project
+ * @param {Object} project - The current project
+ * @param {string} id - The bug ID
+ * @returns {Object} - { bug } or { error }
+ */
+function findBug(project, id) {
+    const bugId = normalizeBugId(id);
+    const bug = (project.bugs || []).find(b => b && b.id === bugId);
+    if (bug) return { bug };
+    const known = (project.bugs || []).map(b => b.id);
+    return { error: `Bug "${id}" does not exist${known.length > 0 ? ` (known bugs: ${known.join(', ')})` : ' (no bugs have been reported)'}.` };
+}
+
+/**
+ * Change the status of a bug, enforcing the lifecycle
+ * @param {Object} bug - The bug
+ * @param {string} to - The new status
+ * @param {Object} change - { actor, action, comment }
+ * @returns {Object} - { success, bug, error }
+ */
+function transitionBug(bug, to, { actor, action, comment = '' }) {
+    const allowed = TRANSITIONS[bug.status] || [];
+    if (!allowed.includes(to)) {
+        return {
+            success: false,
+            bug,
+            error: `${action} cannot move ${bug.id} from ${bug.status} to ${to}. From ${bug.status} a bug can only become ${allowed.join(' or ') || 'nothing else'}.`
+        };
+    }
+    const from = bug.status;
+    bug.status = to;
+    addHistory(bug, { actor, action, from, to, comment });
+    return { success: true, bug, error: null };
+}
+
+/**
+ * Append an entry to the history of a bug
+ * @param {Object} bug - The bug
+ * @param {Object} entry - { actor, action, from, to, comment }
+ */
+function addHistory(bug, { actor, action, from = null, to = null, comment = '' }) {
+    const at = new Date().toISOString();
+    bug.history.push({ at, actor, action, from, to, comment });
+    bug.updatedAt = at;
+}
+
+/**
+ * Add files to the related files of a bug
+ * @param {Object} bug - The bug
+ * @param {Array<string>} files - Workspace-relative paths
+ */
+function addRelatedFiles(bug, files) {
+    for (const file of files) {
+        if (!bug.files.includes(file)) bug.files.push(file);
+    }
+}
+
+/**
+ * Record a new bug (REPORT_BUG)
+ * @param {Object} project - The current project
+ * @param {Object} report - { description, severity, reporter, files }
+ * @returns {Object} - { success, bug, error }
+ */
+function reportBug(project, { description, severity, reporter, files = [] }) {
+    if (!description || !description.trim()) return { success: false, bug: null, error: 'REPORT_BUG needs a description.' };
+    const normalizedSeverity = SEVERITIES.find(s => s.toLowerCase() === String(severity ?? '').trim().toLowerCase());
+    if (!normalizedSeverity) {
+        return { success: false, bug: null, error: `REPORT_BUG severity must be one of ${SEVERITIES.join(', ')} (got "${severity}").` };
+    }
+    if (!project.bugs) project.bugs = [];
+    project.bugSequence = (project.bugSequence || project.bugs.length) + 1;
+    const now = new Date().toISOString();
+    const bug = {
+        id: `B${project.bugSequence}`,
+        description: description.trim(),
+        severity: normalizedSeverity,
+        status: 'Open',
+        reporter,
+        assignee: null,
+        files: parseFileList(files),
+        history: [],
+        createdAt: now,
+        updatedAt: now
+    };
+    addHistory(bug, { actor: reporter, action: 'REPORT_BUG', to: 'Open', comment: bug.description });
+    project.bugs.push(bug);
+    return { success: true, bug, error: null };
+}
+
+/**
+ * Mark a bug as fixed (FIX_BUG)
+ * @param {Object} project - The current project
+ * @param {Object} fix - { id, comment, actor, files }
+ * @returns {Object} - { success, bug, error }
+ */
+function fixBug(project, { id, comment = '', actor, files = [] }) {
+    const { bug, error } = findBug(project, id);
+    if (error) return { success: false, bug: null, error };
+    const result = transitionBug(bug, 'Fixed', { actor, action: 'FIX_BUG', comment });
+    if (result.success) addRelatedFiles(bug, parseFileList(files));
+    return result;
+}
+
+/**
+ * Record the verification of a fixed bug (VERIFY_BUG)
+ * @param {Object} project - The current project
+ * @param {Object} verification - { id, status ('Verified' or 'Reopened'), comment, actor }
+ * @returns {Object} - { success, bug, error }
+ */
+function verifyBug(project, { id, status, comment = '', actor }) {
+    const { bug, error } = findBug(project, id);
+    if (error) return { success: false, bug: null, error };
+    const to = ['Verified', 'Reopened'].find(s => s.toLowerCase() === String(status ?? '').trim().toLowerCase());
+    if (!to) return { success: false, bug, error: `VERIFY_BUG status must be Verified or Reopened (got "${status}").` };
+    const result = transitionBug(bug, to, { actor, action: 'VERIFY_BUG', comment });
+    // A reopened bug goes back to whoever has to fix it next
+    if (result.success && to === 'Reopened') bug.assignee = null;
+    return result;
+}
+
+/**
+ * Close a verified bug (CLOSE_BUG)
+ * @param {Object} project - The current project
+ * @param {Object} closing - { id, comment, actor }
+ * @returns {Object} - { success, bug, error }
+ */
+function closeBug(project, { id, comment = '', actor }) {
+    const { bug, error } = findBug(project, id);
+    if (error) return { success: false, bug: null, error };
+    return transitionBug(bug, 'Closed', { actor, action: 'CLOSE_BUG', comment });
+}
+
+/**
+ * Check that a bug can be given to a specialist role (ASSIGN_BUG), before a specialist is picked
+ * @param {Object} project - The current project
+ * @param {Object} assignment - { id, role }
+ * @returns {Object} - { success, bug, error }
+ */
+function checkBugAssignment(project, { id, role }) {
+    const { bug, error } = findBug(project, id);
+    if (error) return { success: false, bug: null, error };
+    const statuses = ASSIGNABLE_STATUSES[role];
+    if (!statuses) return { success: false, bug, error: `ASSIGN_BUG role must be one of ${Object.keys(ASSIGNABLE_STATUSES).join(', ')} (got "${role}").` };
+    if (!statuses.includes(bug.status)) {
+        return { success: false, bug, error: `${bug.id} is ${bug.status}; ${role} can only be assigned bugs that are ${statuses.join(' or ')}.` };
+    }
+    return { success: true, bug, error: null };
+}
+
+/**
+ * Record that a bug was given to a specialist (ASSIGN_BUG)
+ * @param {Object} bug - The bug (from checkBugAssignment)
+ * @param {Object} assignment - { assignee (specialist ID), actor, comment }
+ */
+function assignBug(bug, { assignee, actor, comment = '' }) {
+    bug.assignee = assignee;
+    addHistory(bug, { actor, action: 'ASSIGN_BUG', comment: `Assigned to ${assignee}${comment ? `: ${comment}` : ''}` });
+}
+
+/**
+ * Build the task description for a specialist assigned a bug
+ * @param {Object} bug - The bug
+ * @param {string} role - The specialist role
+ * @returns {string} - The task description
+ */
+function bugTaskDescription(bug, role) {
+    const files = bug.files.length > 0 ? ` (files: ${bug.files.join(', ')})` : '';
+    return role === 'Executor-Test'
+        ? `Verify the fix of bug ${bug.id}: ${bug.description}${files}`
+        : `Fix bug ${bug.id}: ${bug.description}${files}`;
+}
+
+/**
+ * Get the bugs that are not yet verified or closed
+ * @param {Object} project - The current project
+ * @returns {Array<Object>} - The bugs, most severe first
+ */
+function getOpenBugs(project) {
+    return (project?.bugs || [])
+        .filter(bug => bug && OPEN_STATUSES.includes(bug.status))
+        .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity));
+}
+
+/**
+ * Format a bug as one line for prompts
+ * @param {Object} bug - The bug
+ * @returns {string} - e.g. 'B2 [High, Fixed, assigned to Specialist-Executor-Code-1] Login fails (files: /app.js)'
+ */
+function formatBug(bug) {
+    const assignee = bug.assignee ? `, assigned to ${bug.assignee}` : '';
+    const files = bug.files?.length > 0 ? ` (files: ${bug.files.join(', ')})` : '';
+    const description = bug.description.length > 100 ? `${bug.description.substring(0, 97)}...` : bug.description;
+    const last = bug.history?.[bug.history.length - 1];
+    const lastComment = last && last.action !== 'REPORT_BUG' && last.comment ? ` - last: ${last.action} by ${last.actor}: "${last.comment.substring(0, 80)}"` : '';
+    return `${bug.id} [${bug.severity}, ${bug.status}${assignee}] ${description}${files}${lastComment}`;
+}
+
+export {
+    normalizeBugId,
+    reportBug,
+    fixBug,
+    verifyBug,
+    closeBug,
+    checkBugAssignment,
+    assignBug,
+    bugTaskDescription,
+    getOpenBugs,
+    formatBug
+};
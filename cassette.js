@@ -0,0 +1,176 @@
+// cassette.js - Record and replay LLM interactions for reproducible runs
+
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import { AI_CASSETTE_MODE, AI_CASSETTE_FILE } from './config.js';
+
+/*
+ * A cassette is a JSONL file with one entry per AI call, in call order:
+ *   { index, turn, role, promptHash, prompt, provider, model, profile, response: { text, reasoning, rawText, toolCalls, usage }, timestamp }
+ * In replay mode the Nth call of the run is served the Nth entry. If the turn,
+ * role or prompt hash no longer match, a divergence is reported and the recorded
+ * response is still served, so the rest of the run can be compared. Specialists
+ * running in parallel may finish in another order than they started, so an unserved
+ * entry of the same turn with the same role and prompt is preferred to the Nth one.
+ */
+
+let recordingStart = null; // Truncation of the cassette file, shared by concurrent first recordings
+let recordIndex = 0;
+let replayEntries = null;
+const servedEntries = new Set();
+const divergences = [];
+
+/**
+ * Render a prompt (string or chat messages) as plain text
+ * @param {string|Array<Object>} prompt - The prompt
+ * @returns {string} - The prompt text
+ */
+function promptToText(prompt) {
+    return Array.isArray(prompt)
+        ? prompt.map(m => `[${m.role}]\n${m.content}`).join('\n\n')
+        : String(prompt);
+}
+
+/**
+ * Hash a prompt for cassette matching
+ * @param {string|Array<Object>} prompt - The prompt
+ * @returns {string} - Short SHA-256 hex digest
+ */
+function hashPrompt(prompt) {
+    return crypto.createHash('sha256').update(promptToText(prompt)).digest('hex').substring(0, 16);
+}
+
+/**
+ * Find the first line where two prompts differ
+ * @param {string} recorded - The recorded prompt text
+ * @param {string} current - The current prompt text
+ * @returns {Object|null} - { line, recorded, current } or null if equal
+ */
+function findFirstDifference(recorded, current) {
+    const recordedLines = recorded.split('\n');
+    const currentLines = current.split('\n');
+    const length = Math.max(recordedLines.length, currentLines.length);
+    for (let i = 0; i < length; i++) {
+        if (recordedLines[i] !== currentLines[i]) {
+            return {
+                line: i + 1,
+                recorded: recordedLines[i] ?? '(end of prompt)',
+                current: currentLines[i] ?? '(end of prompt)'
+            };
+        }
+    }
+    return null;
+}
+
+/**
+ * Get the active cassette mode
+ * @returns {string} - 'off', 'record' or 'replay'
+ */
+function getCassetteMode() {
+    return ['record', 'replay'].includes(AI_CASSETTE_MODE) ? AI_CASSETTE_MODE : 'off';
+}
+
+/**
+ * Append an interaction to the cassette (record mode).
+ * The cassette file is truncated on the first recording of a run.
+ * @param {Object} interaction - { turn, role, prompt, provider, model, profile, response }
+ * @returns {Promise<void>}
+ */
+async function recordInteraction({ turn, role, prompt, provider, model, profile, response }) {
+    try {
+        if (!recordingStart) {
+            recordingStart = fs.writeFile(AI_CASSETTE_FILE, '', 'utf8');
+            console.log(`[SYSTEM] Recording AI interactions to ${AI_CASSETTE_FILE}`);
+        }
+        await recordingStart;
+        const entry = {
+            index: recordIndex++,
+            turn: turn ?? null,
+            role: role || null,
+            promptHash: hashPrompt(prompt),
+            prompt,
+            provider,
+            model,
+            profile,
+            response,
+            timestamp: new Date().toISOString()
+        };
+        await fs.appendFile(AI_CASSETTE_FILE, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (error) {
+        console.error("Error recording to cassette:", error);
+    }
+}
+
+/**
+ * Load the cassette file for replay (once per run)
+ * @returns {Promise<Array<Object>>} - The recorded entries
+ */
+async function loadCassette() {
+    if (replayEntries) return replayEntries;
+    const data = await fs.readFile(AI_CASSETTE_FILE, 'utf8');
+    replayEntries = data.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+    console.log(`[SYSTEM] Replaying ${replayEntries.length} AI interactions from ${AI_CASSETTE_FILE}`);
+    return replayEntries;
+}
+
+/**
+ * Serve the next recorded interaction (replay mode)
+ * @param {Object} call - { turn, role, prompt } of the current call
+ * @returns {Promise<Object|null>} - { entry, divergence } or null when the cassette is exhausted
+ */
+async function replayInteraction({ turn, role, prompt }) {
+    const entries = await loadCassette();
+    const next = entries.findIndex((_, i) => !servedEntries.has(i));
+    if (next === -1) return null;
+
+    const promptHash = hashPrompt(prompt);
+    const exact = entries.findIndex((e, i) => !servedEntries.has(i) && e.turn === entries[next].turn
+        && e.turn === (turn ?? null) && e.role === (role || null) && e.promptHash === promptHash);
+    const position = exact !== -1 ? exact : next;
+    servedEntries.add(position);
+    const entry = entries[position];
+    const reasons = [];
+    if (entry.turn !== (turn ?? null)) reasons.push(`turn ${entry.turn} recorded, ${turn} now`);
+    if (entry.role !== (role || null)) reasons.push(`role ${entry.role} recorded, ${role} now`);
+    if (entry.promptHash !== promptHash) reasons.push('prompt changed');
+
+    let divergence = null;
+    if (reasons.length > 0) {
+        divergence = {
+            index: entry.index,
+            turn: turn ?? null,
+            role: role || null,
+            reasons,
+            recordedHash: entry.promptHash,
+            currentHash: promptHash,
+            firstDifference: findFirstDifference(promptToText(entry.prompt), promptToText(prompt))
+        };
+        divergences.push(divergence);
+        console.warn(`[SYSTEM] Replay divergence at interaction ${entry.index} (${reasons.join('; ')})`);
+        if (divergence.firstDifference) {
+            const { line, recorded, current } = divergence.firstDifference;
+            console.warn(`[SYSTEM]   line ${line}:\n    recorded: ${recorded}\n    current:  ${current}`);
+        }
+    }
+    return { entry, divergence };
+}
+
+/**
+ * Summarize the replay so far
+ * @returns {Object} - { served, total, divergences }
+ */
+function getReplaySummary() {
+    return {
+        served: servedEntries.size,
+        total: replayEntries ? replayEntries.length : 0,
+        divergences: [...divergences]
+    };
+}
+
+export {
+    getCassetteMode,
+    hashPrompt,
+    recordInteraction,
+    replayInteraction,
+    getReplaySummary
+};
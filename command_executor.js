@@ -1,56 +1,199 @@
 // command_executor.js - Handle the execution of shell commands
 
-import { exec } from 'child_process';
-import { PROJECT_WORKSPACE } from './config.js';
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import { PROJECT_WORKSPACE, COMMAND_EXECUTION, COMMAND_SANDBOX } from './config.js';
+import { checkCommand, formatDenial } from './command_policy.js';
+import { sandboxedSpawn, limitExceededBy } from './command_sandbox.js';
+
+/*
+ * executeCommand() resolves to a result object:
+ *   { command, exitCode, signal, timedOut, timeoutMs, durationMs, stdout, stderr,
+ *     truncated: { stdout, stderr }, artifactPath, denied, sandbox, limitExceeded, error }
+ * stdout and stderr keep the first COMMAND_EXECUTION.headChars and the last tailChars
+ * characters, so the end of a long test run (where failures are summarized) survives. The
+ * full output is saved to a file in the workspace (artifactPath, for READ_FILE). `denied`
+ * is the command policy's { rule, reason, hint } for a command that did not run, `error`
+ * the reason a command could not be started. `sandbox` ({ limited, networkIsolated }, null
+ * when the sandbox is off) tells how the command was isolated (see command_sandbox.js), and
+ * `limitExceeded` names the resource limit that ended it.
+ */
+
+// Output kept in memory per stream (and in the artifact)
+const MAX_CAPTURE_CHARS = 5 * 1024 * 1024;
+
+let highestArtifactNumber = null; // Promise of the highest artifact number found at startup
+let artifactCount = 0;
 
 /**
- * Execute a shell command in the specified directory
- * @param {string} command - The command to execute
- * @param {string} cwd - The working directory for the command (defaults to PROJECT_WORKSPACE)
- * @returns {Promise<string>} - The command output
+ * Keep the beginning and the end of a text
+ * @param {string} text - The text
+ * @param {number} headChars - Characters kept from the beginning
+ * @param {number} tailChars - Characters kept from the end
+ * @returns {Object} - { text, truncated }
+ */
+function truncateHeadTail(text, headChars, tailChars) {
+    if (text.length <= headChars + tailChars) return { text, truncated: false };
+    const omitted = text.length - headChars - tailChars;
+    return {
+        text: `${text.substring(0, headChars)}\n... (${omitted} characters omitted) ...\n${text.substring(text.length - tailChars)}`,
+        truncated: true
+    };
+}
+
+/**
+ * Save the full output of a command to the artifacts directory, removing the oldest artifacts
+ * @param {Object} result - The command result
+ * @param {Object} output - { stdout, stderr }, untruncated
+ * @returns {Promise<string|null>} - The workspace-relative artifact path, or null if it could not be written
  */
-async function executeCommand(command, cwd = PROJECT_WORKSPACE) {
-    console.log(`[SYSTEM] Executing command: ${command} in ${cwd}`);
-    return new Promise((resolve) => {
-        // Basic command sanitization (example - enhance for security)
-        if (!command || typeof command !== 'string' || command.includes('&&') || command.includes('|') || command.includes(';')) {
-            console.error(`[SYSTEM] Potentially unsafe command blocked: ${command}`);
-            resolve("Error: Command blocked due to potentially unsafe characters.");
-            return;
+async function saveArtifact(result, output) {
+    const directory = path.join(PROJECT_WORKSPACE, COMMAND_EXECUTION.artifactsDir);
+    const artifactNumber = (file) => parseInt(file, 10) || 0;
+    try {
+        await fs.mkdir(directory, { recursive: true });
+        if (highestArtifactNumber === null) {
+            highestArtifactNumber = fs.readdir(directory).then(files => Math.max(0, ...files.map(artifactNumber)));
         }
+        const number = (await highestArtifactNumber) + ++artifactCount;
+        const slug = result.command.replace(/[^\w.-]+/g, '-').substring(0, 40).replace(/^[-.]+|[-.]+$/g, '') || 'command';
+        const name = `${String(number).padStart(3, '0')}-${slug}.log`;
+        const header = `$ ${result.command}\nExit code: ${result.exitCode ?? 'none'}${result.signal ? `, signal: ${result.signal}` : ''}${result.timedOut ? `, timed out after ${result.timeoutMs} ms` : ''}${result.limitExceeded ? `, exceeded the sandbox ${result.limitExceeded}` : ''}, duration: ${result.durationMs} ms\n`;
+        await fs.writeFile(path.join(directory, name), `${header}\n--- stdout ---\n${output.stdout}\n--- stderr ---\n${output.stderr}`, 'utf-8');
 
-        exec(command, { cwd, timeout: 15000, shell: process.env.SHELL || true }, (error, stdout, stderr) => { // Use default shell
-            let output = "";
-            const exitCode = error ? error.code : 0;
-            output += `Exit Code: ${exitCode}\n`; // Include exit code
+        const artifacts = (await fs.readdir(directory)).filter(file => /^\d+-.*\.log$/.test(file)).sort((a, b) => artifactNumber(a) - artifactNumber(b));
+        const stale = artifacts.slice(0, Math.max(0, artifacts.length - COMMAND_EXECUTION.maxArtifacts));
+        await Promise.all(stale.map(file => fs.rm(path.join(directory, file), { force: true })));
+        return `/${COMMAND_EXECUTION.artifactsDir}/${name}`;
+    } catch (error) {
+        console.warn(`[SYSTEM] Could not save the output of "${result.command}": ${error.message}`);
+        return null;
+    }
+}
 
-            if (stderr) {
-                console.warn(`[SYSTEM] Command Stderr (${command}):\n${stderr}`);
-                output += `Stderr:\n${stderr}\n`;
-            }
-            if (stdout) {
-                console.log(`[SYSTEM] Command Stdout (${command}):\n${stdout}`);
-                output += `Stdout:\n${stdout}\n`;
-            }
-            if (error) {
-                console.error(`[SYSTEM] Command Error (${command}): ${error.message}`);
-                // Don't double-print message if already in stderr
-                if (!stderr || !stderr.includes(error.message)) {
-                    output += `Error: ${error.message}\n`;
-                }
-            }
+/**
+ * Execute a shell command in the specified directory, if the command policy allows it
+ * @param {string} command - The command to execute
+ * @param {Object} options - Execution options
+ * @param {string} options.cwd - The working directory for the command (defaults to PROJECT_WORKSPACE)
+ * @param {number} options.timeoutMs - Timeout (defaults to COMMAND_EXECUTION.timeoutMs, at most maxTimeoutMs)
+ * @returns {Promise<Object>} - The command result (see above)
+ */
+async function executeCommand(command, { cwd = PROJECT_WORKSPACE, timeoutMs = COMMAND_EXECUTION.timeoutMs } = {}) {
+    const result = {
+        command,
+        exitCode: null,
+        signal: null,
+        timedOut: false,
+        timeoutMs: Math.min(Math.max(1000, timeoutMs || COMMAND_EXECUTION.timeoutMs), COMMAND_EXECUTION.maxTimeoutMs),
+        durationMs: 0,
+        stdout: '',
+        stderr: '',
+        truncated: { stdout: false, stderr: false },
+        artifactPath: null,
+        denied: null,
+        sandbox: null,
+        limitExceeded: null,
+        error: null
+    };
 
-            if (exitCode === 0 && !stderr && !stdout) {
-                output += "Command executed successfully with no output.";
-            } else if (exitCode !== 0 && !output.includes("Error:")) {
-                output += `Error: Command failed with exit code ${exitCode}.`; // Add generic error if specific one missed
-            }
+    const decision = checkCommand(command, undefined, cwd);
+    if (!decision.allowed) {
+        console.error(`[SYSTEM] Command denied by policy (${decision.rule}): ${command} - ${decision.reason}`);
+        result.denied = { rule: decision.rule, reason: decision.reason, hint: decision.hint };
+        return result;
+    }
+
+    const shell = process.env.SHELL || '/bin/sh';
+    const sandbox = COMMAND_SANDBOX.enabled
+        ? await sandboxedSpawn(command, shell)
+        : { file: shell, args: ['-c', command], env: process.env, limited: false, networkIsolated: false };
+    result.sandbox = COMMAND_SANDBOX.enabled ? { limited: sandbox.limited, networkIsolated: sandbox.networkIsolated } : null;
 
-            resolve(output.substring(0, 1500) + (output.length > 1500 ? "\n... (output truncated)" : ""));
+    console.log(`[SYSTEM] Executing command: ${command} in ${cwd}${COMMAND_SANDBOX.enabled ? ' (sandboxed)' : ''}`);
+    const started = Date.now();
+    const output = await new Promise((resolve) => {
+        const captured = { stdout: '', stderr: '' };
+        // In its own process group, so that a timeout also ends the processes it started
+        const child = spawn(sandbox.file, sandbox.args, { cwd, env: sandbox.env, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+        const killGroup = (signal) => {
+            try {
+                process.kill(-child.pid, signal);
+            } catch (error) {
+                // The group is gone already
+            }
+        };
+        for (const stream of ['stdout', 'stderr']) {
+            child[stream].setEncoding('utf-8');
+            child[stream].on('data', (chunk) => {
+                if (captured[stream].length < MAX_CAPTURE_CHARS) captured[stream] += chunk;
+            });
+        }
+        const timer = setTimeout(() => {
+            result.timedOut = true;
+            killGroup('SIGTERM');
+            setTimeout(() => killGroup('SIGKILL'), 2000).unref();
+        }, result.timeoutMs);
+        // Processes the command left behind would keep its output open
+        child.on('exit', () => {
+            if (child.pid) killGroup('SIGKILL');
+        });
+        child.on('error', (error) => {
+            clearTimeout(timer);
+            result.error = error.message;
+            resolve(captured);
+        });
+        child.on('close', (code, signal) => {
+            clearTimeout(timer);
+            if (result.error) return resolve(captured); // Not started; `code` is the spawn errno
+            result.exitCode = code;
+            result.signal = signal;
+            if (result.sandbox?.limited) result.limitExceeded = limitExceededBy(code, signal);
+            resolve(captured);
         });
     });
+    result.durationMs = Date.now() - started;
+
+    for (const stream of ['stdout', 'stderr']) {
+        const { text, truncated } = truncateHeadTail(output[stream], COMMAND_EXECUTION.headChars, COMMAND_EXECUTION.tailChars);
+        result[stream] = text;
+        result.truncated[stream] = truncated;
+    }
+    if (result.stderr) console.warn(`[SYSTEM] Command Stderr (${command}):\n${result.stderr}`);
+    if (result.stdout) console.log(`[SYSTEM] Command Stdout (${command}):\n${result.stdout}`);
+    if (result.exitCode !== 0) {
+        console.error(`[SYSTEM] Command Error (${command}): ${result.error || (result.timedOut ? `timed out after ${result.timeoutMs} ms` : `exit code ${result.exitCode ?? result.signal}`)}`);
+    }
+    result.artifactPath = await saveArtifact(result, output);
+    return result;
+}
+
+/**
+ * Render a command result for an agent prompt or the log
+ * @param {Object} result - The result of executeCommand()
+ * @returns {string} - Exit code, stderr, stdout and where the full output is
+ */
+function formatCommandResult(result) {
+    if (result.denied) return `Not run. ${formatDenial(result.denied)}`;
+    const status = [
+        `Exit Code: ${result.exitCode ?? 'none'}`,
+        result.signal ? `, killed by ${result.signal}` : '',
+        result.timedOut ? `, timed out after ${result.timeoutMs} ms` : '',
+        result.limitExceeded ? `, exceeded the sandbox ${result.limitExceeded}` : '',
+        ` (${result.durationMs} ms)`
+    ].join('');
+    const parts = [status];
+    if (result.error) parts.push(`Error: ${result.error}`);
+    for (const [stream, label] of [['stderr', 'Stderr'], ['stdout', 'Stdout']]) {
+        if (result[stream]) parts.push(`${label}${result.truncated[stream] ? ' (beginning and end)' : ''}:\n${result[stream].trimEnd()}`);
+    }
+    if (!result.stdout && !result.stderr && !result.error) parts.push('No output.');
+    if (result.artifactPath) parts.push(`Full output: ${result.artifactPath}`);
+    return parts.join('\n');
 }
 
 export {
-    executeCommand
-};
\ No newline at end of file
+    executeCommand,
+    formatCommandResult
+};
@@ -0,0 +1,372 @@
+// command_policy.js - Decide whether an agent command may run, from a declarative policy
+
+import fs from 'fs/promises';
+import path from 'path';
+import { PROJECT_WORKSPACE, DEFAULT_COMMAND_POLICY } from './config.js';
+
+/*
+ * A policy (DEFAULT_COMMAND_POLICY in config.js, or COMMAND_POLICY_FILE) has the form
+ *   { executables: { node: {}, git: { args: ['^status$'], denyArgs: [...] } },
+ *     shell: { pipes, chaining, redirection, substitution, variables, background, globbing },
+ *     denyPaths: ['.git'], workspaceOnly: true }
+ * The command is split into words and shell operators the way the shell would; each
+ * command of a pipeline or chain is checked on its own. A denial is returned as
+ *   { allowed: false, rule, reason, hint }
+ * with `rule` one of 'syntax', 'shell-feature', 'executable', 'argument' or 'path'.
+ */
+
+const SHELL_FEATURES = {
+    pipes: 'pipes (|)',
+    chaining: 'command chaining (&&, ||, ;, newlines)',
+    redirection: 'redirection (>, >>, <)',
+    substitution: 'command substitution ($(...), backticks, subshells)',
+    variables: 'shell variables ($VAR, VAR=value)',
+    background: 'background jobs (&)',
+    globbing: 'wildcards (*, ?, [...])'
+};
+
+let activePolicy = DEFAULT_COMMAND_POLICY;
+
+/**
+ * Split a command line into words and operators, recording the shell features it uses
+ * @param {string} command - The command line
+ * @returns {Object} - { tokens: [{ type: 'word', value, redirectTarget, glob } | { type: 'op', value }], features: Set, error }
+ */
+function tokenizeCommand(command) {
+    const tokens = [];
+    const features = new Set();
+    let word = null; // { value, redirectTarget, glob (has unquoted wildcards) }
+    let redirectNext = false;
+    const pushWord = () => {
+        if (word === null) return;
+        tokens.push({ type: 'word', value: word.value, redirectTarget: word.redirectTarget, glob: word.glob });
+        word = null;
+    };
+    const appendToWord = (text) => {
+        if (word === null) {
+            word = { value: '', redirectTarget: redirectNext, glob: false };
+            redirectNext = false;
+        }
+        word.value += text;
+    };
+    const pushOp = (op, feature) => {
+        pushWord();
+        tokens.push({ type: 'op', value: op });
+        features.add(feature);
+    };
+    // `$` starts a substitution or a variable unless it stands alone
+    const dollarFeature = (next) => (next === '(' ? 'substitution' : /[A-Za-z_{'"0-9@*#?$!-]/.test(next || '') ? 'variables' : null);
+
+    for (let i = 0; i < command.length; i++) {
+        const char = command[i];
+        const next = command[i + 1];
+        if (char === ' ' || char === '\t') {
+            pushWord();
+        } else if (char === '\n' || char === '\r') {
+            if (tokens.length > 0 || word !== null) pushOp(';', 'chaining');
+        } else if (char === '#' && word === null) {
+            while (i + 1 < command.length && command[i + 1] !== '\n') i++; // Comment
+        } else if (char === "'") {
+            const end = command.indexOf("'", i + 1);
+            if (end === -1) return { tokens, features, error: 'Unterminated single quote.' };
+            appendToWord(command.substring(i + 1, end));
+            i = end;
+        } else if (char === '"') {
+            let value = '';
+            let j = i + 1;
+            for (; j < command.length && command[j] !== '"'; j++) {
+                if (command[j] === '\\' && ['"', '\\', '$', '`'].includes(command[j + 1])) {
+                    value += command[++j];
+                    continue;
+                }
+                if (command[j] === '`') features.add('substitution');
+                if (command[j] === '$' && dollarFeature(command[j + 1])) features.add(dollarFeature(command[j + 1]));
+                value += command[j];
+            }
+            if (j >= command.length) return { tokens, features, error: 'Unterminated double quote.' };
+            appendToWord(value);
+            i = j;
+        } else if (char === '\\') {
+            appendToWord(next ?? '');
+            i++;
+        } else if (char === '`') {
+            features.add('substitution');
+            appendToWord(char);
+        } else if (char === '$') {
+            const feature = dollarFeature(next);
+            if (feature) features.add(feature);
+            appendToWord(char);
+        } else if (char === '|') {
+            if (next === '|') { pushOp('||', 'chaining'); i++; } else { pushOp('|', 'pipes'); }
+        } else if (char === '&') {
+            if (next === '&') { pushOp('&&', 'chaining'); i++; } else if (next === '>') { pushWord(); features.add('redirection'); redirectNext = true; i++; } else { pushOp('&', 'background'); }
+        } else if (char === ';') {
+            pushOp(';', 'chaining');
+        } else if (char === '(' || char === ')') {
+            pushWord();
+            features.add('substitution');
+        } else if (char === '>' || char === '<') {
+            // "2>&1" only duplicates a file descriptor and is always allowed
+            const duplicate = command.substring(i).match(/^>&(\d)/);
+            if (duplicate && (word === null || /^\d$/.test(word.value))) {
+                word = null;
+                i += duplicate[0].length - 1;
+                continue;
+            }
+            if (word !== null && /^\d$/.test(word.value)) word = null; // File descriptor, e.g. "2>"
+            pushWord();
+            if (char === '<' && next === '(') {
+                features.add('substitution');
+                continue;
+            }
+            features.add('redirection');
+            if (next === '>' || next === '|' || (char === '<' && next === '<')) i++;
+            redirectNext = true;
+        } else {
+            appendToWord(char);
+            if ('*?['.includes(char)) {
+                features.add('globbing');
+                word.glob = true;
+            }
+        }
+    }
+    pushWord();
+    return { tokens, features, error: null };
+}
+
+/**
+ * Check whether a word names a path
+ * @param {string} value - The word (an option like --out=dir/x is checked by its value)
+ * @returns {boolean} - True if it looks like a path
+ */
+function looksLikePath(value) {
+    return /^(~|\.\.?$|\.\.?\/|\/)/.test(value) || value.includes('/');
+}
+
+/**
+ * Check whether one path component of a wildcard pattern can match a name. A component
+ * starting with "*" or "?" never matches a name starting with a dot; brackets are assumed to match one.
+ * @param {string} component - The pattern component, e.g. ".gi?"
+ * @param {string} name - The name, e.g. ".git"
+ * @returns {boolean} - True if the shell could expand the component to the name
+ */
+function globComponentMatches(component, name) {
+    if (!/[*?[]/.test(component)) return component === name;
+    if (name.startsWith('.') && /^[*?]/.test(component)) return false;
+    const source = component.replace(/\[(!|\^)?([^\]]*)\]|[*?]|[^*?[]+|\[/g, (part, negated, members) => {
+        if (part === '*') return '.*';
+        if (part === '?') return '.';
+        if (part.startsWith('[') && part.endsWith(']')) return `[${negated ? '^' : ''}${members.replace(/[\\\]^]/g, '\\$&')}]`;
+        return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    });
+    try {
+        return new RegExp(`^${source}$`).test(name);
+    } catch (error) {
+        return true; // A pattern we cannot read is not trusted
+    }
+}
+
+/**
+ * Check whether a wildcard pattern can expand to a path through "." or "..", e.g. ".*" or "[.][.]/x"
+ * @param {string} pattern - The word with unquoted wildcards
+ * @returns {boolean} - True if one of its components can match "." or ".."
+ */
+function globCanMatchDots(pattern) {
+    return pattern.split('/').some(component => /[*?[]/.test(component) && (globComponentMatches(component, '.') || globComponentMatches(component, '..')));
+}
+
+/**
+ * Find the denyPaths entry a wildcard pattern can expand to or into, e.g. ".gi?/config" for ".git"
+ * @param {string} pattern - The word with unquoted wildcards
+ * @param {Object} policy - The policy
+ * @param {string} cwd - The directory the command runs in
+ * @returns {string|undefined} - The denied path, or undefined
+ */
+function globDeniedPath(pattern, policy, cwd) {
+    const components = path.resolve(cwd, pattern).split(path.sep);
+    return (policy.denyPaths || []).find(denied => {
+        const deniedComponents = path.resolve(PROJECT_WORKSPACE, denied).split(path.sep);
+        return components.length >= deniedComponents.length && deniedComponents.every((name, i) => globComponentMatches(components[i], name));
+    });
+}
+
+/**
+ * Check a path argument against denyPaths and workspaceOnly. Paths are resolved as the shell
+ * would (relative to cwd, "/..." from the file system root); denyPaths entries are relative
+ * to the workspace unless absolute
+ * @param {string} value - The argument
+ * @param {Object} policy - The policy
+ * @param {string} cwd - The directory the command runs in
+ * @returns {string|null} - The reason it is denied, or null
+ */
+function checkPathArgument(value, policy, cwd) {
+    const candidate = value.replace(/^--?[\w-]+=/, '');
+    if (!looksLikePath(candidate)) return null;
+    if (candidate.startsWith('~')) return policy.workspaceOnly ? `"${value}" points into a home directory, outside the workspace.` : null;
+    const resolved = path.resolve(cwd, candidate);
+    const relative = path.relative(PROJECT_WORKSPACE, resolved);
+    const outside = relative === '..' || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative);
+    if (policy.workspaceOnly && outside) return `"${value}" is outside the workspace.`;
+    for (const denied of policy.denyPaths || []) {
+        const deniedPath = path.resolve(PROJECT_WORKSPACE, denied);
+        if (resolved === deniedPath || resolved.startsWith(`${deniedPath}${path.sep}`)) return `"${value}" is inside the denied path "${denied}".`;
+    }
+    return null;
+}
+
+/**
+ * Check one command of a pipeline or chain
+ * @param {Array<string>} words - Its words
+ * @param {Object} policy - The policy
+ * @param {string} cwd - The directory the command runs in
+ * @returns {Object|null} - The denial, or null if it is allowed
+ */
+function checkSimpleCommand(words, policy, cwd) {
+    let index = 0;
+    while (index < words.length && /^[A-Za-z_][A-Za-z0-9_]*=/.test(words[index].value)) index++;
+    if (index > 0 && !policy.shell?.variables) {
+        return { rule: 'shell-feature', reason: `Setting ${words[0].value.split('=')[0]} before the command uses ${SHELL_FEATURES.variables}, which the command policy does not allow.`, hint: 'Run the command without variable assignments.' };
+    }
+    if (index >= words.length) return { rule: 'syntax', reason: 'A command in the pipeline or chain is empty.', hint: 'Remove the extra operator.' };
+
+    const executable = words[index].value;
+    const allowed = Object.keys(policy.executables || {});
+    const rule = policy.executables?.[executable];
+    if (!rule) {
+        return {
+            rule: 'executable',
+            reason: `"${executable}" is not an allowed executable.`,
+            hint: `Allowed executables: ${allowed.join(', ') || '(none)'}. Use file actions to create, change or delete files.`
+        };
+    }
+
+    for (const { value, redirectTarget, glob } of words.slice(index + 1)) {
+        if (!redirectTarget) {
+            const deniedBy = (rule.denyArgs || []).find(pattern => new RegExp(pattern).test(value));
+            if (deniedBy) return { rule: 'argument', reason: `Argument "${value}" of ${executable} is denied (matches /${deniedBy}/).`, hint: `Run ${executable} without it.` };
+            if (rule.args && !rule.args.some(pattern => new RegExp(pattern).test(value))) {
+                return { rule: 'argument', reason: `Argument "${value}" of ${executable} is not allowed.`, hint: `Arguments of ${executable} must match one of: ${rule.args.map(p => `/${p}/`).join(', ')}.` };
+            }
+        }
+        if (glob) {
+            const pattern = value.replace(/^--?[\w-]+=/, '');
+            if (policy.workspaceOnly && globCanMatchDots(pattern)) {
+                return { rule: 'path', reason: `"${value}" can expand to "." or "..", which may lead outside the workspace.`, hint: 'Write the path without wildcards in its dot components.' };
+            }
+            const deniedPath = globDeniedPath(pattern, policy, cwd);
+            if (deniedPath) return { rule: 'path', reason: `"${value}" can expand into the denied path "${deniedPath}".`, hint: 'Write the path without wildcards, or narrow them so they cannot match it.' };
+        }
+        const pathProblem = checkPathArgument(redirectTarget && !looksLikePath(value) ? `./${value}` : value, policy, cwd);
+        if (pathProblem) return { rule: 'path', reason: pathProblem, hint: 'Use workspace-relative paths such as "src/app.js".' };
+    }
+    // The executable itself may be given as a path, e.g. "./run.sh"
+    const executablePathProblem = checkPathArgument(executable, policy, cwd);
+    if (executablePathProblem) return { rule: 'path', reason: executablePathProblem, hint: 'Run scripts from the workspace.' };
+    return null;
+}
+
+/**
+ * Decide whether a command may run
+ * @param {string} command - The command line
+ * @param {Object} policy - The policy (defaults to the loaded one)
+ * @param {string} cwd - The directory the command runs in (defaults to PROJECT_WORKSPACE)
+ * @returns {Object} - { allowed: true } or { allowed: false, rule, reason, hint }
+ */
+function checkCommand(command, policy = activePolicy, cwd = PROJECT_WORKSPACE) {
+    if (!command || typeof command !== 'string' || !command.trim()) {
+        return { allowed: false, rule: 'syntax', reason: 'The command is empty.', hint: 'Give the command line to run.' };
+    }
+    const { tokens, features, error } = tokenizeCommand(command);
+    if (error) return { allowed: false, rule: 'syntax', reason: error, hint: 'Close every quote.' };
+
+    for (const feature of Object.keys(SHELL_FEATURES)) {
+        if (features.has(feature) && !policy.shell?.[feature]) {
+            return {
+                allowed: false,
+                rule: 'shell-feature',
+                reason: `The command uses ${SHELL_FEATURES[feature]}, which the command policy does not allow.`,
+                hint: `Allowed shell features: ${Object.keys(SHELL_FEATURES).filter(f => policy.shell?.[f]).join(', ') || 'none'}. Split the work into separate commands or file actions.`
+            };
+        }
+    }
+
+    let words = [];
+    for (const token of [...tokens, { type: 'op', value: 'end' }]) {
+        if (token.type === 'word') {
+            words.push(token);
+            continue;
+        }
+        if (words.length === 0 && token.value === 'end' && [';', '&'].includes(tokens[tokens.length - 1]?.value)) break; // Trailing ";" or "&"
+        const denial = checkSimpleCommand(words, policy, cwd);
+        if (denial) return { allowed: false, ...denial };
+        words = [];
+    }
+    return { allowed: true };
+}
+
+/**
+ * Validate a policy (regular expressions compile, known shell features)
+ * @param {Object} policy - The policy
+ * @returns {string|null} - The problem, or null if it is valid
+ */
+function validatePolicy(policy) {
+    if (!policy.executables || typeof policy.executables !== 'object') return '"executables" must be an object of executable names.';
+    for (const [name, rule] of Object.entries(policy.executables)) {
+        if (!rule || typeof rule !== 'object') return `The rule of "${name}" must be an object.`;
+        for (const pattern of [...(rule.args || []), ...(rule.denyArgs || [])]) {
+            try {
+                new RegExp(pattern);
+            } catch (error) {
+                return `Pattern "${pattern}" of "${name}" is not a valid regular expression: ${error.message}`;
+            }
+        }
+    }
+    const unknown = Object.keys(policy.shell || {}).filter(feature => !SHELL_FEATURES[feature]);
+    if (unknown.length > 0) return `Unknown shell feature(s) ${unknown.join(', ')} (known: ${Object.keys(SHELL_FEATURES).join(', ')}).`;
+    if (!Array.isArray(policy.denyPaths || [])) return '"denyPaths" must be a list of paths.';
+    return null;
+}
+
+/**
+ * Load the command policy file; the parts it sets replace those of DEFAULT_COMMAND_POLICY.
+ * A missing file keeps the default, an invalid one is reported and ignored.
+ * @param {string} file - Path of the policy file
+ * @returns {Promise<Object>} - The active policy
+ */
+async function loadCommandPolicy(file) {
+    let text;
+    try {
+        text = await fs.readFile(file, 'utf-8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') console.warn(`[SYSTEM] Cannot read command policy ${file}: ${error.message}`);
+        activePolicy = DEFAULT_COMMAND_POLICY;
+        return activePolicy;
+    }
+    try {
+        const loaded = JSON.parse(text);
+        const policy = { ...DEFAULT_COMMAND_POLICY, ...loaded, shell: { ...DEFAULT_COMMAND_POLICY.shell, ...(loaded.shell || {}) } };
+        const problem = validatePolicy(policy);
+        if (problem) throw new Error(problem);
+        activePolicy = policy;
+        console.log(`[SYSTEM] Loaded command policy from ${file} (${Object.keys(policy.executables).length} executables).`);
+    } catch (error) {
+        console.error(`[SYSTEM] Ignoring invalid command policy ${file}: ${error.message}. Using the default policy.`);
+        activePolicy = DEFAULT_COMMAND_POLICY;
+    }
+    return activePolicy;
+}
+
+/**
+ * Render a denial for the agent that issued the command
+ * @param {Object} denial - The result of checkCommand()
+ * @returns {string} - The denial text
+ */
+function formatDenial(denial) {
+    return `Denied by command policy (rule: ${denial.rule}): ${denial.reason}\nHint: ${denial.hint}`;
+}
+
+export {
+    checkCommand,
+    loadCommandPolicy,
+    formatDenial
+};
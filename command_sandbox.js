@@ -0,0 +1,99 @@
+// command_sandbox.js - Isolated environment and resource limits for agent commands
+
+import { spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { PROJECT_WORKSPACE, COMMAND_SANDBOX } from './config.js';
+
+/*
+ * With COMMAND_SANDBOX.enabled (config.js), executeCommand() runs a command as
+ *   [unshare -rn] [prlimit --cpu --as --fsize --nproc] <shell> -c <command>
+ * with an environment reduced to COMMAND_SANDBOX.env plus HOME and TMPDIR in the sandbox
+ * directory of the workspace. prlimit and unshare come with util-linux and need no root;
+ * unshare needs unprivileged user namespaces. Where one of them is missing or not permitted,
+ * commands run without that part and a warning is printed once.
+ */
+
+const toolChecks = new Map();
+
+/**
+ * Check once whether a wrapper tool runs here with the given arguments
+ * @param {string} tool - The tool, e.g. 'prlimit'
+ * @param {Array<string>} args - The arguments it will be used with
+ * @param {string} purpose - What is lost without it, for the warning
+ * @returns {boolean} - Whether `tool args true` succeeds
+ */
+function toolWorks(tool, args, purpose) {
+    const key = [tool, ...args].join(' ');
+    if (!toolChecks.has(key)) {
+        const probe = spawnSync(tool, [...args, 'true'], { stdio: 'ignore', timeout: 5000 });
+        const works = !probe.error && probe.status === 0;
+        if (!works) console.warn(`[SYSTEM] Command sandbox: "${key}" does not work here (${probe.error?.code || `exit code ${probe.status}`}); commands run without ${purpose}.`);
+        toolChecks.set(key, works);
+    }
+    return toolChecks.get(key);
+}
+
+/**
+ * The prlimit options for COMMAND_SANDBOX.limits. The hard CPU limit is a little higher, so
+ * that the command gets SIGXCPU at the soft limit instead of SIGKILL.
+ * @returns {Array<string>} - e.g. ['--cpu=60:65', '--as=2147483648', ...]
+ */
+function limitArguments() {
+    const { cpuSeconds, memoryMb, fileSizeMb, processes } = COMMAND_SANDBOX.limits;
+    const megabytes = (value) => value * 1024 * 1024;
+    return [
+        cpuSeconds ? `--cpu=${cpuSeconds}:${cpuSeconds + 5}` : null,
+        memoryMb ? `--as=${megabytes(memoryMb)}` : null,
+        fileSizeMb ? `--fsize=${megabytes(fileSizeMb)}` : null,
+        processes ? `--nproc=${processes}` : null
+    ].filter(Boolean);
+}
+
+/**
+ * Build how to spawn a command inside the sandbox
+ * @param {string} command - The command line
+ * @param {string} shell - The shell that runs it
+ * @returns {Promise<Object>} - { file, args, env, limited, networkIsolated }
+ */
+async function sandboxedSpawn(command, shell) {
+    const sandboxDirectory = path.join(PROJECT_WORKSPACE, COMMAND_SANDBOX.dir);
+    const home = path.join(sandboxDirectory, 'home');
+    const tmp = path.join(sandboxDirectory, 'tmp');
+    await fs.mkdir(home, { recursive: true });
+    await fs.mkdir(tmp, { recursive: true });
+
+    const env = { HOME: home, TMPDIR: tmp, TMP: tmp, TEMP: tmp };
+    for (const name of COMMAND_SANDBOX.env) {
+        if (process.env[name] !== undefined) env[name] = process.env[name];
+    }
+
+    let argv = [shell, '-c', command];
+    const limits = limitArguments();
+    const limited = limits.length > 0 && toolWorks('prlimit', limits, 'resource limits');
+    if (limited) argv = ['prlimit', ...limits, '--', ...argv];
+    const networkIsolated = COMMAND_SANDBOX.isolateNetwork && toolWorks('unshare', ['-rn'], 'network isolation');
+    if (networkIsolated) argv = ['unshare', '-rn', ...argv];
+
+    return { file: argv[0], args: argv.slice(1), env, limited, networkIsolated };
+}
+
+/**
+ * Tell which sandbox limit ended a command, if one did. Memory shows as failed allocations instead.
+ * @param {number|null} exitCode - The exit code (a shell reports a signal as 128 + its number)
+ * @param {string|null} signal - The signal that ended the command
+ * @returns {string|null} - e.g. 'CPU time limit (60 s)'
+ */
+function limitExceededBy(exitCode, signal) {
+    const { signals } = os.constants;
+    const ended = (name) => signal === name || exitCode === 128 + signals[name];
+    if (signals.SIGXCPU && ended('SIGXCPU')) return `CPU time limit (${COMMAND_SANDBOX.limits.cpuSeconds} s)`;
+    if (signals.SIGXFSZ && ended('SIGXFSZ')) return `file size limit (${COMMAND_SANDBOX.limits.fileSizeMb} MB)`;
+    return null;
+}
+
+export {
+    sandboxedSpawn,
+    limitExceededBy
+};
@@ -2,9 +2,69 @@
 
 import path from 'path';
 
+// LLM provider configuration ('ollama', 'openai', 'google' or 'mock')
+const AI_PROVIDER = process.env.AI_PROVIDER || 'ollama';
+
 // Ollama configuration
-const OLLAMA_API_URL = 'http://127.0.0.1:11434';
-const AI_MODEL_NAME = "qwen3:1.7b"; // Specific model as required
+const OLLAMA_API_URL = process.env.OLLAMA_API_URL || 'http://127.0.0.1:11434';
+const AI_MODEL_NAME = process.env.AI_MODEL_NAME || "qwen3:1.7b"; // Specific model as required
+const AI_STREAM_OUTPUT = process.env.AI_STREAM_OUTPUT !== 'false'; // Echo tokens to the console while generating
+const AI_CHAT_MODE = process.env.AI_CHAT_MODE === 'true'; // Drive agents through /api/chat with role-separated messages
+// Native tool calling instead of parsing ACTION lines ('off', 'tools' or 'format').
+// 'tools' sends tool schemas (needs a model with tool support, e.g. qwen3); 'format' asks
+// for a JSON action list via structured output. Both imply chat mode; ACTION text still works as a fallback.
+const AI_TOOL_MODE = process.env.AI_TOOL_MODE || 'off';
+
+// Per-role model profiles. `options` are Ollama generation options (temperature,
+// num_ctx, seed, stop, top_p, num_predict, ...); the other providers map the common ones.
+// A profile may also set `provider` to route that role to a different backend, and
+// `think` (true/false) to switch model reasoning (e.g. qwen3 <think> blocks) on or off;
+// leave `think` null to use the model's default (models without reasoning reject true).
+// Roles without their own profile use `default`.
+const MODEL_PROFILES = {
+    default: {
+        model: AI_MODEL_NAME,
+        options: { temperature: 0.6, num_ctx: 8192 },
+        think: null
+    },
+    SuperAgent: {
+        model: process.env.SUPERAGENT_MODEL || AI_MODEL_NAME, // Small planner
+        options: { temperature: 0.3, num_ctx: 8192 },
+        think: null
+    },
+    'Executor-Code': {
+        model: process.env.CODE_MODEL || AI_MODEL_NAME, // e.g. "qwen2.5-coder:7b"
+        options: { temperature: 0.2, num_ctx: 16384 },
+        think: null
+    },
+    'Executor-Test': {
+        model: process.env.TEST_MODEL || AI_MODEL_NAME,
+        options: { temperature: 0.2, num_ctx: 8192 },
+        think: null
+    },
+    'Executor-Design': {
+        model: process.env.DESIGN_MODEL || AI_MODEL_NAME, // e.g. "qwen3:0.6b"
+        options: { temperature: 0.7, num_ctx: 4096 },
+        think: false // Quick design turns don't need reasoning
+    }
+};
+
+// Record/replay of AI interactions ('off', 'record' or 'replay'). Replay serves
+// responses from the cassette instead of calling the model and reports prompt divergences.
+const AI_CASSETTE_MODE = process.env.AI_CASSETTE_MODE || 'off';
+const AI_CASSETTE_FILE = process.env.AI_CASSETTE_FILE || 'companion_cassette.jsonl';
+
+// Resilience settings for AI calls: retries with exponential backoff for transient
+// failures, and a circuit breaker that pauses the loop after repeated failed calls
+const AI_RETRY = { maxAttempts: 3, baseDelayMs: 1000, maxDelayMs: 15000 };
+const AI_CIRCUIT_BREAKER = { failureThreshold: 3, cooldownMs: 60000 };
+
+// OpenAI-compatible server configuration (llama.cpp server, vLLM, LM Studio, ...)
+const OPENAI_API_URL = process.env.OPENAI_API_URL || 'http://127.0.0.1:8080/v1';
+const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
+
+// Google Generative AI configuration
+const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY || '';
 
 // File paths
 const DB_FILE = 'companion_state.json';
@@ -13,12 +73,100 @@ const LOG_FILE = 'companion_log.jsonl';
 
 // Application constants
 const MAX_HISTORY_TURNS = 15;
+// Per-turn caps on repeated SuperAgent actions; actions over a cap are dropped and reported back to the agent
+const MAX_ACTIONS_PER_TURN = { READ_FILE: 5, LIST_DIRECTORY: 3, SEARCH_CODE: 3, FIND_FILES: 3, RUN_TEST_COMMAND: 3, DELEGATE_TASK: 3 };
+// How many times an agent is re-prompted in one turn when its response contains no usable action
+const MAX_CORRECTION_ATTEMPTS = 2;
+// How many delegated specialists may run at the same time. Raise it when the backend
+// serves requests in parallel (e.g. OLLAMA_NUM_PARALLEL=2, or several models loaded)
+const MAX_PARALLEL_SPECIALISTS = Math.max(1, parseInt(process.env.MAX_PARALLEL_SPECIALISTS || '1', 10) || 1);
+// Blocked specialist tasks: retries by the same specialist, then reassignments to another
+// specialist, then escalation to the user (see specialist_pool.js). Specialists idle, or
+// holding a task that did not run, for `staleTurns` turns are removed.
+const SPECIALIST_POLICY = { retriesPerSpecialist: 1, reassignments: 1, staleTurns: 5 };
+// Responses a specialist may give in one session (one run of its task): it reads, searches and
+// runs commands and sees the results until it reports TASK_COMPLETE / TASK_BLOCKED
+const SPECIALIST_SESSION_STEPS = Math.max(1, parseInt(process.env.SPECIALIST_SESSION_STEPS || '4', 10) || 4);
+// SEARCH_CODE / FIND_FILES limits: matches and file names returned, context lines around
+// each match, and the size above which files are not searched
+const CODE_SEARCH = { maxMatches: 50, maxFiles: 100, contextLines: 2, maxFileBytes: 1024 * 1024 };
+// Directory of custom action plugins (see action_registry.js); a missing directory loads none
+const ACTION_PLUGINS_DIR = process.env.ACTION_PLUGINS_DIR || path.resolve('./action_plugins');
+// Agent commands: default and maximum timeout (RUN_TEST_COMMAND timeout="..." picks one up to
+// the maximum), how much of stdout/stderr is kept for prompts (the first `headChars` and the
+// last `tailChars`), and the workspace directory the full output of each command is saved in,
+// keeping the newest `maxArtifacts` files
+const COMMAND_EXECUTION = {
+    timeoutMs: parseInt(process.env.COMMAND_TIMEOUT_MS || '15000', 10) || 15000,
+    maxTimeoutMs: 300000,
+    headChars: 500,
+    tailChars: 1500,
+    artifactsDir: '.command_output',
+    maxArtifacts: 20
+};
+// Sandbox for agent commands (see command_sandbox.js): only the `env` variables of the
+// operator's environment are passed on, HOME and TMPDIR point into `dir` in the workspace,
+// `limits` apply to every command (RLIMIT_NPROC counts all processes of the user) and
+// `isolateNetwork` runs commands without network access. COMMAND_SANDBOX=off turns it off.
+const COMMAND_SANDBOX = {
+    enabled: process.env.COMMAND_SANDBOX !== 'off',
+    env: ['PATH', 'LANG', 'LC_ALL', 'LC_CTYPE', 'TERM', 'TZ', 'USER', 'LOGNAME', 'SHELL', 'NODE_ENV'],
+    dir: '.sandbox',
+    limits: { cpuSeconds: 60, memoryMb: 2048, fileSizeMb: 100, processes: 2048 },
+    isolateNetwork: process.env.COMMAND_SANDBOX_NETWORK === 'isolate'
+};
+// Command policy (see command_policy.js): the file replaces the parts of the default it sets
+const COMMAND_POLICY_FILE = process.env.COMMAND_POLICY_FILE || path.resolve('./command_policy.json');
+const DEFAULT_COMMAND_POLICY = {
+    // Executables agents may run, with optional argument patterns: every argument must match
+    // one of `args`, and none may match `denyArgs` (regular expressions). Inline code
+    // (node -e, python3 -c, modules loaded from data: or http(s): URLs) would get around every other rule.
+    executables: {
+        node: { denyArgs: ['^(-e|--eval|-p|--print|-pe|-ep)(=|$)', '^(--(import|require|loader|experimental-loader)=|-r=)?([Dd][Aa][Tt][Aa]|[Hh][Tt][Tt][Pp][Ss]?):'] },
+        npm: { denyArgs: ['^(publish|unpublish|login|logout|adduser|exec|x|config|token)$'] },
+        python3: { denyArgs: ['^-[A-Za-z]*c'] },
+        git: { args: ['^(status|diff|log|show|ls-files|blame|grep)$', '^-'] },
+        ls: {}, cat: {}, head: {}, tail: {}, wc: {}, grep: {}, sort: {}, uniq: {}, diff: {}, echo: {}, pwd: {},
+        find: { denyArgs: ['^-(delete|exec(dir)?|ok(dir)?|fprint0?|fprintf|fls)$'] },
+        mkdir: {}, touch: {}
+    },
+    // Shell features: pipes (|), chaining (&&, ||, ;), redirection (>, <), substitution
+    // ($(...), backticks, subshells), variables ($VAR, VAR=value), background (&), globbing (*.js)
+    shell: { pipes: true, chaining: true, redirection: false, substitution: false, variables: false, background: false, globbing: true },
+    // Paths no argument may point into (workspace-relative, or absolute)
+    denyPaths: ['.git'],
+    // Deny path arguments outside the workspace (absolute paths elsewhere, "..", "~")
+    workspaceOnly: true
+};
 
 export {
+    AI_PROVIDER,
     OLLAMA_API_URL,
+    OPENAI_API_URL,
+    OPENAI_API_KEY,
+    GOOGLE_API_KEY,
     DB_FILE,
     PROJECT_WORKSPACE,
     LOG_FILE,
     MAX_HISTORY_TURNS,
-    AI_MODEL_NAME
+    MAX_ACTIONS_PER_TURN,
+    MAX_CORRECTION_ATTEMPTS,
+    MAX_PARALLEL_SPECIALISTS,
+    SPECIALIST_POLICY,
+    SPECIALIST_SESSION_STEPS,
+    CODE_SEARCH,
+    ACTION_PLUGINS_DIR,
+    COMMAND_EXECUTION,
+    COMMAND_SANDBOX,
+    COMMAND_POLICY_FILE,
+    DEFAULT_COMMAND_POLICY,
+    AI_MODEL_NAME,
+    AI_STREAM_OUTPUT,
+    AI_CHAT_MODE,
+    AI_TOOL_MODE,
+    MODEL_PROFILES,
+    AI_RETRY,
+    AI_CIRCUIT_BREAKER,
+    AI_CASSETTE_MODE,
+    AI_CASSETTE_FILE
 };
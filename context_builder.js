@@ -1,12 +1,41 @@
 // context_builder.js - Generate the specific prompt context for different AI agent roles
 
+import { MAX_HISTORY_TURNS, MAX_ACTIONS_PER_TURN } from './config.js';
+import { formatDiagnostics } from './action_parser.js';
+import { getActionsForRole } from './action_registry.js';
+import { getOpenBugs, formatBug } from './bug_tracker.js';
+import { formatBacklog } from './task_backlog.js';
+import { formatSpecialistStatus } from './specialist_pool.js';
+import { formatAcceptanceChecks } from './acceptance_checks.js';
+import { formatSessionResults } from './specialist_session.js';
+
+// Maximum characters of an execution result (file read, command output) per chat message
+const CHAT_RESULT_CHAR_LIMIT = 2000;
+// Maximum number of open bugs listed in a prompt (most severe first)
+const MAX_BUGS_IN_PROMPT = 5;
+const MAX_TASKS_IN_PROMPT = 10;
+
 /**
- * Generate context for the SuperAgent
+ * Build the feedback section on problems in the agent's last response
+ * @param {Object} agent - The agent (SuperAgent or specialist)
+ * @returns {string} - The section, or an empty string when the last response parsed cleanly
+ */
+function buildParserFeedback(agent) {
+    const diagnostics = agent?.lastParseDiagnostics || [];
+    if (diagnostics.length === 0) return '';
+    return `\nPARSER FEEDBACK ON YOUR LAST RESPONSE (correct these and use the exact ACTION formats):\n${formatDiagnostics(diagnostics)}\n`;
+}
+
+/**
+ * Build the system state section of the SuperAgent prompt
  * @param {Object} db - The database state
  * @param {Object|null} lastSpecialistEvent - The last event from a specialist (optional)
- * @returns {string} - The generated context
+ * @param {Object} sections - Which optional sections to include
+ * @param {boolean} sections.includeHistory - Include the recent event summary and last specialist event
+ * @param {boolean} sections.includeResults - Include the last console outputs, directory listings, file reads, searches and plugin results
+ * @returns {string} - The state section, or an "[ERROR: ...]" string
  */
-function generateSuperAgentContext(db, lastSpecialistEvent = null) {
+function buildSuperAgentState(db, lastSpecialistEvent = null, { includeHistory = true, includeResults = true } = {}) {
     const companionPhase = db.companionState?.phase || 'UNKNOWN';
     const project = db.state?.currentProject;
     const superAgent = db.superAgent;
@@ -17,21 +46,27 @@ function generateSuperAgentContext(db, lastSpecialistEvent = null) {
 
     // Generate status summary of active specialists
     const specialistStatus = activeSpecialists.length > 0 
-        ? activeSpecialists.map(s => `- ${s.id} (${s.role}): BUSY ("${s.taskDescription?.substring(0,30)}...")`)
+        ? activeSpecialists.map(s => `- ${s.id} (${s.role}): ${formatSpecialistStatus(s)}`)
         : ['- No active specialists'];
     
-    const openBugs = project.bugs?.filter(b => b && !['Verified', 'Closed'].includes(b.status)) || [];
+    const openBugs = getOpenBugs(project);
     const openBugsSummary = openBugs.length > 0 
-        ? `Open Bugs (${openBugs.length}): ${openBugs.map(b => `#${b.id}(${b.status}${b.assignedTo? `->${b.assignedTo.split('-').pop()}`:''})`).slice(0,3).join(', ')}${openBugs.length>3?'...':''}` 
+        ? `Open Bugs (${openBugs.length}):\n${openBugs.slice(0, MAX_BUGS_IN_PROMPT).map(bug => `- ${formatBug(bug)}`).join('\n')}${openBugs.length > MAX_BUGS_IN_PROMPT ? `\n- ... ${openBugs.length - MAX_BUGS_IN_PROMPT} more` : ''}` 
         : 'No open bugs.';
     
-    const consoleOutput = db.companionState?.lastConsoleOutput 
-        ? `\nLAST CONSOLE OUTPUT:\n\`\`\`\n${db.companionState.lastConsoleOutput}\n\`\`\`` 
-        : '';
+    const consoleOutput = (db.companionState?.lastConsoleOutputs || [])
+        .map(result => `\nLAST CONSOLE OUTPUT${result.command ? ` (${result.command})` : ''}:\n\`\`\`\n${result.output}\n\`\`\``)
+        .join('');
     
-    const recentHistory = db.log?.slice(-5) || [];
+    const recentHistory = (db.log || []).filter(entry => !entry.session).slice(-5);
     const historySummary = recentHistory.map(l => `[${l.actor}] ${l.event.substring(0, 70)}...`).join('\n');
     
+    // Blocked tasks the specialists gave up on, with the user's guidance
+    const escalations = (project.escalations || []).slice(-3);
+    const escalationSummary = escalations.length > 0
+        ? `Escalated Blocked Tasks (the specialists gave up; re-plan, fix the cause or re-delegate):\n${escalations.map(e => `- "${e.task.substring(0, 80)}" (${e.role}, ${e.attempts} attempts): ${e.reason.substring(0, 100)}${e.guidance ? ` | User guidance: ${e.guidance}` : ''}`).join('\n')}\n`
+        : '';
+
     // Add completed tasks summary
     const completedTasks = project.completedTasks || [];
     const recentCompletedTasks = completedTasks.slice(-5);
@@ -39,35 +74,50 @@ function generateSuperAgentContext(db, lastSpecialistEvent = null) {
         ? `Recently Completed Tasks (${recentCompletedTasks.length}):\n${recentCompletedTasks.map(task => `- "${task}"`).join('\n')}`
         : 'No recently completed tasks.';
 
-    // Add directory listing if available
-    const directoryListing = db.companionState?.lastDirectoryListing 
-        ? `\nLAST DIRECTORY LISTING (${db.companionState.lastDirectoryListing.path}):\n\`\`\`\n${db.companionState.lastDirectoryListing.formattedListing}\n\`\`\``
-        : '';
+    // Add directory listings if available
+    const directoryListing = (db.companionState?.lastDirectoryListings || [])
+        .map(listing => `\nLAST DIRECTORY LISTING (${listing.path}):\n\`\`\`\n${listing.formattedListing}\n\`\`\``)
+        .join('');
     
-    // Add file content if available
-    const fileContent = db.companionState?.lastFileReadContent
-        ? `\nLAST FILE READ (${db.companionState.lastFileReadContent.path}):\n\`\`\`\n${db.companionState.lastFileReadContent.content.substring(0, 1000)}${db.companionState.lastFileReadContent.content.length > 1000 ? '\n... (content truncated for context)' : ''}\n\`\`\``
-        : '';
+    // Add file contents if available (each read truncated to keep the prompt bounded)
+    const fileContent = (db.companionState?.lastFileReads || [])
+        .map(read => `\nLAST FILE READ (${read.path}):\n\`\`\`\n${read.content.substring(0, 1000)}${read.content.length > 1000 ? '\n... (content truncated for context)' : ''}\n\`\`\``)
+        .join('');
         
-    // Add file verification information if available
-    let fileVerificationInfo = '';
-    if (db.state.fileVerifications && db.state.fileVerifications.length > 0) {
-        const latestVerification = db.state.fileVerifications[db.state.fileVerifications.length - 1];
-        const successCount = latestVerification.results.filter(r => r.success).length;
-        const failCount = latestVerification.results.filter(r => !r.success).length;
+    // Add workspace search results if available
+    const searchResults = (db.companionState?.lastSearchResults || [])
+        .map(search => `\nLAST ${search.type === 'SEARCH_CODE' ? 'CODE SEARCH' : 'FILE SEARCH'} (${search.description}):\n\`\`\`\n${search.formattedResults}\n\`\`\``)
+        .join('');
         
-        fileVerificationInfo = `\nLATEST FILE OPERATIONS VERIFICATION (${latestVerification.agentId}):\n`;
-        fileVerificationInfo += `Task: "${latestVerification.task}"\n`;
-        fileVerificationInfo += `Status: ${successCount} successful, ${failCount} failed\n`;
+    // Add results of plugin actions if available
+    const pluginResults = (db.companionState?.lastPluginResults || [])
+        .map(result => `\nLAST ${result.name} (${result.agentId}${result.success ? '' : ', FAILED'}):\n\`\`\`\n${result.success ? result.output : `Error: ${result.error}`}\n\`\`\``)
+        .join('');
         
-        // Add details of failed operations if any
-        if (failCount > 0) {
-            fileVerificationInfo += "Failed Operations:\n";
-            latestVerification.results
-                .filter(r => !r.success)
-                .forEach(r => {
-                    fileVerificationInfo += `- ${r.type} on "${r.path}" failed: ${r.error}\n`;
-                });
+    // Add file verification information if available (every specialist of the latest turn, when several ran in parallel)
+    let fileVerificationInfo = '';
+    if (db.state.fileVerifications && db.state.fileVerifications.length > 0) {
+        const lastTurn = db.state.fileVerifications[db.state.fileVerifications.length - 1].turn;
+        const latestVerifications = lastTurn === undefined
+            ? db.state.fileVerifications.slice(-1)
+            : db.state.fileVerifications.filter(v => v.turn === lastTurn);
+        for (const latestVerification of latestVerifications) {
+            const successCount = latestVerification.results.filter(r => r.success).length;
+            const failCount = latestVerification.results.filter(r => !r.success).length;
+
+            fileVerificationInfo += `\nLATEST FILE OPERATIONS VERIFICATION (${latestVerification.agentId}):\n`;
+            fileVerificationInfo += `Task: "${latestVerification.task}"\n`;
+            fileVerificationInfo += `Status: ${successCount} successful, ${failCount} failed\n`;
+
+            // Add details of failed operations if any
+            if (failCount > 0) {
+                fileVerificationInfo += "Failed Operations:\n";
+                latestVerification.results
+                    .filter(r => !r.success)
+                    .forEach(r => {
+                        fileVerificationInfo += `- ${r.type} on "${r.path}"${r.destination ? ` -> "${r.destination}"` : ''} failed: ${r.error}\n${formatFailedHunks(r)}`;
+                    });
+            }
         }
     }
 
@@ -80,47 +130,50 @@ function generateSuperAgentContext(db, lastSpecialistEvent = null) {
     promptHeader += `Bugs: ${openBugsSummary}\n`;
     promptHeader += `Current Focus: ${superAgent.currentFocus || 'None'}\n`;
     promptHeader += `Active Specialists:\n${specialistStatus.join('\n')}\n`;
+    promptHeader += escalationSummary;
     promptHeader += `${completedTasksSummary}\n`;
+    promptHeader += formatBacklog(project, MAX_TASKS_IN_PROMPT) || 'Task Backlog: empty (use PLAN to write one).\n';
     
-    if (historySummary) {
+    if (includeHistory && historySummary) {
         promptHeader += `Recent Event History (last 5):\n${historySummary}\n`;
     }
     
     // Include the last specialist event if provided
-    if (lastSpecialistEvent) {
+    if (includeHistory && lastSpecialistEvent) {
         promptHeader += `\nLAST SPECIALIST EVENT (${lastSpecialistEvent.actor}):\n\`\`\`\n${lastSpecialistEvent.event.substring(0, 300)}...\n\`\`\`\n`;
     }
     
     promptHeader += fileVerificationInfo;
-    promptHeader += consoleOutput;
-    promptHeader += directoryListing;
-    promptHeader += fileContent;
-    promptHeader += "\n\n";
+    promptHeader += buildParserFeedback(superAgent);
+    if (includeResults) {
+        promptHeader += consoleOutput;
+        promptHeader += directoryListing;
+        promptHeader += fileContent;
+        promptHeader += searchResults;
+        promptHeader += pluginResults;
+    }
+
+    return promptHeader;
+}
 
+/**
+ * Build the instruction section of the SuperAgent prompt
+ * @returns {string} - The instructions and action formats
+ */
+function buildSuperAgentInstructions() {
     // SuperAgent instructions
     let superAgentInstructions = "Instruction: Analyze the current state, goal, and recent events. Determine the most critical action to progress. You can either:\n\n";
     
-    // Direct actions the SuperAgent can perform
-    superAgentInstructions += "1. PERFORM DIRECT ACTIONS:\n";
-    superAgentInstructions += "*   `ACTION: READ_FILE path=\"/path/to/read.ext\"` (To get the content of a specific file)\n";
-    superAgentInstructions += "*   `ACTION: LIST_DIRECTORY path=\"/path/to/list/\"` (To get contents of a specific directory)\n";
-    superAgentInstructions += "*   `ACTION: RUN_TEST_COMMAND command=\"command to run\"` (To execute a test or system command)\n";
-    // superAgentInstructions += "*   `ACTION: CREATE_FILE path=\"/path/to/file.ext\"`\n```\nFile Content Here\n```\n";
-    // superAgentInstructions += "*   `ACTION: MODIFY_FILE path=\"/path/to/existing/file.ext\"`\n```\nNew Full File Content Here\n```\n";
-    // superAgentInstructions += "*   `ACTION: CREATE_DIRECTORY path=\"/path/to/new_dir/\"`\n";
-    
-    // Delegation to specialists
-    superAgentInstructions += "\n2. DELEGATE TO SPECIALISTS:\n";
-    superAgentInstructions += "*   `ACTION: DELEGATE_TASK role=\"Executor-Code\" description=\"Clear, specific, actionable coding task\"`\n";
-    superAgentInstructions += "*   `ACTION: DELEGATE_TASK role=\"Executor-Test\" description=\"Clear, specific, actionable testing task\"`\n";
-    superAgentInstructions += "*   `ACTION: DELEGATE_TASK role=\"Executor-Design\" description=\"Clear, specific, actionable design task\"`\n";
-    
-    // System actions
-    superAgentInstructions += "\n3. SYSTEM ACTIONS:\n";
-    superAgentInstructions += "*   `SYSTEM_ACTION: CHANGE_PHASE phase=\"NewPhase\" reason=\"Justification\"` (If criteria met, e.g., goal achieved, testing passed)\n";
-    superAgentInstructions += "*   `SYSTEM_ACTION: CHANGE_STATUS status=\"NewStatus\" reason=\"Justification\"`\n";
-    superAgentInstructions += "*   `SYSTEM_ACTION: WAIT reason=\"Why waiting, e.g., Waiting for specialist to complete task\"`\n";
-    superAgentInstructions += "*   `SYSTEM_ACTION: REQUEST_USER_INPUT reason=\"Why input needed, e.g., Awaiting next goal\"`\n\n";
+    // Direct actions, planning, delegation and system actions, as declared in the action registry
+    const sections = [['direct', 'PERFORM DIRECT ACTIONS'], ['plan', 'PLAN THE WORK (TASK BACKLOG)'], ['delegate', 'DELEGATE TO SPECIALISTS'], ['system', 'SYSTEM ACTIONS']];
+    const actions = getActionsForRole('SuperAgent');
+    sections.forEach(([section, title], i) => {
+        superAgentInstructions += `${i > 0 ? '\n' : ''}${i + 1}. ${title}:\n`;
+        for (const action of actions.filter(a => a.section === section)) {
+            action.usage.forEach(usage => { superAgentInstructions += `*   ${usage}\n`; });
+        }
+    });
+    superAgentInstructions += "\n";
     
     superAgentInstructions += "CRITICAL CONSTRAINTS:\n";
     superAgentInstructions += "1. DO NOT re-assign recently completed tasks.\n";
@@ -128,9 +181,136 @@ function generateSuperAgentContext(db, lastSpecialistEvent = null) {
     superAgentInstructions += "3. If LAST SPECIALIST EVENT contains 'TASK_BLOCKED:', DO NOT WAIT. Analyze the reason and take appropriate action.\n";
     superAgentInstructions += "4. Use READ/LIST actions if more info needed BEFORE delegating tasks.\n";
     superAgentInstructions += "5. For complex tasks requiring specialized knowledge, DELEGATE rather than attempting directly.\n";
-    superAgentInstructions += "6. Respond ONLY with the single chosen action string.\n";
+    superAgentInstructions += "6. Respond ONLY with action strings, one per line. Several READ/LIST/SEARCH/FIND/RUN/DELEGATE actions may be combined in one response " +
+        `(at most ${Object.entries(MAX_ACTIONS_PER_TURN).map(([name, max]) => `${max} ${name}`).join(', ')}); they are executed in order.\n`;
+    superAgentInstructions += "7. Keep the Task Backlog current: PLAN the work once, then DELEGATE_NEXT_TASK for each Ready task; ADD, SPLIT, REORDER or CANCEL tasks as you learn more.\n";
 
-    return promptHeader + superAgentInstructions;
+    return superAgentInstructions;
+}
+
+/**
+ * Generate context for the SuperAgent
+ * @param {Object} db - The database state
+ * @param {Object|null} lastSpecialistEvent - The last event from a specialist (optional)
+ * @returns {string} - The generated context
+ */
+function generateSuperAgentContext(db, lastSpecialistEvent = null) {
+    const state = buildSuperAgentState(db, lastSpecialistEvent);
+    if (state.startsWith('[ERROR')) return state;
+    return state + "\n\n" + buildSuperAgentInstructions();
+}
+
+/**
+ * Build the prompt that asks an agent to correct a response without a usable action:
+ * the original prompt, the rejected response and what was expected
+ * @param {string|Array<Object>} context - The original prompt text or chat messages
+ * @param {string} response - The rejected response
+ * @param {string} explanation - What was wrong and what is expected
+ * @returns {string|Array<Object>} - The prompt in the same form as `context`
+ */
+function buildCorrectionContext(context, response, explanation) {
+    const note = `YOUR LAST RESPONSE COULD NOT BE USED: ${explanation}\nRespond again with the corrected actions only, in the exact formats from the instructions. Do NOT add conversational text.`;
+    const rejected = response && response.trim() ? response : '(empty response)';
+    if (Array.isArray(context)) {
+        return [...context, { role: 'assistant', content: rejected }, { role: 'user', content: note }];
+    }
+    return `${context}\n\nYOUR LAST RESPONSE:\n\`\`\`\n${rejected}\n\`\`\`\n\n${note}`;
+}
+
+/**
+ * Render the hunks of an APPLY_PATCH / EDIT_FILE result that did not apply
+ * @param {Object} result - A file operation result from fileVerifications
+ * @returns {string} - One line per failed hunk (empty if none)
+ */
+function formatFailedHunks(result) {
+    return (result.failedHunks || [])
+        .map(h => `    - hunk ${h.index}${h.header ? ` (${h.header})` : ''}: ${h.error}\n`)
+        .join('');
+}
+
+/**
+ * Render a log entry as the content of a chat message
+ * @param {Object} entry - The log entry
+ * @returns {string} - The message content
+ */
+function formatLogEntryForChat(entry) {
+    if (entry.actor === 'USER') return entry.event;
+    const error = entry.error ? `\nError: ${entry.error}` : '';
+    const failures = (entry.results || [])
+        .filter(r => r && r.success === false)
+        .map(r => `\n- ${r.type} on "${r.path}"${r.destination ? ` -> "${r.destination}"` : ''} failed: ${r.error}\n${formatFailedHunks(r)}`.trimEnd())
+        .join('');
+    const output = entry.output
+        ? `\n\`\`\`\n${String(entry.output).substring(0, CHAT_RESULT_CHAR_LIMIT)}${String(entry.output).length > CHAT_RESULT_CHAR_LIMIT ? '\n... (truncated)' : ''}\n\`\`\``
+        : '';
+    return `[${entry.actor}] ${entry.event}${error}${failures}${output}`;
+}
+
+/**
+ * Append a message, merging it into the previous one when the role repeats
+ * (several chat templates require user/assistant turns to alternate)
+ * @param {Array<Object>} messages - The message list to append to
+ * @param {Object} message - The { role, content } message
+ */
+function appendChatMessage(messages, message) {
+    const last = messages[messages.length - 1];
+    if (last && last.role === message.role && message.role !== 'system') {
+        last.content += `\n\n${message.content}`;
+    } else {
+        messages.push({ role: message.role, content: message.content });
+    }
+}
+
+/**
+ * Turn the event log into chat messages from the point of view of one agent.
+ * The MAX_HISTORY_TURNS window is applied per log entry (i.e. per message).
+ * @param {Array<Object>} log - The event log (db.log)
+ * @param {string} selfId - ID of the agent whose own turns become assistant messages
+ * @param {Function} include - Filter selecting the relevant log entries
+ * @returns {Array<Object>} - The history as { role, content } messages
+ */
+function buildChatHistory(log, selfId, include = () => true) {
+    const messages = [];
+    for (const entry of (log || []).filter(e => e && e.event && include(e)).slice(-MAX_HISTORY_TURNS)) {
+        const role = entry.actor === selfId ? 'assistant' : 'user';
+        appendChatMessage(messages, { role, content: role === 'assistant' ? entry.event : formatLogEntryForChat(entry) });
+    }
+    return messages;
+}
+
+/**
+ * Build the note that tells the model how to act in tool-calling mode
+ * @param {string} toolMode - 'tools', 'format' or 'off'
+ * @returns {string} - The note (empty when tool calling is off)
+ */
+function buildToolModeNote(toolMode) {
+    if (toolMode === 'tools') {
+        return `\n\n**TOOL CALLING:** Perform every action by calling the provided tools (one call per action, file content in the "content" argument). The ACTION text formats above are only a fallback if you cannot call tools.`;
+    }
+    if (toolMode === 'format') {
+        return `\n\n**JSON OUTPUT:** Reply only with JSON of the form {"actions": [{"tool": "<ACTION NAME>", "arguments": {...}}]}, using the attribute names of the ACTION formats above as argument names (file content goes in "content").`;
+    }
+    return '';
+}
+
+/**
+ * Generate role-separated chat messages for the SuperAgent (/api/chat mode).
+ * Instructions go in the system message, earlier turns and their execution
+ * results become user/assistant messages, and the current state closes the conversation.
+ * @param {Object} db - The database state
+ * @param {Object} options - Message options
+ * @param {string} options.toolMode - Tool-calling mode ('tools', 'format' or 'off')
+ * @returns {Array<Object>|string} - The messages, or an "[ERROR: ...]" string
+ */
+function generateSuperAgentMessages(db, { toolMode = 'off' } = {}) {
+    const state = buildSuperAgentState(db, null, { includeHistory: false, includeResults: false });
+    if (state.startsWith('[ERROR')) return state;
+
+    const messages = [{ role: 'system', content: `You are the SuperAgent (ID: ${db.superAgent.id}) orchestrating a software project.\n\n${buildSuperAgentInstructions()}${buildToolModeNote(toolMode)}` }];
+    // The results of the specialists' own reads and commands are shown to them only
+    buildChatHistory(db.log, db.superAgent.id, entry => !entry.session).forEach(message => appendChatMessage(messages, message));
+    appendChatMessage(messages, { role: 'user', content: `${state}\nRespond with your next action.` });
+    return messages;
 }
 
 /**
@@ -141,6 +321,23 @@ function generateSuperAgentContext(db, lastSpecialistEvent = null) {
  * @returns {string} - The generated context
  */
 function generateSpecialistContext(specialist, db, superAgentTriggerEvent) {
+    const tasking = buildSpecialistTasking(specialist, db, superAgentTriggerEvent);
+    if (tasking.startsWith('[ERROR')) return tasking;
+    // In chat mode the results are part of the conversation history instead
+    const results = specialist.session?.results?.length > 0
+        ? `Results of Your Previous Response:\n${formatSessionResults(specialist.session.results)}\n\n`
+        : '';
+    return tasking + results + buildSpecialistInstructions(specialist) + `\nExecute and provide output now:`;
+}
+
+/**
+ * Build the tasking section of a specialist prompt (project, task and triggering delegation)
+ * @param {Object} specialist - The specialist agent
+ * @param {Object} db - The database state
+ * @param {string} superAgentTriggerEvent - The event from the SuperAgent that triggered this specialist
+ * @returns {string} - The tasking section, or an "[ERROR: ...]" string
+ */
+function buildSpecialistTasking(specialist, db, superAgentTriggerEvent) {
     const project = db.state?.currentProject;
     if (!project || !specialist) return "[ERROR: Missing project or specialist data for context]";
     
@@ -149,31 +346,57 @@ function generateSpecialistContext(specialist, db, superAgentTriggerEvent) {
     let prompt = `SPECIALIST EXECUTOR TASKING (ID: ${specialist.id}, ROLE: ${specialist.role}):\n\n`;
     prompt += `Project: ${project.name} (${project.status})\n`;
     prompt += `Assigned Task Description: "${taskDesc}"\n`;
-    prompt += `Project Files (summary): ${db.state?.projectStructure || 'None'}\n\n`;
+    if (specialist.acceptanceChecks) {
+        prompt += `Acceptance Checks (the system runs them when you report TASK_COMPLETE and refuses the completion if one fails): ${formatAcceptanceChecks(specialist.acceptanceChecks)}\n`;
+    }
+    if (specialist.session) {
+        prompt += `Session: response ${specialist.session.step} of ${specialist.session.steps} for this task. Report TASK_COMPLETE or TASK_BLOCKED by the last one.\n`;
+    }
+    prompt += `Project Files (summary): ${db.state?.projectStructure || 'None'}\n`;
+    // Bugs assigned to this specialist first, then the other open bugs
+    const bugs = getOpenBugs(project).sort((a, b) => (b.assignee === specialist.id) - (a.assignee === specialist.id));
+    if (bugs.length > 0) {
+        prompt += `Open Bugs:\n${bugs.slice(0, MAX_BUGS_IN_PROMPT).map(bug => `- ${formatBug(bug)}${bug.assignee === specialist.id ? ' (ASSIGNED TO YOU)' : ''}`).join('\n')}\n`;
+    }
+    if (specialist.blocked) {
+        prompt += specialist.blocked.attempts > 0
+            ? `Your Last Attempt Was Blocked: "${specialist.blocked.reason}". Try a different approach, or report TASK_BLOCKED with exactly what is missing.\n`
+            : `This Task Was Reassigned To You: a previous specialist was blocked by "${specialist.blocked.reason}". Try a different approach.\n`;
+    }
+    prompt += `\n`;
 
     // Provide the specific instruction/event from the SuperAgent that triggered this
     const relevantInstruction = superAgentTriggerEvent || "Execute assigned task based on project goal and status.";
     prompt += `Triggering SuperAgent Delegation:\n>>>\n${relevantInstruction.substring(0, 300)}...\n>>>\n\n`;
+    const feedback = buildParserFeedback(specialist);
+    if (feedback) prompt += `${feedback.trimStart()}\n`;
 
-    prompt += `Instruction for ${specialist.id}:\n`;
+    return prompt;
+}
+
+/**
+ * Build the instruction section of a specialist prompt (action formats and response rules)
+ * @param {Object} specialist - The specialist agent
+ * @returns {string} - The instructions
+ */
+function buildSpecialistInstructions(specialist) {
+    const taskDesc = specialist.taskDescription || 'None (awaiting instructions)';
+
+    let prompt = `Instruction for ${specialist.id}:\n`;
     prompt += `1. Execute your assigned task ("${taskDesc}") precisely.\n`;
     prompt += `2. Output deliverables/results using STRICT ACTION formats:\n`;
     
-    // Common file operations for all specialists
-    prompt += `    *   Code/Text Files: \`ACTION: CREATE_FILE path="/path/to/file.ext"\`\n\`\`\`\nFile Content Here\n\`\`\`\n`;
-    prompt += `    *   File Modifications: \`ACTION: MODIFY_FILE path="/path/to/existing/file.ext"\`\n\`\`\`\nNew Full File Content Here\n\`\`\`\n`;
-    prompt += `    *   Directory Creation: \`ACTION: CREATE_DIRECTORY path="/path/to/new_dir/"\`\n`;
-    
-    // Role-specific ACTIONs with clearer instructions
-    if (specialist.role === 'Executor-Test') {
-        prompt += `    *   Bug Reporting: \`ACTION: REPORT_BUG description="Detailed description..." severity="High/Medium/Low"\`\n`;
-        prompt += `    *   Bug Verification: \`ACTION: VERIFY_BUG id="B..." status="Verified/Reopened" comment="..."\`\n`;
-    } else if (specialist.role === 'Executor-Code') {
-        prompt += `    *   Bug Fixing: \`ACTION: FIX_BUG id="B..." comment="Fixed by [changes]"\` (Use AFTER modifying files)\n`;
+    // File operations for all specialists and the role's bug actions, as declared in the action registry
+    for (const action of getActionsForRole(specialist.role)) {
+        action.usage.forEach(usage => { prompt += `    *   ${usage}\n`; });
+    }
+    
+    // Role-specific clarifications
+    if (specialist.role === 'Executor-Code') {
         // Add clearer instructions for the Coder specialist
         prompt += `\nIMPORTANT CLARIFICATION FOR CODE EXECUTOR:\n`;
         prompt += `- When asked to create code/scripts: Use CREATE_FILE to write the code content to a file, NOT to output commands.\n`;
-        prompt += `- If you need to execute a command: Request the SuperAgent to run it via a TASK_BLOCKED message.\n`;
+        prompt += `- If you need to execute a command (e.g. to run tests): Use RUN_TEST_COMMAND and check its output in your next response.\n`;
         prompt += `- NEVER include executable shell commands as file content unless explicitly creating a script file.\n`;
         prompt += `- Always include complete, runnable code in file content - not command instructions.\n`;
     } else if (specialist.role === 'Executor-Design') {
@@ -182,13 +405,38 @@ function generateSpecialistContext(specialist, db, superAgentTriggerEvent) {
     
     prompt += `3. On SUCCESSFUL and FULL completion of the task, respond ONLY with the exact phrase: \`TASK_COMPLETE: ${taskDesc}\`\n`;
     prompt += `4. If task completion is BLOCKED or impossible, respond ONLY with the exact format: \`TASK_BLOCKED: [Clear reason for blockage]\`\n`;
-    prompt += `5. Critical Constraint: Your entire response MUST be either file/bug ACTIONs OR ONE TASK_COMPLETE OR ONE TASK_BLOCKED message. Do NOT add conversational text.\n`;
-    prompt += `\nExecute and provide output now:`;
+    prompt += `5. Critical Constraint: Your entire response MUST be ACTIONs, optionally followed by ONE TASK_COMPLETE or ONE TASK_BLOCKED line. Do NOT add conversational text.\n`;
+    prompt += `6. The results of READ_FILE, LIST_DIRECTORY, SEARCH_CODE, FIND_FILES and RUN_TEST_COMMAND are shown in your next response, after your file actions are applied. They are not run in a response that reports TASK_COMPLETE or TASK_BLOCKED.\n`;
     
     return prompt;
 }
 
+/**
+ * Generate role-separated chat messages for a specialist (/api/chat mode).
+ * The specialist's own earlier turns and the verification of its file
+ * operations are replayed as user/assistant messages.
+ * @param {Object} specialist - The specialist agent
+ * @param {Object} db - The database state
+ * @param {string} superAgentTriggerEvent - The event from the SuperAgent that triggered this specialist
+ * @param {Object} options - Message options
+ * @param {string} options.toolMode - Tool-calling mode ('tools', 'format' or 'off')
+ * @returns {Array<Object>|string} - The messages, or an "[ERROR: ...]" string
+ */
+function generateSpecialistMessages(specialist, db, superAgentTriggerEvent, { toolMode = 'off' } = {}) {
+    const tasking = buildSpecialistTasking(specialist, db, superAgentTriggerEvent);
+    if (tasking.startsWith('[ERROR')) return tasking;
+
+    const messages = [{ role: 'system', content: `You are a specialist executor (ID: ${specialist.id}, ROLE: ${specialist.role}).\n\n${buildSpecialistInstructions(specialist)}${buildToolModeNote(toolMode)}` }];
+    buildChatHistory(db.log, specialist.id, entry => entry.actor === specialist.id || entry.agentId === specialist.id)
+        .forEach(message => appendChatMessage(messages, message));
+    appendChatMessage(messages, { role: 'user', content: `${tasking}Execute and provide output now:` });
+    return messages;
+}
+
 export {
     generateSuperAgentContext,
-    generateSpecialistContext
+    generateSuperAgentMessages,
+    generateSpecialistContext,
+    generateSpecialistMessages,
+    buildCorrectionContext
 };
\ No newline at end of file
@@ -2,7 +2,8 @@
 
 import fs from 'fs/promises';
 import path from 'path';
-import { PROJECT_WORKSPACE } from './config.js';
+import { PROJECT_WORKSPACE, CODE_SEARCH, COMMAND_EXECUTION, COMMAND_SANDBOX } from './config.js';
+import { applyUnifiedDiff, applySearchReplace } from './patch_utils.js';
 
 /**
  * Get the project file structure
@@ -133,6 +134,238 @@ async function performReadFile(relativePath) {
     }
 }
 
+// --- Workspace search (SEARCH_CODE / FIND_FILES) ---
+
+// Never searched, whether or not an ignore file lists them
+const ALWAYS_IGNORED = ['.git', 'node_modules'];
+// Workspace directories the system writes to (command output, the sandbox's HOME and TMPDIR);
+// READ_FILE still reads them
+const SYSTEM_DIRECTORIES = [COMMAND_EXECUTION.artifactsDir, COMMAND_SANDBOX.dir];
+const IGNORE_FILES = ['.gitignore', '.ignore'];
+
+/**
+ * Convert a glob to a regular expression source. Supports *, **, ? and {a,b}.
+ * @param {string} glob - The glob
+ * @returns {string} - The regular expression source (unanchored)
+ */
+function globToRegExpSource(glob) {
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        if (char === '*' && glob[i + 1] === '*') {
+            i++;
+            if (glob[i + 1] === '/') { i++; source += '(?:.*/)?'; } else { source += '.*'; }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{' && glob.indexOf('}', i) > i) {
+            const end = glob.indexOf('}', i);
+            source += `(?:${glob.slice(i + 1, end).split(',').map(globToRegExpSource).join('|')})`;
+            i = end;
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return source;
+}
+
+/**
+ * Build a matcher for a glob. A glob without "/" matches file names at any depth
+ * ("*.js"), otherwise it matches the workspace-relative path ("src/**\/*.js").
+ * @param {string} glob - The glob
+ * @returns {Function} - (relativePath) => boolean
+ */
+function globMatcher(glob) {
+    const pattern = glob.replace(/^\.?\//, '');
+    const regex = new RegExp(`^${globToRegExpSource(pattern)}$`);
+    if (!pattern.includes('/')) return (relativePath) => regex.test(path.posix.basename(relativePath));
+    return (relativePath) => regex.test(relativePath);
+}
+
+/**
+ * Read the ignore rules of one directory (gitignore syntax: comments, "!" negation,
+ * trailing "/" for directories only, patterns with a "/" anchored to the directory)
+ * @param {string} absoluteDir - The directory
+ * @param {string} relativeDir - The same directory relative to the workspace ('' for the root)
+ * @returns {Promise<Array<Object>>} - [{ base, regex, negate, dirOnly, anchored }]
+ */
+async function readIgnoreRules(absoluteDir, relativeDir) {
+    const rules = [];
+    for (const fileName of IGNORE_FILES) {
+        let text;
+        try {
+            text = await fs.readFile(path.join(absoluteDir, fileName), 'utf8');
+        } catch (error) {
+            continue; // No ignore file of this kind here
+        }
+        for (let line of text.split(/\r?\n/)) {
+            line = line.trim();
+            if (!line || line.startsWith('#')) continue;
+            const negate = line.startsWith('!');
+            if (negate) line = line.substring(1);
+            const dirOnly = line.endsWith('/');
+            if (dirOnly) line = line.replace(/\/+$/, '');
+            const anchored = line.includes('/');
+            line = line.replace(/^\//, '');
+            if (!line) continue;
+            rules.push({ base: relativeDir, regex: new RegExp(`^${globToRegExpSource(line)}$`), negate, dirOnly, anchored });
+        }
+    }
+    return rules;
+}
+
+/**
+ * Check a path against the ignore rules in effect; the last matching rule wins
+ * @param {Array<Object>} rules - Rules from readIgnoreRules(), outermost directory first
+ * @param {string} relativePath - Workspace-relative path
+ * @param {boolean} isDirectory - Whether the path is a directory
+ * @returns {boolean} - True if the path is ignored
+ */
+function isIgnored(rules, relativePath, isDirectory) {
+    let ignored = false;
+    for (const rule of rules) {
+        if (rule.dirOnly && !isDirectory) continue;
+        const fromBase = rule.base ? relativePath.substring(rule.base.length + 1) : relativePath;
+        const subject = rule.anchored ? fromBase : path.posix.basename(relativePath);
+        if (rule.regex.test(subject)) ignored = !rule.negate;
+    }
+    return ignored;
+}
+
+/**
+ * List the files of the workspace that are not ignored, in sorted order
+ * @returns {Promise<Array<Object>>} - [{ relativePath, absolutePath, size }]
+ */
+async function listWorkspaceFiles() {
+    const files = [];
+    const walk = async (absoluteDir, relativeDir, inheritedRules) => {
+        const rules = [...inheritedRules, ...(await readIgnoreRules(absoluteDir, relativeDir))];
+        let entries;
+        try {
+            entries = await fs.readdir(absoluteDir, { withFileTypes: true });
+        } catch (error) {
+            return; // Unreadable directory: nothing to search
+        }
+        entries.sort((a, b) => a.name.localeCompare(b.name));
+        for (const entry of entries) {
+            if (ALWAYS_IGNORED.includes(entry.name)) continue;
+            const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+            if (SYSTEM_DIRECTORIES.includes(relativePath)) continue;
+            const absolutePath = path.join(absoluteDir, entry.name);
+            if (isIgnored(rules, relativePath, entry.isDirectory())) continue;
+            if (entry.isDirectory()) {
+                await walk(absolutePath, relativePath, rules);
+            } else if (entry.isFile()) {
+                files.push({ relativePath, absolutePath });
+            }
+        }
+    };
+    await walk(PROJECT_WORKSPACE, '', []);
+    return files;
+}
+
+/**
+ * Read a file for searching, skipping large and binary files
+ * @param {string} absolutePath - The file
+ * @returns {Promise<string|null>} - The content, or null if the file should not be searched
+ */
+async function readSearchableFile(absolutePath) {
+    const stats = await fs.stat(absolutePath);
+    if (stats.size > CODE_SEARCH.maxFileBytes) return null;
+    const buffer = await fs.readFile(absolutePath);
+    // A NUL byte near the start is the usual sign of a binary file
+    if (buffer.subarray(0, 8000).includes(0)) return null;
+    return buffer.toString('utf8');
+}
+
+/**
+ * Search the workspace for a regular expression
+ * @param {string} pattern - JavaScript regular expression (without slashes)
+ * @param {string|null} glob - Only search files matching this glob (optional)
+ * @returns {Promise<Object>} - { success, pattern, glob, matchCount, truncated, formattedResults } or { success: false, error }
+ */
+async function performSearchCode(pattern, glob = null) {
+    let regex;
+    try {
+        regex = new RegExp(pattern);
+    } catch (error) {
+        console.warn(`[SYSTEM] Invalid SEARCH_CODE pattern: ${pattern}`);
+        return { success: false, pattern, glob, error: error.message };
+    }
+    const matchesGlob = glob ? globMatcher(glob) : () => true;
+
+    try {
+        const sections = [];
+        let matchCount = 0;
+        let truncated = false;
+        for (const file of await listWorkspaceFiles()) {
+            if (!matchesGlob(file.relativePath)) continue;
+            const content = await readSearchableFile(file.absolutePath);
+            if (content === null) continue;
+
+            const lines = content.split(/\r?\n/);
+            if (content.endsWith('\n')) lines.pop();
+            const matchedLines = [];
+            for (let i = 0; i < lines.length; i++) {
+                if (!regex.test(lines[i])) continue;
+                if (matchCount >= CODE_SEARCH.maxMatches) { truncated = true; break; }
+                matchedLines.push(i);
+                matchCount++;
+            }
+            if (matchedLines.length > 0) {
+                // Context ranges of nearby matches are merged, grep-style: "file:12:" for matches, "file-13-" for context
+                const shown = new Set();
+                matchedLines.forEach(i => {
+                    for (let j = Math.max(0, i - CODE_SEARCH.contextLines); j <= Math.min(lines.length - 1, i + CODE_SEARCH.contextLines); j++) shown.add(j);
+                });
+                const output = [];
+                let previous = null;
+                [...shown].sort((a, b) => a - b).forEach(i => {
+                    if (previous !== null && i > previous + 1) output.push('--');
+                    const separator = matchedLines.includes(i) ? ':' : '-';
+                    output.push(`${file.relativePath}${separator}${i + 1}${separator} ${lines[i]}`);
+                    previous = i;
+                });
+                sections.push(output.join('\n'));
+            }
+            if (truncated) break;
+        }
+
+        console.log(`[SYSTEM] Code search /${pattern}/${glob ? ` in ${glob}` : ''}: ${matchCount} match(es)${truncated ? ' (truncated)' : ''}`);
+        const formattedResults = sections.length > 0
+            ? sections.join('\n--\n') + (truncated ? `\n... (stopped after ${CODE_SEARCH.maxMatches} matches; narrow the pattern or glob)` : '')
+            : 'No matches.';
+        return { success: true, pattern, glob, matchCount, truncated, formattedResults };
+    } catch (error) {
+        console.error(`[SYSTEM] Error searching workspace:`, error.code, error.message);
+        return { success: false, pattern, glob, error: `File system error: ${error.code || error.message}` };
+    }
+}
+
+/**
+ * Find workspace files by name
+ * @param {string} glob - Glob matched against file names ("*.test.js") or paths ("src/**\/*.js")
+ * @returns {Promise<Object>} - { success, glob, files, truncated, formattedResults } or { success: false, error }
+ */
+async function performFindFiles(glob) {
+    if (!glob || typeof glob !== 'string') return { success: false, glob, error: 'Missing glob' };
+    try {
+        const matchesGlob = globMatcher(glob);
+        const allMatches = (await listWorkspaceFiles()).filter(file => matchesGlob(file.relativePath)).map(file => file.relativePath);
+        const files = allMatches.slice(0, CODE_SEARCH.maxFiles);
+        const truncated = allMatches.length > files.length;
+        console.log(`[SYSTEM] Find files ${glob}: ${allMatches.length} file(s)`);
+        const formattedResults = files.length > 0
+            ? files.join('\n') + (truncated ? `\n... (${allMatches.length - files.length} more; narrow the glob)` : '')
+            : 'No files found.';
+        return { success: true, glob, files, truncated, formattedResults };
+    } catch (error) {
+        console.error(`[SYSTEM] Error finding files:`, error.code, error.message);
+        return { success: false, glob, error: `File system error: ${error.code || error.message}` };
+    }
+}
+
 // --- File Operation Queue to prevent race conditions ---
 const fileOperationQueue = [];
 let isProcessingQueue = false;
@@ -155,7 +388,8 @@ async function processFileOperationQueue() {
         const result = await performFileActionInternal(
             operation.action, 
             operation.relativePath, 
-            operation.content
+            operation.content,
+            operation.options
         );
         
         // Call the callback with the result
@@ -178,18 +412,21 @@ async function processFileOperationQueue() {
 
 /**
  * Safely perform file operations by adding them to a queue
- * @param {string} action - The action to perform (CREATE_FILE, MODIFY_FILE, CREATE_DIRECTORY)
- * @param {string} relativePath - The relative path to perform the action on
+ * @param {string} action - The action to perform (CREATE_FILE, MODIFY_FILE, APPLY_PATCH, EDIT_FILE, APPEND_FILE,
+ *                          CREATE_DIRECTORY, DELETE_FILE, DELETE_DIRECTORY, MOVE_PATH, COPY_PATH)
+ * @param {string} relativePath - The relative path to perform the action on (the source for MOVE_PATH / COPY_PATH)
  * @param {string} content - The content for file operations (optional)
+ * @param {Object} options - { destination } for MOVE_PATH / COPY_PATH, { recursive } for DELETE_DIRECTORY
  * @returns {Promise<Object>} - The result of the operation
  */
-async function performFileAction(action, relativePath, content = '') {
+async function performFileAction(action, relativePath, content = '', options = {}) {
     return new Promise((resolve) => {
         // Add the operation to the queue
         fileOperationQueue.push({
             action,
             relativePath,
             content,
+            options,
             callback: resolve
         });
         
@@ -201,13 +438,11 @@ async function performFileAction(action, relativePath, content = '') {
 }
 
 /**
- * Internal implementation of performFileAction
- * @param {string} action - The action to perform
- * @param {string} relativePath - The relative path to perform the action on
- * @param {string} content - The content for file operations (optional)
- * @returns {Promise<Object>} - The result of the operation
+ * Normalize a workspace-relative path and check that it stays inside the workspace
+ * @param {string} relativePath - The path as given by the agent
+ * @returns {Object} - { relativePath, absolutePath } or { error }
  */
-async function performFileActionInternal(action, relativePath, content = '') {
+function resolveWorkspacePath(relativePath) {
     // Handle special case where path starts with "/workspace/"
     if (relativePath && typeof relativePath === 'string' && relativePath.startsWith('/workspace/')) {
         console.log(`[SYSTEM] Normalizing path from "/workspace/${relativePath.substring(10)}" to "${relativePath.substring(10)}"`);
@@ -221,7 +456,7 @@ async function performFileActionInternal(action, relativePath, content = '') {
     // Basic path validation
     if (!relativePath || typeof relativePath !== 'string' || relativePath.includes('..') || path.isAbsolute(relativePath)) {
         console.warn(`[SYSTEM] Invalid or forbidden path specified: ${relativePath}`);
-        return { success: false, error: 'Invalid path' };
+        return { error: 'Invalid path' };
     }
     
     const absolutePath = path.resolve(PROJECT_WORKSPACE, relativePath);
@@ -230,8 +465,59 @@ async function performFileActionInternal(action, relativePath, content = '') {
     // Ensure path stays within the workspace directory
     if (!absolutePath.startsWith(PROJECT_WORKSPACE + path.sep) && absolutePath !== PROJECT_WORKSPACE) {
         console.warn(`[SYSTEM] Attempt to access path outside workspace rejected: ${relativePath}`);
-        return { success: false, error: 'Path outside workspace' };
+        return { error: 'Path outside workspace' };
     }
+    return { relativePath, absolutePath };
+}
+
+/**
+ * Check whether a path exists
+ * @param {string} absolutePath - The absolute path
+ * @returns {Promise<boolean>} - True if something exists at the path
+ */
+async function pathExists(absolutePath) {
+    try {
+        await fs.access(absolutePath);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Resolve the destination of MOVE_PATH / COPY_PATH. A destination ending in "/"
+ * means "into this directory", keeping the source name.
+ * @param {string} destination - The destination as given by the agent
+ * @param {string} sourceAbsolutePath - The resolved source path
+ * @returns {Promise<Object>} - { relativePath, absolutePath } or { error }
+ */
+async function resolveDestination(destination, sourceAbsolutePath) {
+    if (!destination) return { error: 'Missing destination path' };
+    const target = typeof destination === 'string' && destination.endsWith('/')
+        ? destination + path.basename(sourceAbsolutePath)
+        : destination;
+    const resolved = resolveWorkspacePath(target);
+    if (resolved.error) return resolved;
+    if (resolved.absolutePath === sourceAbsolutePath) return { error: 'Source and destination are the same path' };
+    if (resolved.absolutePath.startsWith(sourceAbsolutePath + path.sep)) return { error: 'Cannot move or copy a directory into itself' };
+    // Never overwrite: the agent has to delete the target first if that is what it wants
+    if (await pathExists(resolved.absolutePath)) return { error: `Destination already exists: ${resolved.relativePath}` };
+    return resolved;
+}
+
+/**
+ * Internal implementation of performFileAction
+ * @param {string} action - The action to perform
+ * @param {string} relativePath - The relative path to perform the action on
+ * @param {string} content - The content for file operations (optional)
+ * @param {Object} options - { destination, recursive } (see performFileAction)
+ * @returns {Promise<Object>} - The result of the operation
+ */
+async function performFileActionInternal(action, relativePath, content = '', options = {}) {
+    const resolved = resolveWorkspacePath(relativePath);
+    if (resolved.error) return { success: false, error: resolved.error };
+    relativePath = resolved.relativePath;
+    const absolutePath = resolved.absolutePath;
 
     try {
         action = action.toUpperCase();
@@ -280,6 +566,64 @@ async function performFileActionInternal(action, relativePath, content = '') {
                 
                 return { success: true, path: relativePath };
 
+            case 'APPLY_PATCH':
+            case 'EDIT_FILE': {
+                // `content` is a unified diff (APPLY_PATCH) or SEARCH/REPLACE blocks (EDIT_FILE)
+                if (!content || content.trim() === '') {
+                    return { success: false, error: `Empty ${action === 'APPLY_PATCH' ? 'patch' : 'edit blocks'}.` };
+                }
+                let currentContent;
+                try {
+                    currentContent = await fs.readFile(absolutePath, 'utf8');
+                } catch (err) {
+                    if (err.code !== 'ENOENT') throw err;
+                    console.warn(`[SYSTEM] Cannot ${action} on non-existent file: "${relativePath}"`);
+                    return { success: false, error: `Cannot ${action} on non-existent file. Use CREATE_FILE for new files.` };
+                }
+
+                const patchResult = action === 'APPLY_PATCH'
+                    ? applyUnifiedDiff(currentContent, content)
+                    : applySearchReplace(currentContent, content);
+                const failedHunks = patchResult.hunks.filter(h => !h.success);
+                const appliedCount = patchResult.hunks.length - failedHunks.length;
+
+                // Hunks that matched are kept even when others failed; the failures are reported for a retry
+                if (appliedCount > 0) await fs.writeFile(absolutePath, patchResult.content, 'utf8');
+                console.log(`[SYSTEM] ${action} on ${relativePath}: ${appliedCount} of ${patchResult.hunks.length} hunk(s) applied`);
+                failedHunks.forEach(h => console.warn(`[SYSTEM] Hunk ${h.index}${h.header ? ` (${h.header})` : ''} failed: ${h.error}`));
+
+                if (failedHunks.length > 0) {
+                    return {
+                        success: false,
+                        path: relativePath,
+                        error: `${failedHunks.length} of ${patchResult.hunks.length} hunk(s) failed${appliedCount > 0 ? ` (${appliedCount} applied)` : ''}. READ_FILE the file and retry the failed hunks against its current content.`,
+                        hunks: patchResult.hunks
+                    };
+                }
+                return { success: true, path: relativePath, hunks: patchResult.hunks };
+            }
+
+            case 'APPEND_FILE': {
+                if (relativePath.endsWith('/')) {
+                    return { success: false, error: `Cannot ${action} on a directory path.` };
+                }
+                if (content === null || content === undefined || content === '') {
+                    return { success: false, error: 'Nothing to append.' };
+                }
+                // Start the appended text on its own line
+                let separator = '';
+                try {
+                    const existing = await fs.readFile(absolutePath, 'utf8');
+                    if (existing.length > 0 && !existing.endsWith('\n')) separator = '\n';
+                } catch (err) {
+                    if (err.code !== 'ENOENT') throw err;
+                }
+                await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+                await fs.appendFile(absolutePath, separator + content, 'utf8');
+                console.log(`[SYSTEM] Appended ${content.length} characters to ${relativePath}`);
+                return { success: true, path: relativePath };
+            }
+
             case 'CREATE_DIRECTORY':
                 // Ensure path ends with slash for clarity, although mkdir handles both
                 if (!relativePath.endsWith('/')) relativePath += '/';
@@ -287,6 +631,52 @@ async function performFileActionInternal(action, relativePath, content = '') {
                 console.log(`[SYSTEM] Directory created: ${relativePath}`);
                 return { success: true, path: relativePath };
 
+            case 'DELETE_FILE': {
+                const stats = await fs.stat(absolutePath);
+                if (!stats.isFile()) {
+                    return { success: false, error: 'Path is not a file. Use DELETE_DIRECTORY for directories.' };
+                }
+                await fs.unlink(absolutePath);
+                console.log(`[SYSTEM] File deleted: ${relativePath}`);
+                return { success: true, path: relativePath };
+            }
+
+            case 'DELETE_DIRECTORY': {
+                if (absolutePath === PROJECT_WORKSPACE) {
+                    return { success: false, error: 'Cannot delete the workspace root.' };
+                }
+                const stats = await fs.stat(absolutePath);
+                if (!stats.isDirectory()) {
+                    return { success: false, error: 'Path is not a directory. Use DELETE_FILE for files.' };
+                }
+                if (options.recursive) {
+                    await fs.rm(absolutePath, { recursive: true });
+                } else {
+                    await fs.rmdir(absolutePath); // Fails with ENOTEMPTY unless the directory is empty
+                }
+                console.log(`[SYSTEM] Directory deleted${options.recursive ? ' (recursive)' : ''}: ${relativePath}`);
+                return { success: true, path: relativePath };
+            }
+
+            case 'MOVE_PATH':
+            case 'COPY_PATH': {
+                if (absolutePath === PROJECT_WORKSPACE) {
+                    return { success: false, error: `Cannot ${action} the workspace root.` };
+                }
+                await fs.stat(absolutePath); // Source must exist (ENOENT otherwise)
+                const destination = await resolveDestination(options.destination, absolutePath);
+                if (destination.error) return { success: false, error: destination.error };
+
+                await fs.mkdir(path.dirname(destination.absolutePath), { recursive: true });
+                if (action === 'MOVE_PATH') {
+                    await fs.rename(absolutePath, destination.absolutePath);
+                } else {
+                    await fs.cp(absolutePath, destination.absolutePath, { recursive: true, errorOnExist: true, force: false });
+                }
+                console.log(`[SYSTEM] ${action === 'MOVE_PATH' ? 'Moved' : 'Copied'}: ${relativePath} -> ${destination.relativePath}`);
+                return { success: true, path: relativePath, destination: destination.relativePath };
+            }
+
             default:
                 console.warn(`[SYSTEM] Unknown file action requested: ${action}`);
                 return { success: false, error: `Unknown file action: ${action}` };
@@ -295,6 +685,8 @@ async function performFileActionInternal(action, relativePath, content = '') {
         console.error(`[SYSTEM] Error during file action (${action} on ${relativePath}):`, error.code, error.message);
         if (error.code === 'EISDIR') return { success: false, error: `Attempted file operation on a directory path: ${relativePath}.` };
         if (error.code === 'ENOTDIR') return { success: false, error: `Attempted directory operation on a file path: ${relativePath}.` };
+        if (error.code === 'ENOENT') return { success: false, error: `Path not found: ${relativePath}.` };
+        if (error.code === 'ENOTEMPTY' || (error.code === 'EEXIST' && action === 'DELETE_DIRECTORY')) return { success: false, error: `Directory not empty: ${relativePath}. Add recursive="true" to delete it with its contents.` };
         return { success: false, error: `File system error: ${error.code || error.message}` };
     }
 }
@@ -332,6 +724,10 @@ export {
     getProjectStructure,
     performListDirectory,
     performReadFile,
+    performSearchCode,
+    performFindFiles,
     performFileAction,
-    waitForFileOperations
+    waitForFileOperations,
+    resolveWorkspacePath,
+    pathExists
 };
\ No newline at end of file
@@ -0,0 +1,427 @@
+// llm_providers.js - Pluggable LLM backends behind common generate()/chat() contracts
+
+import { OLLAMA_API_URL, OPENAI_API_URL, OPENAI_API_KEY, GOOGLE_API_KEY } from './config.js';
+import { AIError, AIHttpError, AIModelNotFoundError, AIToolsUnsupportedError, AIResponseError, toAIError } from './ai_errors.js';
+
+/*
+ * Every provider is a plain object of the form:
+ *   { name: string,
+ *     generate: async (prompt, options) => ({ text }),
+ *     chat: async (messages, options) => ({ text }) }
+ * where messages are [{ role: 'system' | 'user' | 'assistant', content }].
+ * `options.model` is always set by the caller and `options.generation` holds the
+ * Ollama-style generation options of the role's model profile. `options.signal` (AbortSignal)
+ * cancels the request and `options.onToken(token, { reasoning })` receives text as it
+ * arrives; providers without streaming call it once with the full text.
+ * `options.think` (boolean, optional) turns model reasoning on or off where supported;
+ * reasoning reported separately by the backend is returned as `reasoning`.
+ * `options.tools` (tool declarations, see action_tools.js) and `options.format` (a JSON
+ * schema for structured output) are passed to chat() where the backend supports them;
+ * native tool calls are returned as `toolCalls: [{ name, arguments }]`.
+ * Token counts and backend timings are returned as `usage` (see emptyUsage()) where
+ * the backend reports them; unknown fields stay null.
+ * Providers throw typed errors (ai_errors.js) on failure; ai_interface.js decides
+ * whether to retry. Each provider also has `healthCheck(models)` resolving to
+ * { ok, problems: [string], warnings: [string] } for the startup check.
+ */
+
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+
+/**
+ * Build the typed error for a failed HTTP response
+ * @param {Response} response - The fetch response
+ * @param {string} model - The requested model
+ * @returns {Promise<Error>} - The error to throw
+ */
+async function httpErrorFor(response, model) {
+    const errorText = await response.text().catch(() => '');
+    if (response.status === 404 && /model/i.test(errorText)) {
+        return new AIModelNotFoundError(model, `Model "${model}" not found on the server: ${errorText.substring(0, 200)}`);
+    }
+    if (response.status === 400 && /does not support tools/i.test(errorText)) {
+        return new AIToolsUnsupportedError(model, `Model "${model}" does not support tool calling: ${errorText.substring(0, 200)}`);
+    }
+    return new AIHttpError(response.status, response.statusText, errorText);
+}
+
+/**
+ * Create a usage record with every field unknown
+ * @returns {Object} - { promptTokens, completionTokens, totalDurationMs, loadDurationMs, promptEvalDurationMs, evalDurationMs }
+ */
+function emptyUsage() {
+    return { promptTokens: null, completionTokens: null, totalDurationMs: null, loadDurationMs: null, promptEvalDurationMs: null, evalDurationMs: null };
+}
+
+/**
+ * Read token counts and timings from the final Ollama chunk (durations are in nanoseconds)
+ * @param {Object} chunk - The chunk with done: true
+ * @returns {Object} - The usage record
+ */
+function ollamaUsage(chunk) {
+    const toMs = (ns) => (typeof ns === 'number' ? Math.round(ns / 1e6) : null);
+    return {
+        promptTokens: chunk.prompt_eval_count ?? null,
+        completionTokens: chunk.eval_count ?? null,
+        totalDurationMs: toMs(chunk.total_duration),
+        loadDurationMs: toMs(chunk.load_duration),
+        promptEvalDurationMs: toMs(chunk.prompt_eval_duration),
+        evalDurationMs: toMs(chunk.eval_duration)
+    };
+}
+
+/**
+ * Map Ollama-style generation options to OpenAI chat completion parameters
+ * @param {Object} generation - Ollama generation options
+ * @returns {Object} - The supported subset as OpenAI request fields
+ */
+function toOpenAIOptions(generation = {}) {
+    const mapped = {};
+    if (generation.temperature !== undefined) mapped.temperature = generation.temperature;
+    if (generation.top_p !== undefined) mapped.top_p = generation.top_p;
+    if (generation.seed !== undefined) mapped.seed = generation.seed;
+    if (generation.stop !== undefined) mapped.stop = generation.stop;
+    if (generation.num_predict !== undefined) mapped.max_tokens = generation.num_predict;
+    return mapped;
+}
+
+/**
+ * Map Ollama-style generation options to a Google generationConfig
+ * @param {Object} generation - Ollama generation options
+ * @returns {Object} - The supported subset as a generationConfig
+ */
+function toGoogleGenerationConfig(generation = {}) {
+    const mapped = {};
+    if (generation.temperature !== undefined) mapped.temperature = generation.temperature;
+    if (generation.top_p !== undefined) mapped.topP = generation.top_p;
+    if (generation.top_k !== undefined) mapped.topK = generation.top_k;
+    if (generation.stop !== undefined) mapped.stopSequences = [].concat(generation.stop);
+    if (generation.num_predict !== undefined) mapped.maxOutputTokens = generation.num_predict;
+    return mapped;
+}
+
+/**
+ * Read an NDJSON response body line by line
+ * @param {ReadableStream} body - The fetch response body
+ * @returns {AsyncGenerator<Object>} - Parsed JSON objects, one per line
+ */
+async function* readNdjson(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newlineIndex).trim();
+            buffer = buffer.slice(newlineIndex + 1);
+            if (line) yield JSON.parse(line);
+        }
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) yield JSON.parse(buffer.trim());
+}
+
+/**
+ * POST to a streaming Ollama endpoint and collect the NDJSON chunks
+ * @param {string} url - Endpoint URL (/api/generate or /api/chat)
+ * @param {Object} body - Request body (stream is forced on)
+ * @param {Object} options - Provider call options (model, signal, onToken)
+ * @param {Function} pickToken - Extracts the { content, thinking } tokens from a chunk
+ * @returns {Promise<Object>} - { text, reasoning, toolCalls, usage }
+ */
+async function streamOllama(url, body, options, pickToken) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+        },
+        // `think` is only sent when the profile sets it; models without thinking support reject it
+        body: JSON.stringify({ ...body, stream: true, ...(typeof options.think === 'boolean' ? { think: options.think } : {}) }),
+        signal: options.signal
+    });
+
+    if (!response.ok) throw await httpErrorFor(response, options.model);
+    if (!response.body) {
+        throw new AIResponseError("Invalid response structure - empty response body");
+    }
+
+    let text = '';
+    let reasoning = '';
+    const toolCalls = [];
+    let usage = emptyUsage();
+    for await (const chunk of readNdjson(response.body)) {
+        if (chunk.error) throw new AIResponseError(`Ollama stream error: ${chunk.error}`);
+        const { content, thinking } = pickToken(chunk);
+        if (typeof thinking === 'string' && thinking) {
+            reasoning += thinking;
+            if (options.onToken) options.onToken(thinking, { reasoning: true });
+        }
+        if (typeof content === 'string' && content) {
+            text += content;
+            if (options.onToken) options.onToken(content);
+        }
+        // Ollama sends tool calls whole (not token by token), usually in a single chunk
+        for (const call of chunk.message?.tool_calls || []) {
+            if (call?.function?.name) toolCalls.push({ name: call.function.name, arguments: call.function.arguments || {} });
+        }
+        if (chunk.done) {
+            usage = ollamaUsage(chunk);
+            break;
+        }
+    }
+    return { text, reasoning, toolCalls, usage };
+}
+
+/**
+ * Create a provider for a local Ollama server (/api/generate and /api/chat).
+ * Responses are streamed as NDJSON; each token is passed to options.onToken.
+ * @param {Object} settings - Provider settings
+ * @param {string} settings.baseUrl - Base URL of the Ollama server
+ * @returns {Object} - The provider
+ */
+function createOllamaProvider({ baseUrl = OLLAMA_API_URL } = {}) {
+    return {
+        name: 'ollama',
+        async generate(prompt, options) {
+            return streamOllama(`${baseUrl}/api/generate`, {
+                model: options.model,
+                prompt: prompt,
+                options: options.generation || {}
+            }, options, chunk => ({ content: chunk.response, thinking: chunk.thinking }));
+        },
+
+        async chat(messages, options) {
+            return streamOllama(`${baseUrl}/api/chat`, {
+                model: options.model,
+                messages,
+                options: options.generation || {},
+                ...(options.tools ? { tools: options.tools } : {}),
+                ...(options.format ? { format: options.format } : {})
+            }, options, chunk => ({ content: chunk.message?.content, thinking: chunk.message?.thinking }));
+        },
+
+        async healthCheck(models) {
+            let data;
+            try {
+                const response = await fetch(`${baseUrl}/api/tags`, { signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT_MS) });
+                if (!response.ok) throw await httpErrorFor(response, null);
+                data = await response.json();
+            } catch (error) {
+                return { ok: false, problems: [`Ollama is not reachable at ${baseUrl}: ${toAIError(error).message}`], warnings: [] };
+            }
+            const available = (data?.models || []).map(m => m.name);
+            const problems = models
+                .filter(model => !available.includes(model) && !available.includes(`${model}:latest`))
+                .map(model => `Model "${model}" is not pulled on ${baseUrl} (run: ollama pull ${model})`);
+            return { ok: problems.length === 0, problems, warnings: [] };
+        }
+    };
+}
+
+/**
+ * Create a provider for any OpenAI-compatible server (/v1/chat/completions),
+ * e.g. llama.cpp server, vLLM or LM Studio
+ * @param {Object} settings - Provider settings
+ * @param {string} settings.baseUrl - Base URL including the /v1 prefix
+ * @param {string} settings.apiKey - API key (most local servers ignore it)
+ * @returns {Object} - The provider
+ */
+function createOpenAICompatibleProvider({ baseUrl = OPENAI_API_URL, apiKey = OPENAI_API_KEY } = {}) {
+    return {
+        name: 'openai',
+        async generate(prompt, options) {
+            return this.chat([{ role: 'user', content: prompt }], options);
+        },
+
+        async chat(messages, options) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+
+            const response = await fetch(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    model: options.model,
+                    messages,
+                    stream: false,
+                    ...toOpenAIOptions(options.generation),
+                    ...(options.tools ? { tools: options.tools } : {}),
+                    ...(options.format ? { response_format: { type: 'json_schema', json_schema: { name: 'actions', schema: options.format } } } : {})
+                }),
+                signal: options.signal
+            });
+
+            if (!response.ok) throw await httpErrorFor(response, options.model);
+
+            const data = await response.json();
+            const message = data?.choices?.[0]?.message;
+            // Arguments arrive as a JSON string; a malformed one is kept as an empty call rather than failing the turn
+            const toolCalls = (message?.tool_calls || [])
+                .filter(call => call?.function?.name)
+                .map(call => {
+                    let args = {};
+                    try { args = JSON.parse(call.function.arguments || '{}'); } catch (error) { /* keep empty */ }
+                    return { name: call.function.name, arguments: args };
+                });
+            // content is null when the model only called tools
+            const text = message?.content ?? (toolCalls.length > 0 ? '' : undefined);
+            if (typeof text !== 'string') {
+                throw new AIResponseError("Invalid response structure - missing choices[0].message.content");
+            }
+            if (options.onToken && text) options.onToken(text);
+            const usage = { ...emptyUsage(), promptTokens: data?.usage?.prompt_tokens ?? null, completionTokens: data?.usage?.completion_tokens ?? null };
+            return { text, toolCalls, usage };
+        },
+
+        async healthCheck(models) {
+            let data;
+            try {
+                const headers = apiKey ? { Authorization: `Bearer ${apiKey}` } : {};
+                const response = await fetch(`${baseUrl.replace(/\/$/, '')}/models`, { headers, signal: AbortSignal.timeout(HEALTH_CHECK_TIMEOUT_MS) });
+                if (!response.ok) throw await httpErrorFor(response, null);
+                data = await response.json();
+            } catch (error) {
+                return { ok: false, problems: [`OpenAI-compatible server is not reachable at ${baseUrl}: ${toAIError(error).message}`], warnings: [] };
+            }
+            // Single-model servers (llama.cpp) answer for any model name, so a mismatch is only a warning
+            const available = (data?.data || []).map(m => m.id);
+            const warnings = models
+                .filter(model => !available.includes(model))
+                .map(model => `Model "${model}" is not listed by ${baseUrl} (available: ${available.join(', ') || 'none'})`);
+            return { ok: true, problems: [], warnings };
+        }
+    };
+}
+
+/**
+ * Create a provider for Google Generative AI (Gemini)
+ * @param {Object} settings - Provider settings
+ * @param {string} settings.apiKey - Google AI Studio API key
+ * @returns {Object} - The provider
+ */
+function createGoogleProvider({ apiKey = GOOGLE_API_KEY } = {}) {
+    let client = null;
+
+    function googleUsage(response) {
+        const metadata = response.usageMetadata || {};
+        return { ...emptyUsage(), promptTokens: metadata.promptTokenCount ?? null, completionTokens: metadata.candidatesTokenCount ?? null };
+    }
+
+    async function getModel(options, systemInstruction) {
+        if (!apiKey) throw new AIError("GOOGLE_API_KEY is not set", { code: 'AI_CONFIG' });
+        if (!client) {
+            // Loaded lazily so the package is only required when this provider is used
+            const { GoogleGenerativeAI } = await import('@google/generative-ai');
+            client = new GoogleGenerativeAI(apiKey);
+        }
+        return client.getGenerativeModel({
+            model: options.model,
+            generationConfig: toGoogleGenerationConfig(options.generation),
+            systemInstruction
+        });
+    }
+
+    return {
+        name: 'google',
+        async generate(prompt, options) {
+            const model = await getModel(options);
+            const result = await model.generateContent(prompt, { signal: options.signal });
+            const text = result.response.text();
+            if (options.onToken) options.onToken(text);
+            return { text, usage: googleUsage(result.response) };
+        },
+
+        async chat(messages, options) {
+            // Gemini takes the system prompt separately and calls the assistant role "model"
+            const systemInstruction = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+            const contents = messages
+                .filter(m => m.role !== 'system')
+                .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+            const model = await getModel(options, systemInstruction || undefined);
+            const result = await model.generateContent({ contents }, { signal: options.signal });
+            const text = result.response.text();
+            if (options.onToken) options.onToken(text);
+            return { text, usage: googleUsage(result.response) };
+        },
+
+        async healthCheck() {
+            if (!apiKey) return { ok: false, problems: ["GOOGLE_API_KEY is not set"], warnings: [] };
+            return { ok: true, problems: [], warnings: [] };
+        }
+    };
+}
+
+/**
+ * Create a deterministic in-process provider that needs no model.
+ * The SuperAgent walks through a fixed script; specialists always create one
+ * file and report completion, so a full orchestration cycle can be exercised offline.
+ * @returns {Object} - The provider
+ */
+function createMockProvider() {
+    const superAgentScript = [
+        'ACTION: LIST_DIRECTORY path="."',
+        'ACTION: DELEGATE_TASK role="Executor-Code" description="Create NOTES.md summarizing the project goal"',
+        'SYSTEM_ACTION: REQUEST_USER_INPUT reason="Mock provider script finished"'
+    ];
+    let superAgentTurn = 0;
+
+    return {
+        name: 'mock',
+        async generate(prompt, options) {
+            // Token counts are estimated (~4 characters per token) so usage accounting can be exercised offline
+            const respond = (text) => {
+                if (options.onToken) options.onToken(text);
+                return { text, usage: { ...emptyUsage(), promptTokens: Math.ceil(prompt.length / 4), completionTokens: Math.ceil(text.length / 4) } };
+            };
+            if (prompt.includes('SPECIALIST EXECUTOR TASKING')) {
+                const taskMatch = prompt.match(/Assigned Task Description: "([^"\n]*)"/);
+                const task = taskMatch ? taskMatch[1] : 'Unknown task';
+                return respond(`ACTION: CREATE_FILE path="/NOTES.md"\n\`\`\`\n# Notes\n\n${task}\n\`\`\`\nTASK_COMPLETE: ${task}`);
+            }
+            const step = Math.min(superAgentTurn, superAgentScript.length - 1);
+            superAgentTurn++;
+            return respond(superAgentScript[step]);
+        },
+
+        async chat(messages, options) {
+            return this.generate(messages.map(m => m.content).join('\n\n'), options);
+        },
+
+        async healthCheck() {
+            return { ok: true, problems: [], warnings: [] };
+        }
+    };
+}
+
+const providerFactories = {
+    ollama: createOllamaProvider,
+    openai: createOpenAICompatibleProvider,
+    google: createGoogleProvider,
+    mock: createMockProvider
+};
+
+const providerCache = new Map();
+
+/**
+ * Get (and cache) a provider instance by name
+ * @param {string} name - The provider name ('ollama', 'openai', 'google', 'mock')
+ * @returns {Object} - The provider
+ */
+function getProvider(name) {
+    const key = (name || '').toLowerCase();
+    if (!providerCache.has(key)) {
+        const factory = providerFactories[key];
+        if (!factory) {
+            throw new AIError(`Unknown AI provider "${name}". Expected one of: ${Object.keys(providerFactories).join(', ')}`, { code: 'AI_CONFIG' });
+        }
+        providerCache.set(key, factory());
+    }
+    return providerCache.get(key);
+}
+
+export {
+    createOllamaProvider,
+    createOpenAICompatibleProvider,
+    createGoogleProvider,
+    createMockProvider,
+    getProvider
+};
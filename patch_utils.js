@@ -0,0 +1,266 @@
+// patch_utils.js - Apply unified diffs and SEARCH/REPLACE blocks to file content with fuzzy context matching
+
+/*
+ * Both formats are reduced to hunks: a list of operations
+ *   { op: ' ' (context) | '-' (remove) | '+' (add), text }
+ * The context and removed lines are located in the file, trying an exact match
+ * first, then ignoring trailing whitespace, then ignoring indentation. Unified
+ * diff hunks may also drop up to MAX_FUZZ context lines at either end, and
+ * prefer the match nearest to the line number in their @@ header (the numbers
+ * models write are often wrong, so they are only a hint).
+ *
+ * Hunks are applied independently: the ones that match are applied, the others
+ * are reported as { index, header, success: false, error } so the agent can
+ * read the file again and retry them.
+ */
+
+const MAX_FUZZ = 2;
+
+// Line comparisons, from strictest to most lenient
+const MATCHERS = [
+    (a, b) => a === b,
+    (a, b) => a.trimEnd() === b.trimEnd(),
+    (a, b) => a.trim() === b.trim()
+];
+
+const HUNK_HEADER_REGEX = /^@@\s*(?:-(\d+)(?:,\d+)?\s+\+\d+(?:,\d+)?\s*)?@@/;
+const SEARCH_MARKER_REGEX = /^<{5,}\s*SEARCH\s*$/;
+const DIVIDER_MARKER_REGEX = /^={5,}\s*$/;
+const REPLACE_MARKER_REGEX = /^>{5,}\s*REPLACE\s*$/;
+
+/**
+ * Split file content into lines, remembering the line ending and final newline
+ * @param {string} content - The file content
+ * @returns {Object} - { lines, eol, finalNewline }
+ */
+function splitLines(content) {
+    const eol = content.includes('\r\n') ? '\r\n' : '\n';
+    const finalNewline = content.endsWith('\n');
+    const lines = content.split(/\r?\n/);
+    if (finalNewline) lines.pop();
+    return { lines: content === '' ? [] : lines, eol, finalNewline };
+}
+
+/**
+ * Join lines back into file content
+ * @param {Array<string>} lines - The file lines
+ * @param {string} eol - The line ending
+ * @param {boolean} finalNewline - Whether the content ends with a line ending
+ * @returns {string} - The file content
+ */
+function joinLines(lines, eol, finalNewline) {
+    if (lines.length === 0) return '';
+    return lines.join(eol) + (finalNewline ? eol : '');
+}
+
+/**
+ * Find every position where a block of lines occurs, using the strictest matcher that finds one
+ * @param {Array<string>} lines - The file lines
+ * @param {Array<string>} block - The lines to find
+ * @returns {Array<number>} - The start indexes (empty if the block is not found)
+ */
+function findBlock(lines, block) {
+    for (const matches of MATCHERS) {
+        const positions = [];
+        for (let start = 0; start + block.length <= lines.length; start++) {
+            if (block.every((line, i) => matches(lines[start + i], line))) positions.push(start);
+        }
+        if (positions.length > 0) return positions;
+    }
+    return [];
+}
+
+/**
+ * Replace the lines a hunk covers. Context lines keep the file's own text, so an
+ * indentation-insensitive match never rewrites untouched lines.
+ * @param {Array<string>} lines - The file lines (modified in place)
+ * @param {number} start - Index of the first matched line
+ * @param {Array<Object>} ops - The hunk operations
+ * @returns {number} - The change in line count
+ */
+function spliceHunk(lines, start, ops) {
+    const replacement = [];
+    let consumed = 0;
+    for (const { op, text } of ops) {
+        if (op === '+') { replacement.push(text); continue; }
+        if (op === ' ') replacement.push(lines[start + consumed]);
+        consumed++;
+    }
+    lines.splice(start, consumed, ...replacement);
+    return replacement.length - consumed;
+}
+
+/**
+ * Drop context lines from both ends of a hunk
+ * @param {Array<Object>} ops - The hunk operations
+ * @param {number} fuzz - Maximum number of context lines to drop at each end
+ * @returns {Object} - { ops, dropped } where dropped is the number of leading lines removed
+ */
+function trimContext(ops, fuzz) {
+    let first = 0;
+    let last = ops.length;
+    while (first < fuzz && ops[first]?.op === ' ') first++;
+    while (ops.length - last < fuzz && last > first && ops[last - 1].op === ' ') last--;
+    return { ops: ops.slice(first, last), dropped: first };
+}
+
+/**
+ * Parse a unified diff into hunks. Line counts in @@ headers are ignored and
+ * context lines without their leading space are accepted.
+ * @param {string} diffText - The diff
+ * @returns {Array<Object>} - [{ header, oldStart, ops }]
+ */
+function parseUnifiedDiff(diffText) {
+    const hunks = [];
+    const diffLines = diffText.split(/\r?\n/);
+    let current = null;
+
+    for (let i = 0; i < diffLines.length; i++) {
+        const line = diffLines[i];
+        const header = line.match(HUNK_HEADER_REGEX);
+        if (header) {
+            current = { header: line.trim(), oldStart: header[1] ? parseInt(header[1], 10) : null, ops: [] };
+            hunks.push(current);
+        } else if (line.startsWith('--- ') && diffLines[i + 1]?.startsWith('+++ ')) {
+            current = null; // File header; the target file is given by the action's path
+            i++;
+        } else if (/^diff --git |^index [0-9a-f]+\.\.[0-9a-f]+/.test(line) || line.startsWith('\\')) {
+            continue; // Git metadata and "\ No newline at end of file"
+        } else if (current) {
+            const op = line[0] === '+' || line[0] === '-' || line[0] === ' ' ? line[0] : null;
+            current.ops.push(op ? { op, text: line.substring(1) } : { op: ' ', text: line });
+        }
+    }
+    // Blank lines after the last change are usually the end of the code block, not context
+    for (const hunk of hunks) {
+        while (hunk.ops.length > 0 && hunk.ops[hunk.ops.length - 1].op === ' ' && hunk.ops[hunk.ops.length - 1].text === '') hunk.ops.pop();
+    }
+    return hunks;
+}
+
+/**
+ * Apply a unified diff to file content
+ * @param {string} content - The current file content
+ * @param {string} diffText - The unified diff
+ * @returns {Object} - { content, hunks: [{ index, header, success, line?, error? }] }
+ */
+function applyUnifiedDiff(content, diffText) {
+    const { lines, eol, finalNewline } = splitLines(content);
+    const hunks = parseUnifiedDiff(diffText);
+    if (hunks.length === 0) {
+        return { content, hunks: [{ index: 1, header: null, success: false, error: 'No "@@" hunks found in the diff.' }] };
+    }
+
+    let offset = 0; // Line count change from the hunks applied so far
+    const results = hunks.map((hunk, i) => {
+        const result = { index: i + 1, header: hunk.header };
+        if (!hunk.ops.some(o => o.op !== ' ')) return { ...result, success: false, error: 'Hunk has no added or removed lines.' };
+
+        const expected = hunk.oldStart !== null ? Math.max(0, hunk.oldStart - 1 + offset) : null;
+        for (let fuzz = 0; fuzz <= MAX_FUZZ; fuzz++) {
+            const { ops, dropped } = trimContext(hunk.ops, fuzz);
+            if (fuzz > 0 && ops.length === hunk.ops.length) break; // Nothing left to trim
+            const block = ops.filter(o => o.op !== '+').map(o => o.text);
+
+            let positions;
+            if (block.length === 0) {
+                if (fuzz > 0) break; // Never trim a hunk down to a blind insertion
+                // Pure insertion after line oldStart: only the header says where
+                if (expected === null) return { ...result, success: false, error: 'Hunk only adds lines and has no line number in its @@ header.' };
+                positions = [Math.min(Math.max(0, hunk.oldStart + offset), lines.length)];
+            } else {
+                positions = findBlock(lines, block);
+            }
+            if (positions.length === 0) continue;
+            if (positions.length > 1 && expected === null) {
+                return { ...result, success: false, error: `Context matches ${positions.length} places in the file; add more unchanged lines around the change.` };
+            }
+
+            const target = expected === null ? null : expected + dropped;
+            const start = target === null ? positions[0] : positions.reduce((best, p) => (Math.abs(p - target) < Math.abs(best - target) ? p : best));
+            offset += spliceHunk(lines, start, ops);
+            return { ...result, success: true, line: start + 1 };
+        }
+        const firstLine = hunk.ops.find(o => o.op !== '+')?.text.trim() || '';
+        return {
+            ...result,
+            success: false,
+            error: `Context not found${hunk.oldStart ? ` near line ${hunk.oldStart}` : ''} (first expected line: "${firstLine.substring(0, 60)}"). The file may differ from what you assumed.`
+        };
+    });
+
+    return { content: joinLines(lines, eol, finalNewline || content === ''), hunks: results };
+}
+
+/**
+ * Parse SEARCH/REPLACE blocks
+ *   <<<<<<< SEARCH
+ *   lines to find
+ *   =======
+ *   replacement lines
+ *   >>>>>>> REPLACE
+ * @param {string} editText - The edit blocks
+ * @returns {Object} - { blocks: [{ search, replace }], error }
+ */
+function parseSearchReplaceBlocks(editText) {
+    const blocks = [];
+    let current = null;
+    let section = null;
+
+    for (const line of editText.split(/\r?\n/)) {
+        if (SEARCH_MARKER_REGEX.test(line)) {
+            if (current) return { blocks, error: `Block ${blocks.length + 1} is not closed with ">>>>>>> REPLACE".` };
+            current = { search: [], replace: [] };
+            section = 'search';
+        } else if (current && section === 'search' && DIVIDER_MARKER_REGEX.test(line)) {
+            section = 'replace';
+        } else if (current && REPLACE_MARKER_REGEX.test(line)) {
+            if (section !== 'replace') return { blocks, error: `Block ${blocks.length + 1} has no "=======" line between SEARCH and REPLACE.` };
+            blocks.push(current);
+            current = null;
+        } else if (current) {
+            current[section].push(line);
+        }
+    }
+    if (current) return { blocks, error: `Block ${blocks.length + 1} is not closed with ">>>>>>> REPLACE".` };
+    if (blocks.length === 0) return { blocks, error: 'No "<<<<<<< SEARCH" / "=======" / ">>>>>>> REPLACE" blocks found.' };
+    return { blocks, error: null };
+}
+
+/**
+ * Apply SEARCH/REPLACE blocks to file content. Each SEARCH text must occur exactly
+ * once; an empty SEARCH appends the replacement to the end of the file.
+ * @param {string} content - The current file content
+ * @param {string} editText - The edit blocks
+ * @returns {Object} - { content, hunks: [{ index, header, success, line?, error? }] }
+ */
+function applySearchReplace(content, editText) {
+    const { lines, eol, finalNewline } = splitLines(content);
+    const { blocks, error } = parseSearchReplaceBlocks(editText);
+    if (error) return { content, hunks: [{ index: blocks.length + 1, header: null, success: false, error }] };
+
+    const results = blocks.map(({ search, replace }, i) => {
+        const result = { index: i + 1, header: search.find(line => line.trim())?.trim().substring(0, 60) || '(append)' };
+        if (search.every(line => line.trim() === '')) {
+            lines.push(...replace);
+            return { ...result, success: true, line: lines.length - replace.length + 1 };
+        }
+
+        const positions = findBlock(lines, search);
+        if (positions.length === 0) {
+            return { ...result, success: false, error: 'SEARCH text not found. It must match the current file line for line.' };
+        }
+        if (positions.length > 1) {
+            return { ...result, success: false, error: `SEARCH text matches ${positions.length} places in the file; include more lines to make it unique.` };
+        }
+        lines.splice(positions[0], search.length, ...replace);
+        return { ...result, success: true, line: positions[0] + 1 };
+    });
+
+    return { content: joinLines(lines, eol, finalNewline || content === ''), hunks: results };
+}
+
+export {
+    applyUnifiedDiff,
+    applySearchReplace
+};
@@ -6,16 +6,151 @@ import fs from 'fs/promises';
 import path from 'path';
 
 // Import from our modules
-import { MAX_HISTORY_TURNS, PROJECT_WORKSPACE } from './config.js';
-import { askGoogleAI } from './ai_interface.js';
+import { MAX_HISTORY_TURNS, MAX_ACTIONS_PER_TURN, MAX_CORRECTION_ATTEMPTS, MAX_PARALLEL_SPECIALISTS, SPECIALIST_POLICY, SPECIALIST_SESSION_STEPS, PROJECT_WORKSPACE, ACTION_PLUGINS_DIR, COMMAND_POLICY_FILE, AI_CHAT_MODE, AI_TOOL_MODE } from './config.js';
+import { complete, cancelActiveGeneration, checkAIHealth, getCircuitState } from './ai_interface.js';
 import { loadDatabase, saveToDatabase } from './state_manager.js';
 import { appendToLog } from './logger.js';
-import { getProjectStructure, performListDirectory, performReadFile, performFileAction, waitForFileOperations } from './file_system_utils.js';
-import { executeCommand } from './command_executor.js';
-import { generateSuperAgentContext, generateSpecialistContext } from './context_builder.js';
-import { processActions } from './action_processor.js';
+import { getProjectStructure, performListDirectory, performReadFile, performSearchCode, performFindFiles, performFileAction, waitForFileOperations } from './file_system_utils.js';
+import { executeCommand, formatCommandResult } from './command_executor.js';
+import { loadCommandPolicy } from './command_policy.js';
+import { getCassetteMode, getReplaySummary } from './cassette.js';
+import { recordUsage, recordCorrection, formatUsageSummary } from './usage_tracker.js';
+import { reportBug, fixBug, verifyBug, closeBug, checkBugAssignment, assignBug, bugTaskDescription } from './bug_tracker.js';
+import { planTasks, addTask, splitTask, reorderTasks, cancelTask, nextTask, startTask, finishTask, reassignTask, taskDescriptionFor } from './task_backlog.js';
+import { recordBlockedAttempt, transferBlockedTask, totalAttempts, findStaleSpecialists } from './specialist_pool.js';
+import { buildAcceptanceChecks, formatAcceptanceChecks, runAcceptanceChecks, formatCheckFailures } from './acceptance_checks.js';
+import { sessionActionsOf, runSessionAction } from './specialist_session.js';
+import { generateSuperAgentContext, generateSuperAgentMessages, generateSpecialistContext, generateSpecialistMessages, buildCorrectionContext } from './context_builder.js';
+import { processActions, processToolCalls, applyActionLimits } from './action_processor.js';
+import { formatDiagnostics } from './action_parser.js';
+import { getToolsForRole, formatToolCallsAsText } from './action_tools.js';
+import { loadActionPlugins, runActionHandler } from './action_registry.js';
 import { superAgentTemplate, executorTemplates } from './agent_templates.js';
 
+// Tool calling needs role-separated messages, so it implies chat mode
+const TOOL_MODE = ['tools', 'format'].includes(AI_TOOL_MODE) ? AI_TOOL_MODE : 'off';
+const USE_CHAT_MESSAGES = AI_CHAT_MODE || TOOL_MODE !== 'off';
+
+/**
+ * Get the completion options for an agent's AI call
+ * @param {Object} agent - The calling agent
+ * @param {number} turn - The simulation turn
+ * @returns {Object} - Options for complete()
+ */
+function completionOptionsFor(agent, turn) {
+    return TOOL_MODE === 'off'
+        ? { role: agent.role, turn }
+        : { role: agent.role, turn, tools: getToolsForRole(agent.role), toolMode: TOOL_MODE };
+}
+
+/**
+ * Get the response text to log and show to other agents; tool calls are
+ * rendered as ACTION lines so both protocols read the same in history
+ * @param {Object} completion - The result of complete()
+ * @param {string|null} taskDescription - The specialist's task (for TASK_COMPLETE)
+ * @returns {string} - The response text
+ */
+function responseTextFor(completion, taskDescription = null) {
+    if (completion.toolCalls.length === 0) return completion.text;
+    const rendered = formatToolCallsAsText(completion.toolCalls, taskDescription);
+    // In 'format' mode the text is the JSON the calls were parsed from
+    return TOOL_MODE === 'format' ? rendered : [completion.text, rendered].filter(Boolean).join('\n');
+}
+
+/**
+ * Extract the actions of a completion: native tool calls when there are any,
+ * otherwise the ACTION lines of the text (the fallback protocol)
+ * @param {Object} completion - The result of complete()
+ * @param {string|null} taskDescription - The specialist's task
+ * @param {string|null} role - The agent's role, to drop actions it may not use
+ * @returns {Object} - The parsed actions (see processActions)
+ */
+function actionsFor(completion, taskDescription = null, role = null) {
+    return completion.toolCalls.length > 0
+        ? processToolCalls(completion.toolCalls, taskDescription, role)
+        : processActions(completion.text, taskDescription, role);
+}
+
+/**
+ * Explain why a response cannot be used: the SuperAgent must request at least one
+ * action, a specialist must perform an action or report TASK_COMPLETE / TASK_BLOCKED
+ * @param {Object} actions - The parsed actions (see processActions)
+ * @param {boolean} isSpecialist - Whether the response comes from a specialist
+ * @param {string|null} taskDescription - The specialist's task
+ * @returns {string|null} - The explanation for the agent, or null if the response is usable
+ */
+function correctionReasonFor(actions, isSpecialist, taskDescription = null) {
+    const usable = isSpecialist
+        ? actions.fileActions.length > 0 || actions.bugActions.length > 0 || actions.pluginActions.length > 0 || sessionActionsOf(actions).length > 0 || !!actions.taskStatus
+        : !!actions.systemAction || ['listDirectoryActions', 'readFileActions', 'searchCodeActions', 'findFilesActions', 'delegateTaskActions', 'commandActions', 'bugActions', 'planActions', 'pluginActions']
+            .some(list => actions[list].length > 0);
+    if (usable) return null;
+
+    const expected = isSpecialist
+        ? `It contains no ACTION and no TASK_COMPLETE / TASK_BLOCKED line. Perform your task with ACTIONs, or reply "TASK_COMPLETE: ${taskDescription}" if it is done, or "TASK_BLOCKED: <reason>" if it cannot be done.`
+        : 'It contains no action the system can execute. Reply with at least one ACTION or SYSTEM_ACTION line, e.g. `ACTION: LIST_DIRECTORY path="/"` or `SYSTEM_ACTION: WAIT reason="..."`.';
+    const errors = actions.diagnostics.filter(d => d.severity === 'error');
+    return errors.length > 0 ? `${expected}\nProblems found:\n${formatDiagnostics(errors)}` : expected;
+}
+
+/**
+ * Run an async worker over items, at most `limit` at a time, starting them in order
+ * @param {Array} items - The items
+ * @param {number} limit - Maximum number of workers running at once
+ * @param {Function} worker - async (item, index) => void
+ * @returns {Promise<void>} - Resolves when every worker has finished
+ */
+async function runWithConcurrency(items, limit, worker) {
+    let nextIndex = 0;
+    const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            await worker(items[index], index);
+        }
+    });
+    await Promise.all(lanes);
+}
+
+/**
+ * Normalize a workspace path for comparison ("src//a.js/" -> "/src/a.js")
+ * @param {string} workspacePath - Workspace-relative path
+ * @returns {string} - The normalized path
+ */
+function normalizeWorkspacePath(workspacePath) {
+    return path.posix.normalize(`/${workspacePath}`).replace(/\/+$/, '') || '/';
+}
+
+/**
+ * Check whether two normalized workspace paths are the same or one contains the other
+ * @param {string} a - A path
+ * @param {string} b - Another path
+ * @returns {boolean} - True if a change to one affects the other
+ */
+function pathsOverlap(a, b) {
+    const contains = (dir, file) => dir === '/' || file.startsWith(`${dir}/`);
+    return a === b || contains(a, b) || contains(b, a);
+}
+
+/**
+ * Report the problems found while parsing an agent's response. They are kept on
+ * the agent and shown in its next prompt (see context_builder.js) so it can correct itself.
+ * @param {Object} agent - The agent whose response was parsed
+ * @param {Array<Object>} diagnostics - Diagnostics from processActions()/processToolCalls()
+ * @returns {Promise<void>}
+ */
+async function reportParseDiagnostics(agent, diagnostics) {
+    agent.lastParseDiagnostics = diagnostics;
+    if (diagnostics.length === 0) return;
+    diagnostics.forEach(d => console.warn(`[SYSTEM] Parser ${d.severity} in ${agent.id} response${d.line ? ` (line ${d.line})` : ''}: ${d.message}`));
+    await appendToLog({
+        actor: 'SYSTEM_PARSER',
+        agentId: agent.id,
+        event: `${diagnostics.length} problem(s) parsing ${agent.id} response`,
+        diagnostics,
+        timestamp: new Date().toISOString()
+    });
+}
+
 /**
  * Main simulation loop
  * @returns {Promise<void>}
@@ -23,9 +158,264 @@ import { superAgentTemplate, executorTemplates } from './agent_templates.js';
 async function runSimulation() {
     const rl = readline.createInterface({ input, output });
     console.log('Initializing Task-Oriented Agent System...');
-    let db; let conversationHistory; let currentGoal; let projectStatus; let lastConsoleOutput; let projectStructure;
+    let db; let conversationHistory; let currentGoal; let projectStatus; let lastConsoleOutputs; let projectStructure;
     let lastExecutorEvent = null; // Track the last message *from* an executor
     let consecutiveWaitCount = 0; // Track consecutive WAIT actions
+    let stopRequested = false; // Set by Ctrl+C when no generation is in flight
+
+    // --- Ctrl+C handling: cancel the generation in flight instead of killing the process ---
+    function handleInterrupt() {
+        if (cancelActiveGeneration()) return; // complete() resolves with aborted: true
+        if (stopRequested) {
+            console.log("\n[SYSTEM] Forced exit.");
+            process.exit(130);
+        }
+        stopRequested = true;
+        console.log("\n[SYSTEM] Stop requested. The loop will end after the current step (Ctrl+C again to exit immediately).");
+    }
+    rl.on('SIGINT', handleInterrupt);
+    process.on('SIGINT', handleInterrupt);
+    // Called before every return from runSimulation(), so that the handler does not outlive it
+    function shutDown() {
+        process.off('SIGINT', handleInterrupt);
+        rl.close();
+    }
+
+    // Log a failed AI call as a system event (never as something the agent said)
+    // and pause the loop while the circuit breaker is open
+    async function handleAIFailure(agentId, error) {
+        if (error.code === 'AI_CASSETTE_END') {
+            console.log("[SYSTEM] Replay cassette exhausted. Stopping.");
+            stopRequested = true;
+            return;
+        }
+        console.warn(`[SYSTEM] ${agentId} AI call failed (${error.name}): ${error.message}`);
+        await appendToLog({
+            actor: 'SYSTEM_AI_ERROR',
+            event: `AI call for ${agentId} failed: ${error.message}`,
+            errorType: error.name,
+            errorCode: error.code,
+            provider: error.provider,
+            model: error.model,
+            timestamp: new Date().toISOString()
+        });
+
+        const circuitState = getCircuitState();
+        if (!circuitState.open) return;
+        console.log(`[SYSTEM] Pausing the loop until ${new Date(circuitState.retryAt).toLocaleTimeString()} (AI backend unavailable).`);
+        while (Date.now() < getCircuitState().retryAt && !stopRequested) {
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+        if (stopRequested) return;
+        const health = await checkAIHealth();
+        if (!health.ok) console.warn(`[SYSTEM] AI backend still unhealthy:\n- ${health.problems.join('\n- ')}`);
+    }
+
+    // Record a replay divergence (prompt no longer matches the cassette) in the log
+    async function logReplayDivergence(agentId, completion) {
+        const divergence = completion.replay?.divergence;
+        if (!divergence) return;
+        await appendToLog({
+            actor: 'SYSTEM_REPLAY',
+            event: `Prompt for ${agentId} diverged from cassette interaction ${divergence.index}: ${divergence.reasons.join('; ')}`,
+            divergence,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    // Ask the operator whether to keep going after a cancelled generation
+    async function continueAfterCancel() {
+        try {
+            const answer = await rl.question("\nGeneration cancelled. Press Enter to continue or type 'exit' to stop: ");
+            return answer.trim().toLowerCase() !== 'exit';
+        } catch (e) { return false; }
+    }
+
+    // Run the plugin actions of an agent's response and keep their results for the SuperAgent's next prompt
+    async function runPluginActions(agent, pluginActions) {
+        const handlerContext = { db, agent, workspace: PROJECT_WORKSPACE, readFile: performReadFile, fileAction: performFileAction, runCommand: executeCommand };
+        for (const action of pluginActions) {
+            console.log(`[SYSTEM] ${agent.id} runs plugin action ${action.name}`);
+            const result = await runActionHandler(action, handlerContext);
+            db.companionState.lastPluginResults.push({ name: action.name, agentId: agent.id, ...result });
+            const pluginLog = {
+                actor: 'SYSTEM_PLUGIN',
+                event: `${result.success ? 'Ran' : 'Failed to run'} ${action.name} for ${agent.id}`,
+                agentId: agent.id,
+                ...(result.success ? { output: result.output } : { error: result.error }),
+                timestamp: new Date().toISOString()
+            };
+            conversationHistory.push(pluginLog);
+            await appendToLog(pluginLog);
+        }
+        if (pluginActions.length > 0) await saveState();
+    }
+
+    // Apply an agent's bug tracker operations to the current project. ASSIGN_BUG (SuperAgent only)
+    // hands the bug to a specialist through `assignSpecialist(role, taskDescription)`. Rejected
+    // operations are logged and fed back to the agent in its next prompt. Returns the
+    // specialists that were given a bug.
+    async function applyBugActions(agent, bugActions, { changedFiles = [], assignSpecialist = null } = {}) {
+        const project = db.state.currentProject;
+        const assigned = [];
+        for (const action of bugActions) {
+            let result;
+            switch (action.type) {
+                case 'REPORT_BUG':
+                    result = reportBug(project, { description: action.description, severity: action.severity, reporter: agent.id, files: action.files.split(',') });
+                    break;
+                case 'FIX_BUG':
+                    result = fixBug(project, { id: action.id, comment: action.comment, actor: agent.id, files: [...action.files.split(','), ...changedFiles] });
+                    break;
+                case 'VERIFY_BUG':
+                    result = verifyBug(project, { id: action.id, status: action.status, comment: action.comment, actor: agent.id });
+                    break;
+                case 'CLOSE_BUG':
+                    result = closeBug(project, { id: action.id, comment: action.comment, actor: agent.id });
+                    break;
+                case 'ASSIGN_BUG': {
+                    result = checkBugAssignment(project, { id: action.id, role: action.role });
+                    if (!result.success) break;
+                    const specialist = assignSpecialist ? assignSpecialist(action.role, bugTaskDescription(result.bug, action.role)) : null;
+                    if (!specialist) {
+                        result = { success: false, bug: result.bug, error: `No ${action.role} specialist is available for ${result.bug.id}.` };
+                        break;
+                    }
+                    assignBug(result.bug, { assignee: specialist.id, actor: agent.id, comment: action.comment });
+                    assigned.push(specialist);
+                    break;
+                }
+                default:
+                    result = { success: false, bug: null, error: `Unknown bug action ${action.type}.` };
+            }
+
+            const bugId = result.bug?.id || action.id || '(new)';
+            if (result.success) {
+                console.log(`[SYSTEM] ${action.type} ${bugId} by ${agent.id}: now ${result.bug.status}${result.bug.assignee ? `, assigned to ${result.bug.assignee}` : ''}`);
+            } else {
+                console.warn(`[SYSTEM] Rejected ${action.type} ${bugId} from ${agent.id}: ${result.error}`);
+                agent.lastParseDiagnostics = [...(agent.lastParseDiagnostics || []), {
+                    code: 'BUG_REJECTED', severity: 'error', line: null, action: action.type, message: result.error
+                }];
+            }
+            const bugLog = {
+                actor: 'SYSTEM_BUG',
+                event: result.success
+                    ? `${action.type} ${bugId} by ${agent.id}: status ${result.bug.status}${result.bug.assignee ? `, assigned to ${result.bug.assignee}` : ''}`
+                    : `Rejected ${action.type} ${bugId} from ${agent.id}`,
+                agentId: agent.id,
+                ...(result.success ? {} : { error: result.error }),
+                timestamp: new Date().toISOString()
+            };
+            conversationHistory.push(bugLog);
+            await appendToLog(bugLog);
+        }
+        return assigned;
+    }
+
+    // Apply the SuperAgent's task backlog operations, in order. DELEGATE_NEXT_TASK hands the
+    // task to a specialist through `assignSpecialist(role, taskDescription, acceptanceChecks)`. Rejected
+    // operations are logged and fed back in the next prompt. Returns the specialists that
+    // were given a task.
+    async function applyPlanActions(agent, planActions, { assignSpecialist }) {
+        const project = db.state.currentProject;
+        const assigned = [];
+        for (const action of planActions) {
+            let result;
+            switch (action.type) {
+                case 'PLAN':
+                    result = planTasks(project, action.content);
+                    break;
+                case 'ADD_TASK':
+                    result = addTask(project, action);
+                    break;
+                case 'SPLIT_TASK':
+                    result = splitTask(project, action.id, action.content);
+                    break;
+                case 'REORDER_TASKS':
+                    result = reorderTasks(project, action.order);
+                    break;
+                case 'CANCEL_TASK':
+                    result = cancelTask(project, action.id, action.reason);
+                    break;
+                case 'DELEGATE_NEXT_TASK': {
+                    const next = nextTask(project, action.id);
+                    result = { success: next.success, tasks: next.task ? [next.task] : [], error: next.error };
+                    if (!next.success) break;
+                    const specialist = assignSpecialist(next.task.role, taskDescriptionFor(next.task), next.task.checks || null);
+                    if (!specialist) {
+                        result = { success: false, tasks: [next.task], error: `No ${next.task.role} specialist is available for ${next.task.id}.` };
+                        break;
+                    }
+                    startTask(next.task, specialist.id);
+                    specialist.backlogTaskId = next.task.id;
+                    assigned.push(specialist);
+                    break;
+                }
+                default:
+                    result = { success: false, tasks: [], error: `Unknown backlog action ${action.type}.` };
+            }
+
+            const summary = result.tasks.map(task => `${task.id} ${task.status}${task.assignee && task.status === 'InProgress' ? ` (${task.assignee})` : ''}`).join(', ');
+            if (result.success) {
+                console.log(`[SYSTEM] ${action.type} by ${agent.id}: ${summary}`);
+            } else {
+                console.warn(`[SYSTEM] Rejected ${action.type} from ${agent.id}: ${result.error}`);
+                agent.lastParseDiagnostics = [...(agent.lastParseDiagnostics || []), {
+                    code: 'PLAN_REJECTED', severity: 'error', line: null, action: action.type, message: result.error
+                }];
+            }
+            const planLog = {
+                actor: 'SYSTEM_PLAN',
+                event: result.success ? `${action.type} by ${agent.id}: ${summary}` : `Rejected ${action.type} from ${agent.id}`,
+                agentId: agent.id,
+                ...(result.success ? {} : { error: result.error }),
+                timestamp: new Date().toISOString()
+            };
+            conversationHistory.push(planLog);
+            await appendToLog(planLog);
+        }
+        return assigned;
+    }
+
+    // Re-prompt an agent whose response has no usable action, showing it its own output and
+    // what was expected, up to MAX_CORRECTION_ATTEMPTS times. Returns the completion and
+    // actions to continue the turn with (the last response if no correction worked).
+    async function correctResponse(agent, context, completion, actions, turn, taskDescription = null) {
+        const isSpecialist = agent.role !== 'SuperAgent';
+        let attempts = 0;
+        let reason = correctionReasonFor(actions, isSpecialist, taskDescription);
+        while (reason && attempts < MAX_CORRECTION_ATTEMPTS && !stopRequested) {
+            attempts++;
+            const rejectedResponse = responseTextFor(completion, taskDescription);
+            console.warn(`[SYSTEM] ${agent.id} response has no usable action; asking for a correction (${attempts}/${MAX_CORRECTION_ATTEMPTS}).`);
+            recordUsage(db, { agentId: agent.id, role: agent.role, taskDescription, usage: completion.usage });
+            await appendToLog({
+                actor: 'SYSTEM_CORRECTION',
+                agentId: agent.id,
+                event: `Re-prompted ${agent.id} (attempt ${attempts}/${MAX_CORRECTION_ATTEMPTS}): response had no usable action`,
+                rejectedResponse,
+                reason,
+                timestamp: new Date().toISOString()
+            });
+
+            const corrected = await complete(buildCorrectionContext(context, rejectedResponse, reason), completionOptionsFor(agent, turn));
+            if (corrected.aborted || corrected.error) {
+                // Keep the last response; a failed correction call is not worth pausing the turn for
+                console.warn(`[SYSTEM] Correction call for ${agent.id} ${corrected.aborted ? 'was cancelled' : `failed: ${corrected.error.message}`}.`);
+                break;
+            }
+            await logReplayDivergence(agent.id, corrected);
+            completion = corrected;
+            actions = actionsFor(completion, taskDescription, agent.role);
+            reason = correctionReasonFor(actions, isSpecialist, taskDescription);
+        }
+        if (attempts > 0) {
+            console.log(`[SYSTEM] ${agent.id} ${reason ? 'still has no usable action after' : 'corrected its response after'} ${attempts} re-prompt(s).`);
+        }
+        recordCorrection(db, { role: agent.role, attempts, recovered: !reason });
+        return { completion, actions };
+    }
 
     // --- loadState and saveState functions (Updated for SuperAgent architecture) ---
     async function loadState() {
@@ -36,7 +426,7 @@ async function runSimulation() {
         conversationHistory = db.log || [];
         currentGoal = db.state?.currentProject?.goal || "Not Set";
         projectStatus = db.state?.currentProject?.status || "Unknown";
-        lastConsoleOutput = db.companionState?.lastConsoleOutput || null;
+        lastConsoleOutputs = db.companionState?.lastConsoleOutputs || [];
         projectStructure = db.state?.projectStructure || "Empty";
         
         // Ensure SuperAgent is loaded
@@ -55,17 +445,13 @@ async function runSimulation() {
     async function saveState() {
         // Update state in db object
         db.log = conversationHistory;
-        db.companionState.lastConsoleOutput = lastConsoleOutput;
+        db.companionState.lastConsoleOutputs = lastConsoleOutputs;
         
         // Preserve directory listing and file content state
-        if (db.companionState.lastDirectoryListing) {
-            // Only update if it exists in the db object
-            db.companionState.lastDirectoryListing = db.companionState.lastDirectoryListing;
-        }
-        if (db.companionState.lastFileReadContent) {
-            // Only update if it exists in the db object
-            db.companionState.lastFileReadContent = db.companionState.lastFileReadContent;
-        }
+        if (!db.companionState.lastDirectoryListings) db.companionState.lastDirectoryListings = [];
+        if (!db.companionState.lastFileReads) db.companionState.lastFileReads = [];
+        if (!db.companionState.lastSearchResults) db.companionState.lastSearchResults = [];
+        if (!db.companionState.lastPluginResults) db.companionState.lastPluginResults = [];
         
         // Wait for any pending file operations to complete before saving state
         await waitForFileOperations();
@@ -75,7 +461,11 @@ async function runSimulation() {
 
     try {
         await fs.mkdir(PROJECT_WORKSPACE, { recursive: true });
+        await loadActionPlugins(ACTION_PLUGINS_DIR);
+        await loadCommandPolicy(COMMAND_POLICY_FILE);
         await loadState();
+        // Turns count from 1 in every run; loaded specialists start this run as just active
+        db.activeSpecialists.forEach(specialist => { specialist.lastActiveTurn = 0; });
         projectStructure = await getProjectStructure(PROJECT_WORKSPACE);
         db.state.projectStructure = projectStructure;
         await saveState(); // Save initial state including structure
@@ -83,7 +473,20 @@ async function runSimulation() {
         if (!db.superAgent || !db.superAgent.id || !db.superAgent.role) {
              throw new Error("SuperAgent missing or invalid after initialization.");
          }
-    } catch (e) { console.error(`Initialization Error: ${e.message}`); rl.close(); return; }
+    } catch (e) {
+        console.error(`Initialization Error: ${e.message}`);
+        shutDown();
+        return;
+    }
+
+    // --- AI Backend Health Check ---
+    const health = await checkAIHealth();
+    health.warnings.forEach(warning => console.warn(`[SYSTEM] AI health warning: ${warning}`));
+    if (!health.ok) {
+        console.error(`[SYSTEM] AI backend health check failed:\n- ${health.problems.join('\n- ')}`);
+        shutDown();
+        return;
+    }
 
     console.log('================================================');
     console.log(`System Ready. Current Phase: ${db.companionState?.phase || 'AWAITING_GOAL'}`);
@@ -95,16 +498,18 @@ async function runSimulation() {
          try {
              const userInput = await rl.question(`\nEnter initial project goal: `);
              currentGoal = userInput.trim();
-             if (!currentGoal) { console.log("No goal provided. Exiting."); rl.close(); return; }
+             if (!currentGoal) { console.log("No goal provided. Exiting."); shutDown(); return; }
              const simpleProjName = currentGoal.substring(0, 30).replace(/[^\w\s-]/gi, '').replace(/\s+/g, '-') || "New-Project";
              projectStatus = "Planning";
              // Update db object directly
              db.state.currentProject = { name: simpleProjName, goal: currentGoal, status: projectStatus, bugs: [] };
              db.companionState = { 
                  phase: projectStatus, 
-                 lastConsoleOutput: null,
-                 lastDirectoryListing: null,
-                 lastFileReadContent: null
+                 lastConsoleOutputs: [],
+                 lastDirectoryListings: [],
+                 lastFileReads: [],
+                 lastSearchResults: [],
+                 lastPluginResults: []
              };
              if (!db.projectSequence) db.projectSequence = [];
              db.currentProjectIndex = db.projectSequence.findIndex(p => p === db.state.currentProject.name);
@@ -119,12 +524,13 @@ async function runSimulation() {
              conversationHistory.push(goalLog);
              await appendToLog(goalLog);
              await saveState(); // Save the new goal state
-         } catch (e) { console.error("Error reading user input:", e); rl.close(); return; }
+         } catch (e) { console.error("Error reading user input:", e); shutDown(); return; }
     }
 
     // --- Main Interaction Loop (REVISED for SuperAgent Architecture) ---
     let loopCounter = 0; // Add loop counter for safety break
-    while (loopCounter < 100) { // Safety break
+    simulationLoop: while (loopCounter < 100) { // Safety break
+        if (stopRequested) { console.log("[SYSTEM] Stopping at operator request."); break; }
         loopCounter++;
         let stateChangedInTurn = false;
         let specialistRespondedThisTurn = false;
@@ -142,37 +548,62 @@ async function runSimulation() {
         projectStructure = await getProjectStructure(PROJECT_WORKSPACE);
         db.state.projectStructure = projectStructure;
 
-        // Pass the last specialist event to the SuperAgent for context
-        const superAgentContext = generateSuperAgentContext(db, lastExecutorEvent);
-        if (superAgentContext.startsWith('[ERROR')) { console.error(superAgentContext); break; }
+        // Pass the last specialist event to the SuperAgent for context (chat mode replays it from the log)
+        const superAgentContext = USE_CHAT_MESSAGES ? generateSuperAgentMessages(db, { toolMode: TOOL_MODE }) : generateSuperAgentContext(db, lastExecutorEvent);
+        if (typeof superAgentContext === 'string' && superAgentContext.startsWith('[ERROR')) { console.error(superAgentContext); break; }
 
         console.log(`\n[${superAgent.id} is processing state (Turn ${loopCounter})...]`);
-        const superAgentResponse = await askGoogleAI(superAgentContext);
-        lastConsoleOutput = null; db.companionState.lastConsoleOutput = null; // Clear console output
+        const firstSuperAgentCompletion = await complete(superAgentContext, completionOptionsFor(superAgent, loopCounter));
+
+        if (firstSuperAgentCompletion.aborted) {
+            // Partial output is discarded so half-written actions never reach processActions
+            const cancelLog = { actor: 'SYSTEM', event: `Cancelled ${superAgent.id} generation at operator request`, timestamp: new Date().toISOString() };
+            conversationHistory.push(cancelLog);
+            await appendToLog(cancelLog);
+            await saveState();
+            if (!(await continueAfterCancel())) break;
+            continue;
+        }
+        if (firstSuperAgentCompletion.error) {
+            await handleAIFailure(superAgent.id, firstSuperAgentCompletion.error);
+            continue;
+        }
+        await logReplayDivergence(superAgent.id, firstSuperAgentCompletion);
+        // Responses without any usable action are sent back for correction before the turn goes on
+        const { completion: superAgentCompletion, actions: superAgentActions } = await correctResponse(
+            superAgent, superAgentContext, firstSuperAgentCompletion, actionsFor(firstSuperAgentCompletion, null, superAgent.role), loopCounter
+        );
+        const superAgentResponse = responseTextFor(superAgentCompletion);
+        lastConsoleOutputs = []; db.companionState.lastConsoleOutputs = []; // Clear console output
 
-        if (superAgentResponse.startsWith('[AI')) { console.warn("SuperAgent AI failed:", superAgentResponse); }
-        // Log the raw response for debugging
-        console.log(`\n⚙️ ${superAgent.id.toUpperCase()} (SUPER AGENT) Raw Output: ${superAgentResponse}\n`);
+        // Log the raw response for debugging (already echoed live when streamed, except tool calls)
+        if (!superAgentCompletion.streamed || superAgentCompletion.toolCalls.length > 0) console.log(`\n⚙️ ${superAgent.id.toUpperCase()} (SUPER AGENT) Raw Output: ${superAgentResponse}\n`);
         superAgentTriggerEventForSpecialist = superAgentResponse; // Store for specialist context
 
-        const superAgentLog = { actor: superAgent.id, event: superAgentResponse, timestamp: new Date().toISOString() };
+        const superAgentLog = { actor: superAgent.id, event: superAgentResponse, modelProfile: superAgentCompletion.profile, usage: superAgentCompletion.usage, timestamp: new Date().toISOString() };
+        recordUsage(db, { agentId: superAgent.id, role: superAgent.role, usage: superAgentCompletion.usage });
         conversationHistory.push(superAgentLog);
-        await appendToLog(superAgentLog);
+        // Reasoning goes to the log file only, never into the state or the next prompt
+        await appendToLog({ ...superAgentLog, reasoning: superAgentCompletion.reasoning || null });
         stateChangedInTurn = true; // Logged event = state change
         lastExecutorEvent = null; // Clear last specialist event after SuperAgent sees it
 
         // --- Process SuperAgent Actions ---
-        let assignedSpecialistForExecution = null; // Specialist object to run next
+        let specialistsForExecution = []; // Specialists to run this turn, in delegation order
         let phaseChangedThisTurn = false;
-        let consoleCommandToRun = null;
+        let consoleCommandsToRun = [];
         let newProjectStatus = null;
         let newCompanionPhase = null;
         let skipSpecialistTurn = false; // Flag if SuperAgent decided to wait or needs input
-        let directoryToList = null; // Path for LIST_DIRECTORY action
-        let fileToRead = null; // Path for READ_FILE action
+        let directoriesToList = []; // Paths for LIST_DIRECTORY actions
+        let filesToRead = []; // Paths for READ_FILE actions
+        let searchesToRun = []; // SEARCH_CODE and FIND_FILES actions, in order
 
         // Process all actions from the SuperAgent response
-        const actions = processActions(superAgentResponse);
+        const actions = applyActionLimits(superAgentActions, MAX_ACTIONS_PER_TURN);
+        await reportParseDiagnostics(superAgent, actions.diagnostics);
+        // Plugin results were shown in this prompt; new ones come from this turn's actions
+        db.companionState.lastPluginResults = [];
 
         // Process SYSTEM_ACTIONs first, as they might halt the turn
         if (actions.systemAction) {
@@ -229,7 +660,7 @@ async function runSimulation() {
                                         currentGoal = newGoal.trim();
                                         const simpleProjName = currentGoal.substring(0, 30).replace(/[^\w\s-]/gi, '').replace(/\s+/g, '-') || "New-Project";
                                         projectStatus = "Planning";
-                                        db.state.currentProject = { name: simpleProjName, goal: currentGoal, status: projectStatus, bugs: [], completedTasks: [] };
+                                        db.state.currentProject = { name: simpleProjName, goal: currentGoal, status: projectStatus, bugs: [], completedTasks: [], tasks: [] };
                                         db.companionState.phase = projectStatus;
                                         
                                         console.log(`\nOkay, new goal: "${currentGoal}". Starting PLANNING phase.`);
@@ -262,26 +693,26 @@ async function runSimulation() {
             }
         }
 
-        // Process LIST_DIRECTORY action
-        if (actions.listDirectoryAction) {
-            directoryToList = actions.listDirectoryAction.path;
-            console.log(`[SYSTEM] SuperAgent requested directory listing: ${directoryToList}`);
-            // Clear previous listing
-            db.companionState.lastDirectoryListing = null;
-            // This will be processed after other state changes
+        // Process LIST_DIRECTORY actions
+        if (actions.listDirectoryActions.length > 0) {
+            directoriesToList = actions.listDirectoryActions.map(action => action.path);
+            console.log(`[SYSTEM] SuperAgent requested directory listing: ${directoriesToList.join(', ')}`);
+            // Clear previous listings
+            db.companionState.lastDirectoryListings = [];
+            // These will be processed after other state changes
         }
 
-        // Process READ_FILE action
-        if (actions.readFileAction) {
-            fileToRead = actions.readFileAction.path;
-            console.log(`[SYSTEM] SuperAgent requested file read: ${fileToRead}`);
-            // Clear previous file content
-            db.companionState.lastFileReadContent = null;
-            // This will be processed after other state changes
+        // Process READ_FILE actions
+        if (actions.readFileActions.length > 0) {
+            filesToRead = actions.readFileActions.map(action => action.path);
+            console.log(`[SYSTEM] SuperAgent requested file read: ${filesToRead.join(', ')}`);
+            // Clear previous file contents
+            db.companionState.lastFileReads = [];
+            // These will be processed after other state changes
         }
 
         // --- Helper: Find or Create Specialist for Task ---
-        function findOrCreateSpecialist(role, taskDescription) {
+        function findOrCreateSpecialist(role, taskDescription, acceptanceChecks = null) {
             // Validate role against available templates
             const validTemplate = executorTemplates.find(t => t.role === role);
             if (!validTemplate) {
@@ -294,17 +725,27 @@ async function runSimulation() {
             if (idleSpecialist) {
                 console.log(`[SYSTEM] Found idle specialist ${idleSpecialist.id} for role ${role}`);
                 idleSpecialist.taskDescription = taskDescription;
+                idleSpecialist.acceptanceChecks = acceptanceChecks;
+                idleSpecialist.backlogTaskId = null; // Set by DELEGATE_NEXT_TASK
+                idleSpecialist.lastParseDiagnostics = []; // Feedback on the previous task does not apply
+                idleSpecialist.blocked = null;
+                idleSpecialist.retryPending = false;
+                idleSpecialist.lastActiveTurn = loopCounter;
                 return idleSpecialist;
             }
             
             // No idle specialist found, create a new one
-            const newSpecialistId = `Specialist-${role}-${Date.now().toString(36)}`;
+            // Sequential (not time-based) IDs keep prompts identical between recorded and replayed runs
+            db.specialistSequence = (db.specialistSequence || 0) + 1;
+            const newSpecialistId = `Specialist-${role}-${db.specialistSequence}`;
             const newSpecialist = {
                 id: newSpecialistId,
                 role: role,
                 capabilities: validTemplate.capabilities,
                 description: validTemplate.description,
                 taskDescription: taskDescription,
+                acceptanceChecks,
+                lastActiveTurn: loopCounter,
                 createdAt: new Date().toISOString()
             };
             
@@ -314,16 +755,36 @@ async function runSimulation() {
             return newSpecialist;
         }
 
-        // Process DELEGATE_TASK action
-        if (actions.delegateTaskAction) {
-            const specialistRole = actions.delegateTaskAction.role;
-            const taskDescription = actions.delegateTaskAction.description;
+        // Process SEARCH_CODE / FIND_FILES actions
+        if (actions.searchCodeActions.length > 0 || actions.findFilesActions.length > 0) {
+            searchesToRun = [...actions.searchCodeActions, ...actions.findFilesActions];
+            console.log(`[SYSTEM] SuperAgent requested ${searchesToRun.length} workspace search(es).`);
+            // Clear previous search results
+            db.companionState.lastSearchResults = [];
+            // These will be processed after other state changes
+        }
+
+        // Process DELEGATE_TASK actions, in order
+        for (const delegateTaskAction of actions.delegateTaskActions) {
+            const specialistRole = delegateTaskAction.role;
+            const taskDescription = delegateTaskAction.description;
+
+            // A task whose acceptance checks are invalid is not delegated, so it cannot complete unchecked
+            const { checks, error: checkError } = buildAcceptanceChecks(delegateTaskAction.checks);
+            if (checkError) {
+                console.warn(`[SYSTEM] Rejected DELEGATE_TASK "${taskDescription}": ${checkError}`);
+                superAgent.lastParseDiagnostics = [...(superAgent.lastParseDiagnostics || []), {
+                    code: 'DELEGATE_REJECTED', severity: 'error', line: null, action: 'DELEGATE_TASK',
+                    message: `DELEGATE_TASK "${taskDescription}" was not delegated: ${checkError}`
+                }];
+                continue;
+            }
             
             // Find or create a specialist for this task
-            const specialist = findOrCreateSpecialist(specialistRole, taskDescription);
+            const specialist = findOrCreateSpecialist(specialistRole, taskDescription, checks);
             
             if (specialist) {
-                assignedSpecialistForExecution = specialist;
+                specialistsForExecution.push(specialist);
                 console.log(`[SYSTEM] Task "${taskDescription}" delegated to ${specialist.id} (${specialist.role})`);
                 stateChangedInTurn = true;
             } else {
@@ -331,13 +792,36 @@ async function runSimulation() {
             }
         }
 
+        // Process task backlog actions; DELEGATE_NEXT_TASK runs the specialist like DELEGATE_TASK
+        if (actions.planActions.length > 0) {
+            const taskSpecialists = await applyPlanActions(superAgent, actions.planActions, { assignSpecialist: findOrCreateSpecialist });
+            taskSpecialists.forEach(specialist => {
+                if (!specialistsForExecution.includes(specialist)) specialistsForExecution.push(specialist);
+            });
+            stateChangedInTurn = true;
+        }
+
+        // Process bug tracker actions; ASSIGN_BUG runs the specialist like DELEGATE_TASK
+        if (actions.bugActions.length > 0) {
+            const bugSpecialists = await applyBugActions(superAgent, actions.bugActions, { assignSpecialist: findOrCreateSpecialist });
+            bugSpecialists.forEach(specialist => {
+                if (!specialistsForExecution.includes(specialist)) specialistsForExecution.push(specialist);
+            });
+            stateChangedInTurn = true;
+        }
+
+        // Blocked specialists retry their task, and specialists a blocked task was reassigned to start it
+        db.activeSpecialists.filter(s => s.retryPending && s.taskDescription).forEach(specialist => {
+            if (!specialistsForExecution.includes(specialist)) specialistsForExecution.push(specialist);
+        });
+
         // Only process task/bug assignments if no system action decided to wait/halt
         if (!skipSpecialistTurn) {
             // Process ACTION: RUN_TEST_COMMAND
-            if (actions.commandAction) {
-                consoleCommandToRun = actions.commandAction.command;
-                assignedSpecialistForExecution = null; // Command execution takes priority over specialist turn
-                console.log(`[SYSTEM] SuperAgent requested command execution.`);
+            if (actions.commandActions.length > 0) {
+                consoleCommandsToRun = actions.commandActions;
+                specialistsForExecution = []; // Command execution takes priority over specialist turn
+                console.log(`[SYSTEM] SuperAgent requested execution of ${consoleCommandsToRun.length} command(s).`);
             }
             
             // Process direct file operations from SuperAgent
@@ -368,83 +852,132 @@ async function runSimulation() {
                    projectCompletedThisTurn = true;
              }
         }
+        if (projectCompletedThisTurn) console.log(`\n${formatUsageSummary(db, db.state.currentProject.name)}\n`);
 
         // Save state after processing Orchestrator actions IF something changed & no command pending
-        if (stateChangedInTurn && !consoleCommandToRun && !directoryToList && !fileToRead) { 
+        if (stateChangedInTurn && consoleCommandsToRun.length === 0 && directoriesToList.length === 0 && filesToRead.length === 0 && searchesToRun.length === 0) { 
             await saveState(); 
         }
 
-        // === Execute LIST_DIRECTORY action if requested ===
-        if (directoryToList) {
+        // === Execute LIST_DIRECTORY actions if requested ===
+        for (const directoryToList of directoriesToList) {
             const listingResult = await performListDirectory(directoryToList);
             if (listingResult.success) {
-                db.companionState.lastDirectoryListing = listingResult;
-                await appendToLog({ 
+                db.companionState.lastDirectoryListings.push(listingResult);
+                const listLog = { 
                     actor: 'SYSTEM_LIST_DIR', 
                     event: `Listed directory: ${directoryToList}`, 
                     result: listingResult, 
+                    output: listingResult.formattedListing || '(empty directory)',
                     timestamp: new Date().toISOString() 
-                });
+                };
+                conversationHistory.push(listLog);
+                await appendToLog(listLog);
             } else {
                 console.warn(`[SYSTEM] Directory listing failed: ${listingResult.error}`);
-                db.companionState.lastDirectoryListing = { 
+                db.companionState.lastDirectoryListings.push({ 
                     success: false, 
                     path: directoryToList, 
                     error: listingResult.error,
                     formattedListing: `Error: ${listingResult.error}`
-                };
-                await appendToLog({ 
+                });
+                const listLog = { 
                     actor: 'SYSTEM_LIST_DIR', 
                     event: `Failed to list directory: ${directoryToList}`, 
                     error: listingResult.error, 
                     timestamp: new Date().toISOString() 
-                });
+                };
+                conversationHistory.push(listLog);
+                await appendToLog(listLog);
             }
             await saveState(); // Save state after directory listing
             stateChangedInTurn = true;
         }
 
-        // === Execute READ_FILE action if requested ===
-        if (fileToRead) {
+        // === Execute READ_FILE actions if requested ===
+        for (const fileToRead of filesToRead) {
             const readResult = await performReadFile(fileToRead);
             if (readResult.success) {
-                db.companionState.lastFileReadContent = readResult;
-                await appendToLog({ 
+                db.companionState.lastFileReads.push(readResult);
+                const readLog = { 
                     actor: 'SYSTEM_READ_FILE', 
                     event: `Read file: ${fileToRead}`, 
                     result: { path: readResult.path, size: readResult.content.length, isTruncated: readResult.isTruncated }, 
+                    output: readResult.content.substring(0, 2000),
                     timestamp: new Date().toISOString() 
-                });
+                };
+                conversationHistory.push(readLog);
+                await appendToLog(readLog);
             } else {
                 console.warn(`[SYSTEM] File read failed: ${readResult.error}`);
-                db.companionState.lastFileReadContent = { 
+                db.companionState.lastFileReads.push({ 
                     success: false, 
                     path: fileToRead, 
                     error: readResult.error,
                     content: `Error: ${readResult.error}`
-                };
-                await appendToLog({ 
+                });
+                const readLog = { 
                     actor: 'SYSTEM_READ_FILE', 
                     event: `Failed to read file: ${fileToRead}`, 
                     error: readResult.error, 
                     timestamp: new Date().toISOString() 
-                });
+                };
+                conversationHistory.push(readLog);
+                await appendToLog(readLog);
             }
             await saveState(); // Save state after file read
             stateChangedInTurn = true;
         }
 
+        // === Execute SEARCH_CODE / FIND_FILES actions if requested ===
+        for (const search of searchesToRun) {
+            const searchResult = search.type === 'SEARCH_CODE'
+                ? await performSearchCode(search.pattern, search.glob)
+                : await performFindFiles(search.glob);
+            const description = search.type === 'SEARCH_CODE'
+                ? `pattern "${search.pattern}"${search.glob ? ` in ${search.glob}` : ''}`
+                : `files ${search.glob}`;
+            db.companionState.lastSearchResults.push({
+                type: search.type,
+                description,
+                success: searchResult.success,
+                formattedResults: searchResult.success ? searchResult.formattedResults : `Error: ${searchResult.error}`
+            });
+            const searchLog = {
+                actor: 'SYSTEM_SEARCH',
+                event: `${searchResult.success ? 'Searched' : 'Failed to search'} ${description}`,
+                ...(searchResult.success ? { output: searchResult.formattedResults } : { error: searchResult.error }),
+                timestamp: new Date().toISOString()
+            };
+            if (!searchResult.success) console.warn(`[SYSTEM] Search failed: ${searchResult.error}`);
+            conversationHistory.push(searchLog);
+            await appendToLog(searchLog);
+            await saveState(); // Save state after search
+            stateChangedInTurn = true;
+        }
+
+        // === Execute plugin actions requested by the SuperAgent ===
+        if (actions.pluginActions.length > 0) {
+            await runPluginActions(superAgent, actions.pluginActions);
+            stateChangedInTurn = true;
+        }
+
         // === Execute Console Command (If Any) ===
-        if (consoleCommandToRun) {
-             lastConsoleOutput = await executeCommand(consoleCommandToRun);
-             db.companionState.lastConsoleOutput = lastConsoleOutput;
-             await appendToLog({ actor: 'SYSTEM_EXEC', event: `Executed: ${consoleCommandToRun}`, output: lastConsoleOutput, timestamp: new Date().toISOString() });
-             await saveState(); // Save output state
+        if (consoleCommandsToRun.length > 0) {
+             for (const commandAction of consoleCommandsToRun) {
+                 const result = await executeCommand(commandAction.command, { timeoutMs: commandAction.timeoutMs });
+                 const output = formatCommandResult(result);
+                 lastConsoleOutputs.push({ command: commandAction.command, output, exitCode: result.exitCode, artifactPath: result.artifactPath });
+                 const execLog = { actor: 'SYSTEM_EXEC', event: `Executed: ${commandAction.command} (${result.denied ? 'denied by command policy' : `exit code ${result.exitCode ?? 'none'}`})`, output, timestamp: new Date().toISOString() };
+                 conversationHistory.push(execLog);
+                 await appendToLog(execLog);
+                 await saveState(); // Save output state
+             }
              stateChangedInTurn = true; // Ensure state is considered changed
         } else {
             // Clear old output only if no command was run this turn
-            if (db.companionState?.lastConsoleOutput) {
-                 lastConsoleOutput = null; db.companionState.lastConsoleOutput = null;
+            if (lastConsoleOutputs.length > 0) {
+                 lastConsoleOutputs = []; db.companionState.lastConsoleOutputs = [];
                  await saveState();
                  stateChangedInTurn = true;
             }
@@ -460,12 +993,14 @@ async function runSimulation() {
                   // --- Reset for new project ---
                   const simpleProjName = currentGoal.substring(0, 30).replace(/[^\w\s-]/gi, '').replace(/\s+/g, '-') || "New-Project";
                   projectStatus = "Planning";
-                  db.state.currentProject = { name: simpleProjName, goal: currentGoal, status: projectStatus, bugs: [], completedTasks: [] };
+                  db.state.currentProject = { name: simpleProjName, goal: currentGoal, status: projectStatus, bugs: [], completedTasks: [], tasks: [] };
                   db.companionState = { 
                       phase: projectStatus, 
-                      lastConsoleOutput: null,
-                      lastDirectoryListing: null,
-                      lastFileReadContent: null
+                      lastConsoleOutputs: [],
+                      lastDirectoryListings: [],
+                      lastFileReads: [],
+                      lastSearchResults: [],
+                      lastPluginResults: []
                   };
                   currentPhase = projectStatus; // Update local phase
                   if (!db.projectSequence) db.projectSequence = [];
@@ -485,173 +1020,452 @@ async function runSimulation() {
           }
 
 
-        // === Specialist Execution Turn (If task assigned AND no command run AND not skipped) ===
-        if (assignedSpecialistForExecution && !consoleCommandToRun && !skipSpecialistTurn) {
-            const specialistToExecute = assignedSpecialistForExecution;
-
-            if (specialistToExecute.taskDescription) {
-                    // Generate context using specialist context function and the SuperAgent's output as the trigger
-                    const specialistContext = generateSpecialistContext(specialistToExecute, db, superAgentTriggerEventForSpecialist);
-                     if (specialistContext.startsWith('[ERROR')) { console.error(specialistContext); continue; }
-
-                    console.log(`\n[${specialistToExecute.id} (${specialistToExecute.role}) is executing task: "${specialistToExecute.taskDescription}"]`);
-                    const specialistResponseText = await askGoogleAI(specialistContext);
-                    specialistRespondedThisTurn = true;
-                    let specialistFailed = false;
-                    if (specialistResponseText.startsWith('[AI')) { console.warn("Specialist AI failed:", specialistResponseText); specialistFailed = true; }
-                    // Log raw response for analysis
-                    console.log(`\n⚡️ ${specialistToExecute.id.toUpperCase()} (${specialistToExecute.role}) Raw Output: ${specialistResponseText}\n`);
-
-                    const specialistEventLog = { actor: specialistToExecute.id, event: specialistResponseText, timestamp: new Date().toISOString() };
-                    conversationHistory.push(specialistEventLog);
-                    await appendToLog(specialistEventLog);
-                    lastExecutorEvent = specialistEventLog; // Store this for next SuperAgent context
-
-                    // --- Process Specialist Actions ---
-                    let agentMadeChanges = false; // Track changes within this agent's turn
-                    let taskReportedComplete = false;
-                    let taskReportedBlocked = false;
-                    
-                    // Add detailed logging of raw specialist response for debugging
-                    console.log(`[DEBUG] Raw specialist response before processing:\n${specialistResponseText.substring(0, 500)}${specialistResponseText.length > 500 ? '...(truncated)' : ''}`);
-                    
-                    // Process all actions from the specialist response
-                    const specialistActions = processActions(specialistResponseText, specialistToExecute.taskDescription);
-                    
-                    // Add detailed logging of parsed actions for debugging
-                    console.log(`[DEBUG] Parsed specialistActions: ${JSON.stringify({
-                        hasSystemAction: !!specialistActions.systemAction,
-                        hasListDirectoryAction: !!specialistActions.listDirectoryAction,
-                        hasReadFileAction: !!specialistActions.readFileAction,
-                        hasDelegateTaskAction: !!specialistActions.delegateTaskAction,
-                        hasCommandAction: !!specialistActions.commandAction,
-                        fileActionsCount: specialistActions.fileActions ? specialistActions.fileActions.length : 0,
-                        bugActionsCount: specialistActions.bugActions ? specialistActions.bugActions.length : 0,
-                        taskStatus: specialistActions.taskStatus ? specialistActions.taskStatus.type : null
-                    }, null, 2)}`);
-                    
-                    // Log file actions in detail if present
-                    if (specialistActions.fileActions && specialistActions.fileActions.length > 0) {
-                        console.log(`[DEBUG] File actions details: ${JSON.stringify(specialistActions.fileActions.map(action => ({
+        // === Specialist Execution Turn (If tasks assigned AND no command run AND not skipped) ===
+        // Up to MAX_PARALLEL_SPECIALISTS specialist sessions run at the same time, started in the
+        // order the SuperAgent delegated the tasks. Their responses are applied one at a time as
+        // they arrive, and all of them are merged into the state before the next SuperAgent turn.
+        if (specialistsForExecution.length > 0 && consoleCommandsToRun.length === 0 && !skipSpecialistTurn) {
+            const changedPaths = new Map(); // Workspace path -> { owner, change } of its last change this cycle
+            let changeCount = 0; // Changes applied so far this cycle
+            let applying = Promise.resolve(); // The response being applied
+            let interruption = null; // { agentId, aborted, error } of the call that stops the turn
+            const escalatedTasks = []; // Blocked tasks whose retry budget is spent, for the user
+
+            // Ask a specialist for its response (AI call and corrections). Returns null if the
+            // call was cancelled or failed; no further specialist is started then.
+            const generateSpecialistTurn = async (specialistToExecute) => {
+                // Generate context using specialist context function and the SuperAgent's output as the trigger
+                const specialistContext = USE_CHAT_MESSAGES
+                    ? generateSpecialistMessages(specialistToExecute, db, superAgentTriggerEventForSpecialist, { toolMode: TOOL_MODE })
+                    : generateSpecialistContext(specialistToExecute, db, superAgentTriggerEventForSpecialist);
+                if (typeof specialistContext === 'string' && specialistContext.startsWith('[ERROR')) {
+                    console.error(specialistContext);
+                    interruption = interruption || { agentId: specialistToExecute.id, aborted: false, error: null };
+                    return null;
+                }
+                // The workspace this specialist sees: the changes applied so far
+                const seenChanges = changeCount;
+
+                console.log(`\n[${specialistToExecute.id} (${specialistToExecute.role}) is executing task: "${specialistToExecute.taskDescription}"]`);
+                const firstSpecialistCompletion = await complete(specialistContext, completionOptionsFor(specialistToExecute, loopCounter));
+
+                if (firstSpecialistCompletion.aborted || firstSpecialistCompletion.error) {
+                    // Task stays assigned and the specialist runs it again in the next turn that
+                    // reaches the specialists; until then it is not removed as stale
+                    specialistToExecute.retryPending = true;
+                    interruption = interruption || { agentId: specialistToExecute.id, aborted: firstSpecialistCompletion.aborted, error: firstSpecialistCompletion.error };
+                    return null;
+                }
+                await logReplayDivergence(specialistToExecute.id, firstSpecialistCompletion);
+                const { completion, actions } = await correctResponse(
+                    specialistToExecute, specialistContext, firstSpecialistCompletion,
+                    actionsFor(firstSpecialistCompletion, specialistToExecute.taskDescription, specialistToExecute.role),
+                    loopCounter, specialistToExecute.taskDescription
+                );
+                return { completion, actions: applyActionLimits(actions, MAX_ACTIONS_PER_TURN), seenChanges };
+            };
+
+            // Find a path this specialist changes that another specialist changed after its prompt was built
+            const findPathConflict = (specialistToExecute, action, seenChanges) => {
+                for (const actionPath of [action.path, action.destination].filter(Boolean)) {
+                    const normalized = normalizeWorkspacePath(actionPath);
+                    for (const [changedPath, { owner, change }] of changedPaths) {
+                        if (owner === specialistToExecute.id || change <= seenChanges) continue;
+                        if (pathsOverlap(normalized, changedPath)) return { path: actionPath, changedPath, owner };
+                    }
+                }
+                return null;
+            };
+
+            // Apply SPECIALIST_POLICY to a TASK_BLOCKED report: the same specialist retries next turn,
+            // the task moves to another specialist of the role, or it is escalated to the user
+            const handleBlockedTask = async (specialist, reason, escalated) => {
+                const project = db.state.currentProject;
+                const taskDescription = specialist.taskDescription;
+                const step = recordBlockedAttempt(specialist, reason, loopCounter, SPECIALIST_POLICY);
+                const attempts = totalAttempts(specialist.blocked, SPECIALIST_POLICY);
+                let event;
+                if (step === 'retry') {
+                    specialist.retryPending = true;
+                    event = `${specialist.id} is blocked on "${taskDescription}" (attempt ${attempts}): ${reason}. It retries next turn.`;
+                } else if (step === 'reassign') {
+                    const replacement = findOrCreateSpecialist(specialist.role, taskDescription, specialist.acceptanceChecks || null);
+                    transferBlockedTask(specialist, replacement);
+                    if (specialist.backlogTaskId) reassignTask(project, specialist.backlogTaskId, { from: specialist.id, to: replacement.id, note: reason });
+                    db.activeSpecialists = db.activeSpecialists.filter(s => s !== specialist);
+                    event = `${specialist.id} is blocked on "${taskDescription}" (attempt ${attempts}): ${reason}. Reassigned to ${replacement.id}, which starts next turn.`;
+                } else {
+                    if (specialist.backlogTaskId) finishTask(project, specialist.backlogTaskId, { status: 'Blocked', assignee: specialist.id, note: reason });
+                    escalated.push({ task: taskDescription, role: specialist.role, reason, attempts, backlogTaskId: specialist.backlogTaskId || null });
+                    db.activeSpecialists = db.activeSpecialists.filter(s => s !== specialist);
+                    event = `"${taskDescription}" is still blocked after ${attempts} attempts: ${reason}. Escalated to the user.`;
+                }
+                console.log(`[SYSTEM] ${event}`);
+                const blockedLog = { actor: 'SYSTEM_BLOCKED', event, agentId: specialist.id, step, reason, attempts, timestamp: new Date().toISOString() };
+                conversationHistory.push(blockedLog);
+                await appendToLog(blockedLog);
+            };
+
+            // Decide whether a TASK_COMPLETE can be accepted: no file operation of the response failed
+            // and the task's acceptance checks pass. Returns the reason for refusing it, or null.
+            const checkCompletion = async (specialist, fileOperationResults) => {
+                const failedOperations = fileOperationResults.filter(result => !result.success);
+                let refusal = null;
+                let details = '';
+                if (failedOperations.length > 0) {
+                    refusal = `${failedOperations.length} file operation(s) of the same response failed`;
+                    details = failedOperations.map(result => `- ${result.type} "${result.path}": ${result.error || 'failed'}`).join('\n');
+                } else if (specialist.acceptanceChecks) {
+                    const { passed, results } = await runAcceptanceChecks(specialist.acceptanceChecks);
+                    const summary = formatAcceptanceChecks(specialist.acceptanceChecks);
+                    console.log(`[SYSTEM] Acceptance checks of ${specialist.id} ${passed ? 'passed' : 'failed'}: ${summary}`);
+                    const acceptanceLog = {
+                        actor: 'SYSTEM_ACCEPTANCE',
+                        event: passed
+                            ? `Acceptance checks of "${specialist.taskDescription}" passed (${summary})`
+                            : `Acceptance checks of "${specialist.taskDescription}" failed:\n${formatCheckFailures(results)}`,
+                        agentId: specialist.id,
+                        passed,
+                        results,
+                        timestamp: new Date().toISOString()
+                    };
+                    conversationHistory.push(acceptanceLog);
+                    await appendToLog(acceptanceLog);
+                    if (!passed) {
+                        refusal = `acceptance checks failed (${results.filter(result => !result.passed).map(result => result.check).join(', ')})`;
+                        details = formatCheckFailures(results);
+                    }
+                }
+                if (!refusal) return null;
+                console.warn(`[SYSTEM] TASK_COMPLETE of ${specialist.id} refused: ${refusal}`);
+                specialist.lastParseDiagnostics = [...(specialist.lastParseDiagnostics || []), {
+                    code: 'COMPLETION_REFUSED', severity: 'error', line: null, action: 'TASK_COMPLETE',
+                    message: `TASK_COMPLETE was refused: ${refusal}. Fix this, then report TASK_COMPLETE again.\n${details}`
+                }];
+                return refusal;
+            };
+
+            // Apply a specialist's response to the workspace and the state
+            const applySpecialistTurn = async (specialistToExecute, { completion: specialistCompletion, actions: specialistActions, seenChanges }) => {
+                const specialistResponseText = responseTextFor(specialistCompletion, specialistToExecute.taskDescription);
+                specialistRespondedThisTurn = true;
+                specialistToExecute.lastActiveTurn = loopCounter;
+                specialistToExecute.retryPending = false;
+                // Log raw response for analysis (already echoed live when streamed, except tool calls)
+                if (!specialistCompletion.streamed || specialistCompletion.toolCalls.length > 0) console.log(`\n⚡️ ${specialistToExecute.id.toUpperCase()} (${specialistToExecute.role}) Raw Output: ${specialistResponseText}\n`);
+
+                const specialistEventLog = { actor: specialistToExecute.id, event: specialistResponseText, modelProfile: specialistCompletion.profile, usage: specialistCompletion.usage, timestamp: new Date().toISOString() };
+                recordUsage(db, { agentId: specialistToExecute.id, role: specialistToExecute.role, taskDescription: specialistToExecute.taskDescription, usage: specialistCompletion.usage });
+                conversationHistory.push(specialistEventLog);
+                await appendToLog({ ...specialistEventLog, reasoning: specialistCompletion.reasoning || null });
+                lastExecutorEvent = specialistEventLog; // Store this for next SuperAgent context
+
+                // --- Process Specialist Actions ---
+                let agentMadeChanges = false; // Track changes within this agent's turn
+
+                // Add detailed logging of raw specialist response for debugging
+                console.log(`[DEBUG] Raw specialist response before processing:\n${specialistResponseText.substring(0, 500)}${specialistResponseText.length > 500 ? '...(truncated)' : ''}`);
+
+                // Report the problems in the (possibly corrected) specialist response
+                await reportParseDiagnostics(specialistToExecute, specialistActions.diagnostics);
+
+                // Add detailed logging of parsed actions for debugging
+                console.log(`[DEBUG] Parsed specialistActions: ${JSON.stringify({
+                    hasSystemAction: !!specialistActions.systemAction,
+                    listDirectoryActionsCount: specialistActions.listDirectoryActions.length,
+                    readFileActionsCount: specialistActions.readFileActions.length,
+                    delegateTaskActionsCount: specialistActions.delegateTaskActions.length,
+                    commandActionsCount: specialistActions.commandActions.length,
+                    fileActionsCount: specialistActions.fileActions ? specialistActions.fileActions.length : 0,
+                    bugActionsCount: specialistActions.bugActions ? specialistActions.bugActions.length : 0,
+                    pluginActionsCount: specialistActions.pluginActions.length,
+                    taskStatus: specialistActions.taskStatus ? specialistActions.taskStatus.type : null
+                }, null, 2)}`);
+
+                // Log file actions in detail if present
+                if (specialistActions.fileActions && specialistActions.fileActions.length > 0) {
+                    console.log(`[DEBUG] File actions details: ${JSON.stringify(specialistActions.fileActions.map(action => ({
+                        type: action.type,
+                        path: action.path,
+                        contentLength: action.content ? action.content.length : 0
+                    })), null, 2)}`);
+                } else {
+                    console.log(`[DEBUG] No file actions found in specialist response.`);
+                }
+
+                // Track file operations for verification
+                const fileOperationResults = [];
+                const pathConflicts = [];
+
+                // Process file actions
+                if (specialistActions.fileActions && specialistActions.fileActions.length > 0) {
+                    for (const action of specialistActions.fileActions) {
+                        console.log(`[DEBUG] Processing ${action.type} for path: "${action.path}"`);
+                        console.log(`[DEBUG] Content captured: ${action.content !== null ? 'Present (length: ' + action.content.length + ')' : 'Null/Undefined'}`);
+
+                        // Special handling for MODIFY_FILE to prevent accidental content deletion
+                        if (action.type === 'MODIFY_FILE' && (action.content === null || action.content === undefined || action.content === '')) {
+                            console.warn(`[SYSTEM] Warning: Empty content detected for MODIFY_FILE action on "${action.path}". Skipping to prevent data loss.`);
+                            continue; // Skip this action to prevent data loss
+                        }
+
+                        // A path changed by a specialist running in parallel is not overwritten
+                        const conflict = findPathConflict(specialistToExecute, action, seenChanges);
+                        const fileResult = conflict
+                            ? { success: false, error: `Path conflict: "${conflict.changedPath}" was changed by ${conflict.owner}, which ran at the same time. Re-read it and redo this change.` }
+                            : await performFileAction(action.type, action.path, action.content, { destination: action.destination, recursive: action.recursive });
+                        if (conflict) pathConflicts.push({ action: action.type, ...conflict });
+
+                        // Store the operation result for verification
+                        fileOperationResults.push({
                             type: action.type,
                             path: action.path,
-                            contentLength: action.content ? action.content.length : 0
-                        })), null, 2)}`);
-                    } else {
-                        console.log(`[DEBUG] No file actions found in specialist response.`);
+                            destination: action.destination || null,
+                            success: fileResult.success,
+                            error: fileResult.error || null,
+                            // APPLY_PATCH / EDIT_FILE: which hunks did not apply, and why
+                            failedHunks: (fileResult.hunks || []).filter(h => !h.success),
+                            timestamp: new Date().toISOString()
+                        });
+
+                        if (fileResult.success) {
+                            agentMadeChanges = true;
+                            [action.path, action.destination].filter(Boolean)
+                                .forEach(changedPath => changedPaths.set(normalizeWorkspacePath(changedPath), { owner: specialistToExecute.id, change: ++changeCount }));
+                            console.log(`[SYSTEM] File operation verified: ${action.type} on "${action.path}" was successful`);
+                        } else {
+                            console.warn(`[SYSTEM] File operation verification failed: ${action.type} on "${action.path}" - ${fileResult.error}`);
+                        }
                     }
-                    
-                    // Track file operations for verification
-                    const fileOperationResults = [];
-                    
-                    // Process file actions
-                    if (specialistActions.fileActions && specialistActions.fileActions.length > 0) {
-                        for (const action of specialistActions.fileActions) {
-                            console.log(`[DEBUG] Processing ${action.type} for path: "${action.path}"`);
-                            console.log(`[DEBUG] Content captured: ${action.content !== null ? 'Present (length: ' + action.content.length + ')' : 'Null/Undefined'}`);
-                            
-                            // Special handling for MODIFY_FILE to prevent accidental content deletion
-                            if (action.type === 'MODIFY_FILE' && (action.content === null || action.content === undefined || action.content === '')) {
-                                console.warn(`[SYSTEM] Warning: Empty content detected for MODIFY_FILE action on "${action.path}". Skipping to prevent data loss.`);
-                                continue; // Skip this action to prevent data loss
-                            }
-                             
-                            // Execute the file operation and track the result
-                            const fileResult = await performFileAction(action.type, action.path, action.content);
-                            
-                            // Store the operation result for verification
-                            fileOperationResults.push({
-                                type: action.type,
-                                path: action.path,
-                                success: fileResult.success,
-                                error: fileResult.error || null,
-                                timestamp: new Date().toISOString()
-                            });
-                            
-                            if (fileResult.success) {
-                                agentMadeChanges = true;
-                                console.log(`[SYSTEM] File operation verified: ${action.type} on "${action.path}" was successful`);
-                            } else {
-                                console.warn(`[SYSTEM] File operation verification failed: ${action.type} on "${action.path}" - ${fileResult.error}`);
-                            }
+                }
+
+                // Conflicting changes were not made, so the task cannot be complete
+                if (pathConflicts.length > 0) {
+                    const conflictSummary = pathConflicts.map(c => `${c.action} "${c.path}" (changed by ${c.owner})`).join(', ');
+                    console.warn(`[SYSTEM] Path conflict: ${specialistToExecute.id} did not apply ${conflictSummary}`);
+                    specialistToExecute.lastParseDiagnostics = [...(specialistToExecute.lastParseDiagnostics || []), ...pathConflicts.map(c => ({
+                        code: 'PATH_CONFLICT', severity: 'error', line: null, action: c.action,
+                        message: `${c.action} on "${c.path}" was not applied: ${c.owner} changed "${c.changedPath}" while you were working. Re-read it and redo the change.`
+                    }))];
+                    const conflictLog = { actor: 'SYSTEM_CONFLICT', event: `${specialistToExecute.id} did not apply ${conflictSummary}`, agentId: specialistToExecute.id, conflicts: pathConflicts, timestamp: new Date().toISOString() };
+                    conversationHistory.push(conflictLog);
+                    await appendToLog(conflictLog);
+                    if (specialistActions.taskStatus?.type === 'TASK_COMPLETE') {
+                        specialistActions.taskStatus = { type: 'TASK_BLOCKED', reason: `Path conflict on ${pathConflicts.map(c => c.path).join(', ')}`, taskDescription: specialistToExecute.taskDescription };
+                    }
+                }
+
+                // Run plugin actions; their results go to the SuperAgent's next prompt
+                if (specialistActions.pluginActions.length > 0) {
+                    await runPluginActions(specialistToExecute, specialistActions.pluginActions);
+                    agentMadeChanges = true;
+                }
+
+                // Process bug actions; files changed in this response are linked to fixed bugs
+                if (specialistActions.bugActions.length > 0) {
+                    const changedFiles = fileOperationResults
+                        .filter(result => result.success)
+                        .map(result => result.destination || result.path);
+                    await applyBugActions(specialistToExecute, specialistActions.bugActions, { changedFiles });
+                    agentMadeChanges = true;
+                }
+
+                // Log file operation verification results for SuperAgent
+                if (fileOperationResults.length > 0) {
+                    const verificationLog = {
+                        actor: 'SYSTEM_VERIFY',
+                        event: `Verified ${fileOperationResults.length} file operations from ${specialistToExecute.id}`,
+                        agentId: specialistToExecute.id,
+                        results: fileOperationResults,
+                        timestamp: new Date().toISOString()
+                    };
+                    conversationHistory.push(verificationLog);
+                    await appendToLog(verificationLog);
+
+                    // Store the verification results in the database for SuperAgent context
+                    if (!db.state.fileVerifications) db.state.fileVerifications = [];
+                    db.state.fileVerifications = [
+                        ...db.state.fileVerifications.slice(-9), // Keep last 9 verifications
+                        {
+                            agentId: specialistToExecute.id,
+                            task: specialistToExecute.taskDescription,
+                            turn: loopCounter,
+                            results: fileOperationResults,
+                            timestamp: new Date().toISOString()
                         }
+                    ];
+                }
+
+                // A completion is refused when file operations of the same response failed or an
+                // acceptance check fails; the task goes back to the specialist like a TASK_BLOCKED
+                if (specialistActions.taskStatus?.type === 'TASK_COMPLETE') {
+                    const refusal = await checkCompletion(specialistToExecute, fileOperationResults);
+                    if (refusal) {
+                        specialistActions.taskStatus = { type: 'TASK_BLOCKED', reason: `TASK_COMPLETE refused: ${refusal}`, taskDescription: specialistToExecute.taskDescription };
                     }
-                    
-                    // Process bug actions
-                    if (specialistActions.bugActions && specialistActions.bugActions.length > 0) {
-                        for (const action of specialistActions.bugActions) {
-                            // Handle bug actions (REPORT_BUG, VERIFY_BUG, FIX_BUG)
-                            // This would involve updating the bugs array in db.state.currentProject
-                            agentMadeChanges = true;
+                }
+
+                // Check for Task Completion/Blocker statement
+                if (specialistActions.taskStatus) {
+                    if (specialistActions.taskStatus.type === 'TASK_COMPLETE') {
+                        console.log(`[SYSTEM] Specialist ${specialistToExecute.id} reported task complete.`);
+                        // Add the completed task to the completedTasks array
+                        if (!db.state.currentProject.completedTasks) {
+                            db.state.currentProject.completedTasks = [];
                         }
+                        // Add the task to the completedTasks array
+                        db.state.currentProject.completedTasks.push(specialistToExecute.taskDescription);
+                        // Limit the array to the last 10 completed tasks
+                        if (db.state.currentProject.completedTasks.length > 10) {
+                            db.state.currentProject.completedTasks = db.state.currentProject.completedTasks.slice(-10);
+                        }
+                        if (specialistToExecute.backlogTaskId) {
+                            finishTask(db.state.currentProject, specialistToExecute.backlogTaskId, { status: 'Done', assignee: specialistToExecute.id });
+                            specialistToExecute.backlogTaskId = null;
+                        }
+                        specialistToExecute.taskDescription = null; // Make specialist idle
+                        specialistToExecute.acceptanceChecks = null;
+                        specialistToExecute.blocked = null;
+                        agentMadeChanges = true;
+                    } else if (specialistActions.taskStatus.type === 'TASK_BLOCKED') {
+                        const blockerReason = specialistActions.taskStatus.reason;
+                        console.log(`[SYSTEM] Specialist ${specialistToExecute.id} reported task BLOCKED. Reason: ${blockerReason}`);
+                        await handleBlockedTask(specialistToExecute, blockerReason, escalatedTasks);
+                        agentMadeChanges = true;
                     }
-                    
-                    // Log file operation verification results for SuperAgent
-                    if (fileOperationResults.length > 0) {
-                        const verificationLog = {
-                            actor: 'SYSTEM_VERIFY',
-                            event: `Verified ${fileOperationResults.length} file operations from ${specialistToExecute.id}`,
-                            results: fileOperationResults,
+                }
+
+                // Save state after executor's action IF anything changed
+                if (agentMadeChanges) { await saveState(); }
+            };
+
+            // Run a state change of one session after the one in progress; sessions run side by side,
+            // but a response is applied (and a blocked task handled) as a whole
+            const exclusively = (change) => {
+                const run = applying.then(change);
+                applying = run.catch(() => {}); // A failed change is reported to its own session
+                return run;
+            };
+
+            // Run a specialist's session: apply its responses and show it the results of its reads,
+            // searches and commands, until it reports TASK_COMPLETE / TASK_BLOCKED or has given
+            // SPECIALIST_SESSION_STEPS responses, which counts as blocked
+            const runSpecialistSession = async (specialist, firstTurn) => {
+                let turnResult = firstTurn;
+                while (turnResult) {
+                    await exclusively(() => applySpecialistTurn(specialist, turnResult));
+                    const { actions } = turnResult;
+                    if (actions.taskStatus || correctionReasonFor(actions, true, specialist.taskDescription)) break;
+                    if (specialist.session.step >= specialist.session.steps) {
+                        await exclusively(() => handleBlockedTask(specialist, `No TASK_COMPLETE after ${specialist.session.steps} responses`, escalatedTasks));
+                        break;
+                    }
+                    if (interruption || stopRequested) {
+                        specialist.retryPending = true; // The session starts over next turn
+                        break;
+                    }
+
+                    const results = [];
+                    for (const action of sessionActionsOf(actions)) {
+                        const result = await runSessionAction(action);
+                        results.push(result);
+                        const resultLog = {
+                            actor: result.actor,
+                            event: `${result.description} (for ${specialist.id})`,
+                            agentId: specialist.id,
+                            session: true, // Shown to the specialist only
+                            ...(result.output ? { output: result.output } : {}),
+                            ...(result.error ? { error: result.error } : {}),
                             timestamp: new Date().toISOString()
                         };
-                        conversationHistory.push(verificationLog);
-                        await appendToLog(verificationLog);
-                        
-                        // Store the verification results in the database for SuperAgent context
-                        if (!db.state.fileVerifications) db.state.fileVerifications = [];
-                        db.state.fileVerifications = [
-                            ...db.state.fileVerifications.slice(-9), // Keep last 9 verifications
-                            {
-                                agentId: specialistToExecute.id,
-                                task: specialistToExecute.taskDescription,
-                                results: fileOperationResults,
-                                timestamp: new Date().toISOString()
-                            }
-                        ];
+                        conversationHistory.push(resultLog);
+                        await appendToLog(resultLog);
                     }
+                    specialist.session = { ...specialist.session, step: specialist.session.step + 1, results };
+                    console.log(`[SYSTEM] ${specialist.id} continues its session (response ${specialist.session.step} of ${specialist.session.steps}).`);
+                    turnResult = await generateSpecialistTurn(specialist);
+                }
+                specialist.session = null;
+                await saveState();
+            };
 
-                    // Check for Task Completion/Blocker statement
-                    if (specialistActions.taskStatus) {
-                        if (specialistActions.taskStatus.type === 'TASK_COMPLETE') {
-                            console.log(`[SYSTEM] Specialist ${specialistToExecute.id} reported task complete.`);
-                            // Add the completed task to the completedTasks array
-                            if (!db.state.currentProject.completedTasks) {
-                                db.state.currentProject.completedTasks = [];
-                            }
-                            // Add the task to the completedTasks array
-                            db.state.currentProject.completedTasks.push(specialistToExecute.taskDescription);
-                            // Limit the array to the last 10 completed tasks
-                            if (db.state.currentProject.completedTasks.length > 10) {
-                                db.state.currentProject.completedTasks = db.state.currentProject.completedTasks.slice(-10);
-                            }
-                            specialistToExecute.taskDescription = null; // Make specialist idle
-                            taskReportedComplete = true; agentMadeChanges = true;
-                        } else if (specialistActions.taskStatus.type === 'TASK_BLOCKED') {
-                            const blockerReason = specialistActions.taskStatus.reason;
-                            console.log(`[SYSTEM] Specialist ${specialistToExecute.id} reported task BLOCKED. Reason: ${blockerReason}`);
-                            // Decide how to handle blocked tasks - keep assigned? Clear? Add flag?
-                            // For now, let's keep it assigned but maybe SuperAgent needs to re-evaluate.
-                            // specialistToExecute.status = 'Blocked'; // Example meta-state
-                            taskReportedBlocked = true;
-                            // Don't set agentMadeChanges just for logging blockage unless modifying specialist state
-                        }
-                    } else if (specialistFailed) {
-                        // If the AI call itself failed, consider the task blocked implicitly
-                        console.warn(`[SYSTEM] Task for ${specialistToExecute.id} considered blocked due to AI error.`);
-                        // Optionally clear task or leave for SuperAgent to handle?
-                        // specialistToExecute.taskDescription = null; // Example: Clear task on AI failure
-                        // agentMadeChanges = true;
+            await runWithConcurrency(specialistsForExecution, MAX_PARALLEL_SPECIALISTS, async (specialistToExecute) => {
+                if (!specialistToExecute.taskDescription) {
+                    console.log(`[SYSTEM] Specialist ${specialistToExecute.id} was assigned but task description is missing.`);
+                    return;
+                }
+                if (interruption) {
+                    specialistToExecute.retryPending = true; // Not started; runs next turn
+                    return;
+                }
+                specialistToExecute.session = { step: 1, steps: SPECIALIST_SESSION_STEPS, results: [] };
+                try {
+                    await runSpecialistSession(specialistToExecute, await generateSpecialistTurn(specialistToExecute));
+                } catch (error) {
+                    // Only this specialist's task is blocked; the other sessions go on
+                    console.error(`[SYSTEM] Session of ${specialistToExecute.id} failed: ${error.stack || error.message}`);
+                    specialistToExecute.session = null;
+                    if (specialistToExecute.taskDescription) {
+                        await exclusively(() => handleBlockedTask(specialistToExecute, `Internal error: ${error.message}`, escalatedTasks));
                     }
+                    await saveState();
+                }
+            });
 
-                    // Save state after executor's action IF anything changed
-                    if (agentMadeChanges) { await saveState(); }
+            // Ask the user about the blocked tasks whose retry budget is spent
+            for (const escalation of escalatedTasks) {
+                let guidance = '';
+                try {
+                    guidance = (await rl.question(`\nTask "${escalation.task}" (${escalation.role}) is still blocked after ${escalation.attempts} attempts: ${escalation.reason}\nGuidance for the SuperAgent (or press Enter to leave it to the SuperAgent): `)).trim();
+                } catch (e) { console.error("Error getting user input:", e); }
+                const project = db.state.currentProject;
+                project.escalations = [...(project.escalations || []).slice(-4), { ...escalation, guidance, turn: loopCounter, timestamp: new Date().toISOString() }];
+                if (guidance) {
+                    const guidanceLog = { actor: 'USER', event: `Guidance on blocked task "${escalation.task}": ${guidance}`, timestamp: new Date().toISOString() };
+                    conversationHistory.push(guidanceLog);
+                    await appendToLog(guidanceLog);
+                }
+            }
+            if (escalatedTasks.length > 0) await saveState();
 
-            } else { console.log(`[SYSTEM] Specialist ${specialistToExecute.id} was assigned but task description is missing.`); }
-        } else if (!consoleCommandToRun && !skipSpecialistTurn) {
+            if (interruption) {
+                if (interruption.aborted) {
+                    const cancelLog = { actor: 'SYSTEM', event: `Cancelled ${interruption.agentId} generation at operator request`, timestamp: new Date().toISOString() };
+                    conversationHistory.push(cancelLog);
+                    await appendToLog(cancelLog);
+                    await saveState();
+                    if (!(await continueAfterCancel())) break simulationLoop;
+                } else if (interruption.error) {
+                    await handleAIFailure(interruption.agentId, interruption.error);
+                }
+                continue simulationLoop;
+            }
+        } else if (consoleCommandsToRun.length === 0 && !skipSpecialistTurn) {
              console.log("[SYSTEM] No specialist assigned or activated this cycle.");
         }
 
 
+        // Remove specialists that were idle, or did not run their task, for SPECIALIST_POLICY.staleTurns turns
+        const staleSpecialists = findStaleSpecialists(db.activeSpecialists, loopCounter, SPECIALIST_POLICY.staleTurns);
+        for (const specialist of staleSpecialists) {
+            if (specialist.backlogTaskId) {
+                reassignTask(db.state.currentProject, specialist.backlogTaskId, { from: specialist.id, to: null, note: 'specialist removed as stale' });
+            }
+            const reapLog = {
+                actor: 'SYSTEM_REAP',
+                event: `Removed ${specialist.id} (${specialist.taskDescription ? `task "${specialist.taskDescription}" did not run` : 'idle'} for ${loopCounter - specialist.lastActiveTurn} turns)`,
+                agentId: specialist.id,
+                timestamp: new Date().toISOString()
+            };
+            console.log(`[SYSTEM] ${reapLog.event}`);
+            conversationHistory.push(reapLog);
+            await appendToLog(reapLog);
+        }
+        if (staleSpecialists.length > 0) {
+            db.activeSpecialists = db.activeSpecialists.filter(s => !staleSpecialists.includes(s));
+            await saveState();
+        }
+
         // --- Delay and Log Management ---
         console.log("\n--- System Cycle Complete ---");
         // Use a slightly longer delay to reduce API hammering potential
@@ -674,7 +1488,12 @@ async function runSimulation() {
     } // End while loop
 
     console.log("Simulation loop ended (max iterations or user exit).");
-    rl.close();
+    if (getCassetteMode() === 'replay') {
+        const summary = getReplaySummary();
+        console.log(`[SYSTEM] Replay summary: ${summary.served}/${summary.total} interactions served, ${summary.divergences.length} divergence(s).`);
+        summary.divergences.forEach(d => console.log(`  - #${d.index} turn ${d.turn} (${d.role}): ${d.reasons.join('; ')}${d.firstDifference ? ` at line ${d.firstDifference.line}` : ''}`));
+    }
+    shutDown();
 }
 
 export {
@@ -0,0 +1,88 @@
+// specialist_pool.js - Specialist lifecycle: blocked tasks, retries, reassignment and reaping
+
+/*
+ * A specialist that reports TASK_BLOCKED keeps a record of it:
+ *   specialist.blocked = { reason, attempts, reassignments, turn }
+ * `attempts` counts the blocked attempts of this specialist at its current task,
+ * `reassignments` how often the task was already moved to another specialist.
+ * SPECIALIST_POLICY (config.js) decides what happens next:
+ *   retry    - the same specialist runs the task again next turn (retryPending)
+ *   reassign - the task moves to another specialist of the role, which runs next turn
+ *   escalate - the retry budget is spent; the task is taken off the specialists and
+ *              the user is asked for guidance
+ * Specialists that were idle, or held a task that did not run, for `staleTurns`
+ * turns are removed from db.activeSpecialists.
+ */
+
+/**
+ * Record a TASK_BLOCKED report and decide the next step
+ * @param {Object} specialist - The specialist that reported it
+ * @param {string} reason - The reason it gave
+ * @param {number} turn - The current turn
+ * @param {Object} policy - { retriesPerSpecialist, reassignments }
+ * @returns {string} - 'retry', 'reassign' or 'escalate'
+ */
+function recordBlockedAttempt(specialist, reason, turn, policy) {
+    const previous = specialist.blocked || { attempts: 0, reassignments: 0 };
+    specialist.blocked = { reason, attempts: previous.attempts + 1, reassignments: previous.reassignments, turn };
+    if (specialist.blocked.attempts <= policy.retriesPerSpecialist) return 'retry';
+    if (specialist.blocked.reassignments < policy.reassignments) return 'reassign';
+    return 'escalate';
+}
+
+/**
+ * Hand a blocked specialist's task over to another specialist
+ * @param {Object} from - The blocked specialist
+ * @param {Object} to - The specialist taking the task over (already given the task description)
+ */
+function transferBlockedTask(from, to) {
+    to.blocked = { ...from.blocked, attempts: 0, reassignments: from.blocked.reassignments + 1 };
+    to.backlogTaskId = from.backlogTaskId || null;
+    to.retryPending = true;
+}
+
+/**
+ * Count the blocked attempts at a specialist's task, across the specialists that had it
+ * @param {Object} blocked - The specialist's `blocked` record
+ * @param {Object} policy - { retriesPerSpecialist }
+ * @returns {number} - The number of attempts
+ */
+function totalAttempts(blocked, policy) {
+    return blocked.reassignments * (policy.retriesPerSpecialist + 1) + blocked.attempts;
+}
+
+/**
+ * Find the specialists that should be removed: idle, or holding a task that did not run,
+ * for `staleTurns` turns. Specialists waiting for a retry are kept.
+ * @param {Array<Object>} specialists - db.activeSpecialists
+ * @param {number} turn - The current turn
+ * @param {number} staleTurns - Turns without activity before a specialist is stale
+ * @returns {Array<Object>} - The stale specialists
+ */
+function findStaleSpecialists(specialists, turn, staleTurns) {
+    return specialists.filter(s => !s.retryPending && turn - (s.lastActiveTurn ?? turn) >= staleTurns);
+}
+
+/**
+ * Describe a specialist for the SuperAgent's list of active specialists
+ * @param {Object} specialist - The specialist
+ * @returns {string} - e.g. 'BLOCKED (attempt 2: missing API key), retrying'
+ */
+function formatSpecialistStatus(specialist) {
+    if (!specialist.taskDescription) return 'IDLE';
+    const task = `"${specialist.taskDescription.substring(0, 30)}..."`;
+    if (!specialist.blocked) return `BUSY (${task})`;
+    const reason = specialist.blocked.reason.substring(0, 60);
+    if (!specialist.retryPending) return `BUSY (${task}, retrying after: ${reason})`;
+    return specialist.blocked.attempts > 0
+        ? `BLOCKED (${task}, attempt ${specialist.blocked.attempts}: ${reason}), retrying next turn`
+        : `REASSIGNED (${task}, blocked before: ${reason}), starts next turn`;
+}
+
+export {
+    recordBlockedAttempt,
+    transferBlockedTask,
+    totalAttempts,
+    findStaleSpecialists,
+    formatSpecialistStatus
+};
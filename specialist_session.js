@@ -0,0 +1,95 @@
+// specialist_session.js - Reads, listings, searches and commands within a specialist's session
+
+import { performListDirectory, performReadFile, performSearchCode, performFindFiles } from './file_system_utils.js';
+import { executeCommand, formatCommandResult } from './command_executor.js';
+
+/*
+ * A specialist works on its task in a session of up to SPECIALIST_SESSION_STEPS responses
+ * (config.js). The READ_FILE, LIST_DIRECTORY, SEARCH_CODE, FIND_FILES and RUN_TEST_COMMAND
+ * actions of a response run after its file operations, and their results are shown in the
+ * specialist's next prompt. Results have the form
+ *   { actor, type, description, success, output, error }
+ * where `actor` is the log actor the SuperAgent's results of the same action use.
+ */
+
+// Maximum characters of one result in a specialist prompt (command output is already
+// shortened to its beginning and end by executeCommand)
+const SESSION_RESULT_CHAR_LIMIT = 2000;
+
+/**
+ * Collect the actions of a specialist response that produce results for its next response
+ * @param {Object} actions - The parsed actions (see processActions)
+ * @returns {Array<Object>} - The actions, listings and reads first, commands last
+ */
+function sessionActionsOf(actions) {
+    return [
+        ...actions.listDirectoryActions,
+        ...actions.readFileActions,
+        ...actions.searchCodeActions,
+        ...actions.findFilesActions,
+        ...actions.commandActions
+    ];
+}
+
+/**
+ * Run one session action
+ * @param {Object} action - A READ_FILE, LIST_DIRECTORY, SEARCH_CODE, FIND_FILES or RUN_TEST_COMMAND action
+ * @returns {Promise<Object>} - The result
+ */
+async function runSessionAction(action) {
+    switch (action.type) {
+        case 'LIST_DIRECTORY': {
+            const listing = await performListDirectory(action.path);
+            return {
+                actor: 'SYSTEM_LIST_DIR', type: action.type, description: `Listed directory: ${action.path}`,
+                success: listing.success, output: listing.success ? listing.formattedListing || '(empty directory)' : '', error: listing.error || null
+            };
+        }
+        case 'READ_FILE': {
+            const read = await performReadFile(action.path);
+            return {
+                actor: 'SYSTEM_READ_FILE', type: action.type, description: `Read file: ${action.path}`,
+                success: read.success, output: read.success ? read.content : '', error: read.error || null
+            };
+        }
+        case 'SEARCH_CODE':
+        case 'FIND_FILES': {
+            const search = action.type === 'SEARCH_CODE'
+                ? await performSearchCode(action.pattern, action.glob)
+                : await performFindFiles(action.glob);
+            const description = action.type === 'SEARCH_CODE'
+                ? `Searched pattern "${action.pattern}"${action.glob ? ` in ${action.glob}` : ''}`
+                : `Searched files ${action.glob}`;
+            return {
+                actor: 'SYSTEM_SEARCH', type: action.type, description,
+                success: search.success, output: search.success ? search.formattedResults : '', error: search.error || null
+            };
+        }
+        default: { // RUN_TEST_COMMAND
+            const result = await executeCommand(action.command, { timeoutMs: action.timeoutMs });
+            return {
+                actor: 'SYSTEM_EXEC', type: action.type, description: `Executed: ${action.command}`,
+                success: result.exitCode === 0, output: formatCommandResult(result), error: null
+            };
+        }
+    }
+}
+
+/**
+ * Render session results for the specialist's next prompt
+ * @param {Array<Object>} results - The results of runSessionAction()
+ * @returns {string} - One block per result
+ */
+function formatSessionResults(results) {
+    return results.map(result => {
+        const text = result.success || result.output ? result.output : `Error: ${result.error}`;
+        const truncated = result.type !== 'RUN_TEST_COMMAND' && text.length > SESSION_RESULT_CHAR_LIMIT ? `${text.substring(0, SESSION_RESULT_CHAR_LIMIT)}\n... (truncated)` : text;
+        return `${result.description}${result.success ? '' : ' (FAILED)'}\n\`\`\`\n${truncated}\n\`\`\``;
+    }).join('\n');
+}
+
+export {
+    sessionActionsOf,
+    runSessionAction,
+    formatSessionResults
+};
@@ -19,20 +19,38 @@ async function loadDatabase() {
         // --- Add State Fallbacks ---
         if (!db.companionState) db.companionState = { 
             phase: 'AWAITING_GOAL', 
-            lastConsoleOutput: null,
-            lastDirectoryListing: null,
-            lastFileReadContent: null
+            lastConsoleOutputs: [],
+            lastDirectoryListings: [],
+            lastFileReads: [],
+            lastSearchResults: [],
+            lastPluginResults: []
         };
+        // Older state files kept a single result of each kind
+        if (!Array.isArray(db.companionState.lastConsoleOutputs)) {
+            db.companionState.lastConsoleOutputs = db.companionState.lastConsoleOutput ? [{ command: null, output: db.companionState.lastConsoleOutput }] : [];
+        }
+        if (!Array.isArray(db.companionState.lastDirectoryListings)) {
+            db.companionState.lastDirectoryListings = db.companionState.lastDirectoryListing ? [db.companionState.lastDirectoryListing] : [];
+        }
+        if (!Array.isArray(db.companionState.lastFileReads)) {
+            db.companionState.lastFileReads = db.companionState.lastFileReadContent ? [db.companionState.lastFileReadContent] : [];
+        }
+        if (!Array.isArray(db.companionState.lastSearchResults)) db.companionState.lastSearchResults = [];
+        if (!Array.isArray(db.companionState.lastPluginResults)) db.companionState.lastPluginResults = [];
+        delete db.companionState.lastConsoleOutput;
+        delete db.companionState.lastDirectoryListing;
+        delete db.companionState.lastFileReadContent;
         if (!db.state) db.state = {};
         if (!db.state.projectStructure) db.state.projectStructure = "Initializing...";
         if (!db.state.currentProject) {
             const projName = db.projectSequence?.[db.currentProjectIndex ?? 0] ?? "Recovered Project";
-            db.state.currentProject = { name: projName, goal: "Recovered state - Goal Unknown", status: "Planning", bugs: [], completedTasks: [] };
+            db.state.currentProject = { name: projName, goal: "Recovered state - Goal Unknown", status: "Planning", bugs: [], completedTasks: [], tasks: [] };
             db.companionState.phase = 'PLANNING'; // Force planning if project recovered
             console.warn("Current project data missing, attempting recovery. Set to PLANNING.");
         } else {
             if (!db.state.currentProject.bugs) db.state.currentProject.bugs = [];
             if (!db.state.currentProject.completedTasks) db.state.currentProject.completedTasks = [];
+            if (!db.state.currentProject.tasks) db.state.currentProject.tasks = [];
         }
         if (!db.projectSequence) {
             console.warn("Project sequence missing, initializing.");
@@ -82,12 +100,14 @@ async function loadDatabase() {
                 currentProjectIndex: -1,
                 companionState: { 
                     phase: 'AWAITING_GOAL', 
-                    lastConsoleOutput: null,
-                    lastDirectoryListing: null,
-                    lastFileReadContent: null
+                    lastConsoleOutputs: [],
+                    lastDirectoryListings: [],
+                    lastFileReads: [],
+                    lastSearchResults: [],
+                    lastPluginResults: []
                 },
                 state: {
-                    currentProject: { name: "New Project", goal: "Awaiting user definition", status: "Awaiting Goal", bugs: [], completedTasks: [] },
+                    currentProject: { name: "New Project", goal: "Awaiting user definition", status: "Awaiting Goal", bugs: [], completedTasks: [], tasks: [] },
                     projectStructure: "Empty", // Will be updated before first save
                 },
                 // Initialize with SuperAgent and empty specialists array
@@ -128,8 +148,11 @@ async function saveToDatabase(data) {
         // Ensure we don't have the old agents array in the saved data
         delete data.agents;
 
-        // Use fsPromises.writeFile with explicit flush to ensure data is written to disk
-        await fs.writeFile(DB_FILE, JSON.stringify(data, null, 2), 'utf8');
+        // Write to a temp file and rename over the original, so an interrupt (Ctrl+C)
+        // mid-write can never leave a truncated state file behind
+        const tempFile = `${DB_FILE}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(data, null, 2), 'utf8');
+        await fs.rename(tempFile, DB_FILE);
         
         // For critical state files, we could add an extra fsync on the directory to ensure durability
         // This is optional and may impact performance, but increases reliability
@@ -0,0 +1,401 @@
+// task_backlog.js - The SuperAgent's task backlog: planned tasks, dependencies and status
+
+import { buildAcceptanceChecks, formatAcceptanceChecks } from './acceptance_checks.js';
+
+/*
+ * The backlog is kept on the project (db.state.currentProject.tasks) as an ordered list of
+ *   { id: 'T<n>', role, description, acceptance, checks, dependsOn: [], status, assignee, notes: [], createdAt, updatedAt }
+ * `checks` are the optional acceptance checks of acceptance_checks.js (null when there are none).
+ * IDs are sequential per project (project.taskSequence). The order of the list is the
+ * priority: DELEGATE_NEXT_TASK takes the first Pending task whose dependencies are all
+ * Done or Cancelled.
+ *
+ * Statuses: Pending -> InProgress -> Done, with Blocked (the specialists gave up on it,
+ * see specialist_pool.js; can be delegated again) and Cancelled. A task whose specialist
+ * is removed as stale goes back to Pending.
+ *
+ * PLAN and SPLIT_TASK take a block with one task per line:
+ *   1. [Executor-Code] Create index.html with the page layout | accept: has header and footer
+ *   2. [Executor-Test] Test the page | accept: all checks pass | after: 1, T4 | check command: node test.js
+ * Line numbers are local to the block; `after` may name them or existing task IDs.
+ * Checks are given as `check files: /a, /b`, `check command: ...` and `check match: /file ~ regex`.
+ * Operations never throw: a rejected operation returns { success: false, error }.
+ */
+
+const TASK_ROLES = ['Executor-Code', 'Executor-Test', 'Executor-Design'];
+const RESOLVED_STATUSES = ['Done', 'Cancelled'];
+const TASK_LINE_REGEX = /^\s*(?:[-*]\s*)?(?:(\d+)[.):]\s*)?(?:\[([\w-]+)\]\s*)?(.*)$/;
+
+/**
+ * Normalize a task ID as agents write it ("T3", "t3", "#T3" or "3")
+ * @param {string} id - The ID
+ * @returns {string} - The canonical ID, e.g. "T3"
+ */
+function normalizeTaskId(id) {
+    const match = String(id ?? '').trim().match(/^#?T?(\d+)$/i);
+    return match ? `T${parseInt(match[1], 10)}` : String(id ?? '').trim();
+}
+
+/**
+ * Split a comma-separated list of task IDs
+ * @param {string|Array<string>|undefined} ids - The list
+ * @returns {Array<string>} - The raw IDs
+ */
+function parseIdList(ids) {
+    const list = Array.isArray(ids) ? ids : String(ids ?? '').split(/[,\s]+/);
+    return list.map(id => String(id).trim()).filter(Boolean);
+}
+
+/**
+ * Find a task of the project
+ * @param {Object} project - The current project
+ * @param {string} id - The task ID
+ * @returns {Object} - { task } or { error }
+ */
+function findTask(project, id) {
+    const taskId = normalizeTaskId(id);
+    const task = (project.tasks || []).find(t => t.id === taskId);
+    if (task) return { task };
+    const known = (project.tasks || []).map(t => t.id);
+    return { error: `Task "${id}" does not exist${known.length > 0 ? ` (known tasks: ${known.join(', ')})` : ' (the backlog is empty; use PLAN first)'}.` };
+}
+
+/**
+ * Check whether a task can be started: Pending (or Blocked) with every dependency resolved
+ * @param {Object} project - The current project
+ * @param {Object} task - The task
+ * @returns {boolean} - True if the task is ready
+ */
+function isTaskReady(project, task) {
+    if (!['Pending', 'Blocked'].includes(task.status)) return false;
+    return task.dependsOn.every(id => {
+        const dependency = (project.tasks || []).find(t => t.id === id);
+        return !dependency || RESOLVED_STATUSES.includes(dependency.status);
+    });
+}
+
+/**
+ * Create a task with the next ID (not yet added to the backlog)
+ * @param {Object} project - The current project
+ * @param {Object} fields - { role, description, acceptance, checks, dependsOn }
+ * @returns {Object} - The task
+ */
+function createTask(project, { role, description, acceptance = '', checks = null, dependsOn = [] }) {
+    project.taskSequence = (project.taskSequence || (project.tasks || []).length) + 1;
+    const now = new Date().toISOString();
+    return {
+        id: `T${project.taskSequence}`,
+        role,
+        description,
+        acceptance,
+        checks,
+        dependsOn,
+        status: 'Pending',
+        assignee: null,
+        notes: [],
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * Validate the fields of a new task
+ * @param {Object} project - The current project
+ * @param {Object} fields - { role, description, dependsOn }
+ * @returns {string|null} - The problem, or null if the task is valid
+ */
+function validateTask(project, { role, description, dependsOn }) {
+    if (!TASK_ROLES.includes(role)) return `Task role must be one of ${TASK_ROLES.join(', ')} (got "${role || ''}").`;
+    if (!description) return 'Task needs a description.';
+    const unknown = dependsOn.filter(id => !(project.tasks || []).some(t => t.id === id));
+    return unknown.length > 0 ? `Task depends on unknown task${unknown.length > 1 ? 's' : ''} ${unknown.join(', ')}.` : null;
+}
+
+/**
+ * Parse a block of task lines (PLAN / SPLIT_TASK) into new tasks
+ * @param {Object} project - The current project
+ * @param {string} text - The task lines
+ * @returns {Object} - { tasks, error }; the tasks are not yet in the backlog
+ */
+function parseTaskLines(project, text) {
+    const lines = String(text ?? '').split(/\r?\n/).filter(line => line.trim());
+    if (lines.length === 0) return { tasks: [], error: 'The block has no task lines. Write one task per line: "1. [Executor-Code] Description | accept: criteria | after: 1".' };
+
+    const parsed = [];
+    for (const [index, line] of lines.entries()) {
+        const [, number, role, rest] = line.match(TASK_LINE_REGEX);
+        const [description, ...fields] = rest.split('|').map(part => part.trim());
+        const field = (names) => fields.find(f => names.some(name => f.toLowerCase().startsWith(name)))?.replace(/^[^:]*:\s*/, '') || '';
+        const [matchFile, ...matchPattern] = field(['check match']).split(' ~ ');
+        const { checks, error } = buildAcceptanceChecks({
+            files: field(['check files']),
+            command: field(['check command']),
+            matchFile,
+            matchPattern: matchPattern.join(' ~ ')
+        });
+        if (error) return { tasks: [], error: `Line "${line.trim()}": ${error}${error.startsWith('Check command') ? '' : ' Write "check match: /file ~ regex".'}` };
+        parsed.push({
+            label: number || String(index + 1),
+            line: line.trim(),
+            role: TASK_ROLES.find(r => r.toLowerCase() === String(role ?? '').toLowerCase()) || role,
+            description,
+            acceptance: field(['accept']),
+            checks,
+            after: parseIdList(field(['after', 'depends']))
+        });
+    }
+
+    // Give every line its ID first, so `after` can point to later lines too
+    const tasks = parsed.map(entry => createTask(project, { role: entry.role, description: entry.description, acceptance: entry.acceptance, checks: entry.checks }));
+    const idByLabel = new Map(parsed.map((entry, i) => [entry.label, tasks[i].id]));
+    const known = { tasks: [...(project.tasks || []), ...tasks] };
+    for (const [i, entry] of parsed.entries()) {
+        tasks[i].dependsOn = entry.after.map(ref => idByLabel.get(ref) || normalizeTaskId(ref));
+        const problem = validateTask(known, tasks[i]);
+        if (problem) return { tasks: [], error: `Line "${entry.line}": ${problem}` };
+    }
+    return { tasks, error: null };
+}
+
+/**
+ * Append a note to a task
+ * @param {Object} task - The task
+ * @param {string} note - The note
+ */
+function addNote(task, note) {
+    task.notes.push(note);
+    task.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Replace the Pending tasks of the backlog with a new plan (PLAN). Started, done
+ * and cancelled tasks are kept.
+ * @param {Object} project - The current project
+ * @param {string} text - The task lines
+ * @returns {Object} - { success, tasks (the new ones), error }
+ */
+function planTasks(project, text) {
+    if (!project.tasks) project.tasks = [];
+    const sequence = project.taskSequence;
+    const { tasks, error } = parseTaskLines(project, text);
+    if (error) {
+        project.taskSequence = sequence; // Rejected plans do not use up IDs
+        return { success: false, tasks: [], error };
+    }
+    const dropped = project.tasks.filter(task => task.status === 'Pending');
+    const stillReferenced = tasks.flatMap(task => task.dependsOn).filter(id => dropped.some(task => task.id === id));
+    if (stillReferenced.length > 0) {
+        project.taskSequence = sequence;
+        return { success: false, tasks: [], error: `The plan depends on ${stillReferenced.join(', ')}, which the new plan replaces. Refer to the new lines instead.` };
+    }
+    project.tasks = [...project.tasks.filter(task => task.status !== 'Pending'), ...tasks];
+    return { success: true, tasks, error: null };
+}
+
+/**
+ * Add one task to the backlog (ADD_TASK), at the end or before another task
+ * @param {Object} project - The current project
+ * @param {Object} fields - { role, description, acceptance, after, before, checks (values for buildAcceptanceChecks) }
+ * @returns {Object} - { success, tasks, error }
+ */
+function addTask(project, { role, description, acceptance = '', after = '', before = '', checks: checkValues = {} }) {
+    if (!project.tasks) project.tasks = [];
+    const dependsOn = parseIdList(after).map(normalizeTaskId);
+    const normalizedRole = TASK_ROLES.find(r => r.toLowerCase() === String(role ?? '').toLowerCase()) || role;
+    const problem = validateTask(project, { role: normalizedRole, description, dependsOn });
+    if (problem) return { success: false, tasks: [], error: `ADD_TASK: ${problem}` };
+    const { checks, error: checkError } = buildAcceptanceChecks(checkValues);
+    if (checkError) return { success: false, tasks: [], error: `ADD_TASK: ${checkError}` };
+
+    let position = project.tasks.length;
+    if (before) {
+        const { task: anchor, error } = findTask(project, before);
+        if (error) return { success: false, tasks: [], error: `ADD_TASK before: ${error}` };
+        position = project.tasks.indexOf(anchor);
+    }
+    const task = createTask(project, { role: normalizedRole, description, acceptance, checks, dependsOn });
+    project.tasks.splice(position, 0, task);
+    return { success: true, tasks: [task], error: null };
+}
+
+/**
+ * Replace a task that has not started by smaller tasks (SPLIT_TASK). The new tasks
+ * take its place and its dependencies; tasks that depended on it depend on all of them.
+ * @param {Object} project - The current project
+ * @param {string} id - The task to split
+ * @param {string} text - The task lines of the new tasks
+ * @returns {Object} - { success, tasks (the new ones), error }
+ */
+function splitTask(project, id, text) {
+    const { task: original, error: findError } = findTask(project, id);
+    if (findError) return { success: false, tasks: [], error: findError };
+    if (!['Pending', 'Blocked'].includes(original.status)) {
+        return { success: false, tasks: [], error: `${original.id} is ${original.status}; only Pending or Blocked tasks can be split.` };
+    }
+    const sequence = project.taskSequence;
+    const { tasks, error } = parseTaskLines(project, text);
+    if (error) {
+        project.taskSequence = sequence;
+        return { success: false, tasks: [], error };
+    }
+    const newIds = tasks.map(task => task.id);
+    tasks.forEach(task => {
+        task.dependsOn = [...new Set([...original.dependsOn, ...task.dependsOn.filter(dep => dep !== original.id)])];
+    });
+    project.tasks.forEach(task => {
+        if (task.dependsOn.includes(original.id)) task.dependsOn = [...new Set([...task.dependsOn.filter(dep => dep !== original.id), ...newIds])];
+    });
+    original.status = 'Cancelled';
+    addNote(original, `Split into ${newIds.join(', ')}`);
+    project.tasks.splice(project.tasks.indexOf(original) + 1, 0, ...tasks);
+    return { success: true, tasks, error: null };
+}
+
+/**
+ * Move tasks to the front of the backlog in the given order (REORDER_TASKS)
+ * @param {Object} project - The current project
+ * @param {string} order - Comma-separated task IDs
+ * @returns {Object} - { success, tasks (the moved ones), error }
+ */
+function reorderTasks(project, order) {
+    const moved = [];
+    for (const id of parseIdList(order)) {
+        const { task, error } = findTask(project, id);
+        if (error) return { success: false, tasks: [], error: `REORDER_TASKS: ${error}` };
+        if (!moved.includes(task)) moved.push(task);
+    }
+    if (moved.length === 0) return { success: false, tasks: [], error: 'REORDER_TASKS needs order="T3, T1, ..." with the tasks to move to the front.' };
+    project.tasks = [...moved, ...project.tasks.filter(task => !moved.includes(task))];
+    return { success: true, tasks: moved, error: null };
+}
+
+/**
+ * Cancel a task that is not done (CANCEL_TASK). Tasks depending on it no longer wait for it.
+ * @param {Object} project - The current project
+ * @param {string} id - The task ID
+ * @param {string} reason - Why it was cancelled
+ * @returns {Object} - { success, tasks, error }
+ */
+function cancelTask(project, id, reason = '') {
+    const { task, error } = findTask(project, id);
+    if (error) return { success: false, tasks: [], error };
+    if (RESOLVED_STATUSES.includes(task.status)) return { success: false, tasks: [], error: `${task.id} is already ${task.status}.` };
+    task.status = 'Cancelled';
+    addNote(task, `Cancelled${reason ? `: ${reason}` : ''}`);
+    return { success: true, tasks: [task], error: null };
+}
+
+/**
+ * Pick the task to delegate (DELEGATE_NEXT_TASK): the given one, or the first ready one
+ * @param {Object} project - The current project
+ * @param {string|null} id - A specific task, or null for the next ready task
+ * @returns {Object} - { success, task, error }
+ */
+function nextTask(project, id = null) {
+    if (id) {
+        const { task, error } = findTask(project, id);
+        if (error) return { success: false, task: null, error };
+        if (!isTaskReady(project, task)) {
+            const waiting = task.dependsOn.filter(dep => !RESOLVED_STATUSES.includes((project.tasks || []).find(t => t.id === dep)?.status));
+            return {
+                success: false,
+                task,
+                error: `${task.id} is ${task.status}${waiting.length > 0 ? ` and waits for ${waiting.join(', ')}` : ''}; it cannot be delegated now.`
+            };
+        }
+        return { success: true, task, error: null };
+    }
+    const task = (project.tasks || []).find(t => t.status === 'Pending' && isTaskReady(project, t));
+    if (task) return { success: true, task, error: null };
+    return { success: false, task: null, error: (project.tasks || []).length === 0 ? 'The backlog is empty; use PLAN first.' : 'No backlog task is ready (all remaining tasks wait for unfinished dependencies or are in progress).' };
+}
+
+/**
+ * Record that a task was delegated to a specialist
+ * @param {Object} task - The task (from nextTask)
+ * @param {string} assignee - The specialist ID
+ */
+function startTask(task, assignee) {
+    task.status = 'InProgress';
+    task.assignee = assignee;
+    task.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Record the outcome a specialist reported for its backlog task
+ * @param {Object} project - The current project
+ * @param {string} id - The task ID
+ * @param {Object} outcome - { status ('Done' or 'Blocked'), assignee (the reporting specialist), note }
+ * @returns {Object|null} - The task, or null if it is gone, cancelled or was handed to someone else
+ */
+function finishTask(project, id, { status, assignee, note = '' }) {
+    const { task } = findTask(project, id);
+    if (!task || task.status === 'Cancelled' || task.assignee !== assignee) return null;
+    task.status = status;
+    addNote(task, `${status} (${assignee})${note ? `: ${note}` : ''}`);
+    return task;
+}
+
+/**
+ * Move a started task to another specialist, or back to Pending when no one takes it over
+ * @param {Object} project - The current project
+ * @param {string} id - The task ID
+ * @param {Object} change - { from (current assignee), to (new specialist ID or null), note }
+ * @returns {Object|null} - The task, or null if it is gone, cancelled or was handed to someone else
+ */
+function reassignTask(project, id, { from, to, note = '' }) {
+    const { task } = findTask(project, id);
+    if (!task || task.status === 'Cancelled' || task.assignee !== from) return null;
+    task.status = to ? 'InProgress' : 'Pending';
+    task.assignee = to;
+    addNote(task, `${to ? `Reassigned from ${from} to ${to}` : `Released by ${from}`}${note ? `: ${note}` : ''}`);
+    return task;
+}
+
+/**
+ * Build the task description a specialist receives for a backlog task
+ * @param {Object} task - The task
+ * @returns {string} - The description, including the acceptance criteria
+ */
+function taskDescriptionFor(task) {
+    return `${task.id}: ${task.description}${task.acceptance ? ` (Acceptance: ${task.acceptance})` : ''}`;
+}
+
+/**
+ * Render the backlog compactly for the SuperAgent prompt
+ * @param {Object} project - The current project
+ * @param {number} maxTasks - Maximum number of open tasks to list
+ * @returns {string} - The backlog section (empty when there is no backlog)
+ */
+function formatBacklog(project, maxTasks) {
+    const tasks = project?.tasks || [];
+    if (tasks.length === 0) return '';
+    const count = (status) => tasks.filter(task => task.status === status).length;
+    const open = tasks.filter(task => !RESOLVED_STATUSES.includes(task.status));
+    const lines = open.slice(0, maxTasks).map(task => {
+        const status = task.status === 'Pending' && isTaskReady(project, task) ? 'Ready' : task.status;
+        const assignee = task.assignee && task.status !== 'Pending' ? ` -> ${task.assignee}` : '';
+        const waits = task.dependsOn.filter(id => !RESOLVED_STATUSES.includes(tasks.find(t => t.id === id)?.status));
+        const after = waits.length > 0 ? `, after ${waits.join(', ')}` : '';
+        const acceptance = task.acceptance ? ` | accept: ${task.acceptance.substring(0, 80)}` : '';
+        const checks = task.checks ? ` | checks: ${formatAcceptanceChecks(task.checks).substring(0, 80)}` : '';
+        return `- ${task.id} [${status}, ${task.role}${assignee}${after}] ${task.description.substring(0, 100)}${acceptance}${checks}`;
+    });
+    if (open.length > maxTasks) lines.push(`- ... ${open.length - maxTasks} more`);
+    const summary = `${count('Done')} done, ${count('InProgress')} in progress, ${count('Pending') + count('Blocked')} to do, ${count('Cancelled')} cancelled`;
+    return `Task Backlog (${summary}):\n${lines.join('\n') || '- (all tasks done)'}\n`;
+}
+
+export {
+    planTasks,
+    addTask,
+    splitTask,
+    reorderTasks,
+    cancelTask,
+    nextTask,
+    startTask,
+    finishTask,
+    reassignTask,
+    taskDescriptionFor,
+    formatBacklog
+};
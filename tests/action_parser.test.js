@@ -0,0 +1,86 @@
+// action_parser.test.js - Tests for the ACTION text protocol parser
+
+import { parseActionText, formatDiagnostics } from '../action_parser.js';
+
+const codesOf = (text) => parseActionText(text).diagnostics.map(d => d.code);
+
+describe('parseActionText', () => {
+    test('parses an action with its attributes', () => {
+        const { statements, diagnostics } = parseActionText('Let me look.\nACTION: READ_FILE path="/src/app.js"');
+        expect(diagnostics).toEqual([]);
+        expect(statements).toEqual([{ kind: 'ACTION', name: 'READ_FILE', attributes: { path: '/src/app.js' }, content: null, text: null, line: 2 }]);
+    });
+
+    test('reads single-quoted, unquoted, escaped and multi-line values in any order', () => {
+        const { statements } = parseActionText('ACTION: DELEGATE_TASK description="say \\"hi\\"\nand more" role=\'Executor-Code\'\nSYSTEM_ACTION: CHANGE_PHASE phase=Testing');
+        expect(statements.map(s => s.attributes)).toEqual([
+            { description: 'say "hi"\nand more', role: 'Executor-Code' },
+            { phase: 'Testing' }
+        ]);
+        expect(statements[1].kind).toBe('SYSTEM_ACTION');
+    });
+
+    test('takes file content from the next code block', () => {
+        const { statements, diagnostics } = parseActionText('ACTION: CREATE_FILE path="/a.js"\n```js\nconst a = 1;\n```\nTASK_COMPLETE: Created a.js');
+        expect(diagnostics).toEqual([]);
+        expect(statements.map(s => [s.name, s.content, s.text])).toEqual([
+            ['CREATE_FILE', 'const a = 1;\n', null],
+            ['TASK_COMPLETE', null, 'Created a.js']
+        ]);
+    });
+
+    test('gives consecutive file actions consecutive code blocks', () => {
+        const { statements } = parseActionText('ACTION: CREATE_FILE path="/a.js"\nACTION: CREATE_FILE path="/b.js"\n```\na\n```\n```\nb\n```');
+        expect(statements.map(s => s.content)).toEqual(['a\n', 'b\n']);
+    });
+
+    test('parses an action wrapped in a code block', () => {
+        const { statements, diagnostics } = parseActionText('```\nACTION: LIST_DIRECTORY path="/"\n```');
+        expect(diagnostics).toEqual([]);
+        expect(statements).toMatchObject([{ name: 'LIST_DIRECTORY', attributes: { path: '/' }, line: 2 }]);
+    });
+
+    test('strips quotes around a TASK_BLOCKED reason', () => {
+        expect(parseActionText('TASK_BLOCKED: "The API key is missing"').statements).toMatchObject([{ kind: 'TASK_BLOCKED', text: 'The API key is missing' }]);
+    });
+
+    test('reports unknown actions and missing attributes, and drops those statements', () => {
+        expect(parseActionText('ACTION: FROBNICATE x=1').statements).toEqual([]);
+        expect(codesOf('ACTION: FROBNICATE x=1')).toEqual(['UNKNOWN_ACTION']);
+        expect(codesOf('ACTION: READ_FILE')).toEqual(['MISSING_ATTRIBUTE']);
+        expect(codesOf('ACTION: READ_FILE path=""')).toEqual(['MISSING_ATTRIBUTE']);
+        expect(codesOf('ACTION:\n')).toEqual(['UNKNOWN_ACTION']);
+    });
+
+    test('warns about a wrong prefix but keeps the action', () => {
+        const { statements, diagnostics } = parseActionText('SYSTEM_ACTION: READ_FILE path="/a.js"');
+        expect(statements).toMatchObject([{ kind: 'ACTION', name: 'READ_FILE' }]);
+        expect(diagnostics).toMatchObject([{ code: 'WRONG_PREFIX', severity: 'warning' }]);
+    });
+
+    test('recovers an unclosed quote with the rest of the line', () => {
+        const { statements, diagnostics } = parseActionText('ACTION: READ_FILE path="/a.js\nACTION: LIST_DIRECTORY path="/"');
+        expect(statements.map(s => s.attributes.path)).toEqual(['/a.js', '/']);
+        expect(diagnostics).toMatchObject([{ code: 'UNCLOSED_QUOTE', severity: 'error', line: 1, action: 'READ_FILE' }]);
+    });
+
+    test('reports missing and empty content, and code blocks that belong to no action', () => {
+        expect(parseActionText('ACTION: MODIFY_FILE path="/a.js"').diagnostics).toMatchObject([{ code: 'MISSING_CONTENT', severity: 'error' }]);
+        expect(parseActionText('ACTION: MODIFY_FILE path="/a.js"\n```\n\n```').diagnostics).toMatchObject([{ code: 'MISSING_CONTENT', severity: 'error' }]);
+        expect(parseActionText('ACTION: CREATE_FILE path="/a.js"').diagnostics).toMatchObject([{ code: 'MISSING_CONTENT', severity: 'warning' }]);
+        expect(codesOf('Here is the code:\n```js\nconsole.log(1);\n```')).toEqual(['ORPHAN_CODE_BLOCK']);
+    });
+
+    test('never throws on odd input', () => {
+        for (const text of [undefined, null, '', 'ACTION', '```', 'ACTION: CREATE_FILE path="/a"\n```\nunterminated']) {
+            expect(() => parseActionText(text)).not.toThrow();
+        }
+    });
+});
+
+test('formatDiagnostics writes one line per diagnostic', () => {
+    expect(formatDiagnostics([
+        { code: 'UNKNOWN_ACTION', severity: 'error', line: 3, action: 'X', message: 'Unknown action "X".' },
+        { code: 'ORPHAN_CODE_BLOCK', severity: 'warning', line: null, action: null, message: 'Ignored.' }
+    ])).toBe('- ERROR (line 3, UNKNOWN_ACTION): Unknown action "X".\n- WARNING (ORPHAN_CODE_BLOCK): Ignored.');
+});
@@ -0,0 +1,117 @@
+// bug_tracker.test.js - Tests for the bug lifecycle
+
+import {
+    normalizeBugId, reportBug, fixBug, verifyBug, closeBug,
+    checkBugAssignment, assignBug, bugTaskDescription, getOpenBugs, formatBug
+} from '../bug_tracker.js';
+
+const withBug = (fields = {}) => {
+    const project = { name: 'demo' };
+    reportBug(project, { description: 'Login fails', severity: 'high', reporter: 'Specialist-Executor-Test-1', files: '/app.js, /login.js', ...fields });
+    return project;
+};
+
+test('normalizeBugId accepts the forms agents write', () => {
+    expect(['B3', 'b3', '#B3', '3', ' 03 '].map(normalizeBugId)).toEqual(['B3', 'B3', 'B3', 'B3', 'B3']);
+    expect(normalizeBugId('bug three')).toBe('bug three');
+});
+
+describe('reportBug', () => {
+    test('records an Open bug with the next ID, a normalized severity and its files', () => {
+        const project = withBug();
+        const { bug } = reportBug(project, { description: ' Logout fails ', severity: 'Low', reporter: 'Specialist-Executor-Test-1' });
+        expect(bug).toMatchObject({ id: 'B2', description: 'Logout fails', severity: 'Low', status: 'Open', assignee: null, files: [] });
+        expect(project.bugs[0]).toMatchObject({ id: 'B1', severity: 'High', files: ['/app.js', '/login.js'] });
+        expect(project.bugs[0].history).toMatchObject([{ actor: 'Specialist-Executor-Test-1', action: 'REPORT_BUG', from: null, to: 'Open' }]);
+    });
+
+    test('rejects a report without a description or with an unknown severity', () => {
+        const project = {};
+        expect(reportBug(project, { description: ' ', severity: 'High' }).error).toBe('REPORT_BUG needs a description.');
+        expect(reportBug(project, { description: 'x', severity: 'Urgent' }).error).toMatch(/severity must be one of High, Medium, Low/);
+        expect(project.bugs).toBeUndefined();
+    });
+});
+
+describe('lifecycle', () => {
+    test('goes Open -> Fixed -> Verified -> Closed, keeping the history', () => {
+        const project = withBug();
+        expect(fixBug(project, { id: 'b1', comment: 'Checked the password', actor: 'Specialist-Executor-Code-2', files: ['/auth.js', '/app.js'] }).success).toBe(true);
+        expect(verifyBug(project, { id: 'B1', status: 'verified', actor: 'Specialist-Executor-Test-1' }).success).toBe(true);
+        expect(closeBug(project, { id: '#1', actor: 'SuperAgent' }).success).toBe(true);
+        const [bug] = project.bugs;
+        expect(bug.status).toBe('Closed');
+        expect(bug.files).toEqual(['/app.js', '/login.js', '/auth.js']);
+        expect(bug.history.map(entry => `${entry.action}:${entry.from}->${entry.to}`)).toEqual([
+            'REPORT_BUG:null->Open', 'FIX_BUG:Open->Fixed', 'VERIFY_BUG:Fixed->Verified', 'CLOSE_BUG:Verified->Closed'
+        ]);
+    });
+
+    test('reopens a fixed bug and clears its assignee', () => {
+        const project = withBug();
+        const [bug] = project.bugs;
+        assignBug(bug, { assignee: 'Specialist-Executor-Code-2', actor: 'SuperAgent' });
+        fixBug(project, { id: 'B1', actor: 'Specialist-Executor-Code-2' });
+        expect(verifyBug(project, { id: 'B1', status: 'Reopened', comment: 'Still fails', actor: 'Specialist-Executor-Test-1' }).success).toBe(true);
+        expect(bug).toMatchObject({ status: 'Reopened', assignee: null });
+        expect(fixBug(project, { id: 'B1', actor: 'Specialist-Executor-Code-2' }).bug.status).toBe('Fixed');
+    });
+
+    test('rejects changes that break the lifecycle', () => {
+        const project = withBug();
+        expect(closeBug(project, { id: 'B1', actor: 'SuperAgent' }).error).toBe('CLOSE_BUG cannot move B1 from Open to Closed. From Open a bug can only become Fixed.');
+        expect(verifyBug(project, { id: 'B1', status: 'Verified', actor: 'Specialist-Executor-Test-1' }).success).toBe(false);
+        expect(verifyBug(project, { id: 'B1', status: 'Done', actor: 'Specialist-Executor-Test-1' }).error).toBe('VERIFY_BUG status must be Verified or Reopened (got "Done").');
+        expect(project.bugs[0].status).toBe('Open');
+        expect(project.bugs[0].history).toHaveLength(1);
+    });
+
+    test('reports unknown bugs with the known IDs', () => {
+        expect(fixBug(withBug(), { id: 'B7', actor: 'x' }).error).toBe('Bug "B7" does not exist (known bugs: B1).');
+        expect(fixBug({}, { id: 'B1', actor: 'x' }).error).toBe('Bug "B1" does not exist (no bugs have been reported).');
+    });
+});
+
+describe('assignment', () => {
+    test('gives Open and Reopened bugs to Executor-Code and Fixed bugs to Executor-Test', () => {
+        const project = withBug();
+        expect(checkBugAssignment(project, { id: 'B1', role: 'Executor-Code' }).success).toBe(true);
+        expect(checkBugAssignment(project, { id: 'B1', role: 'Executor-Test' }).error).toBe('B1 is Open; Executor-Test can only be assigned bugs that are Fixed.');
+        fixBug(project, { id: 'B1', actor: 'Specialist-Executor-Code-2' });
+        expect(checkBugAssignment(project, { id: 'B1', role: 'Executor-Test' }).success).toBe(true);
+        expect(checkBugAssignment(project, { id: 'B1', role: 'Executor-Code' }).success).toBe(false);
+    });
+
+    test('refuses roles that cannot fix or verify bugs', () => {
+        expect(checkBugAssignment(withBug(), { id: 'B1', role: 'Executor-Design' }).error).toBe('ASSIGN_BUG role must be one of Executor-Code, Executor-Test (got "Executor-Design").');
+    });
+
+    test('records the assignee and describes the task for each role', () => {
+        const project = withBug();
+        const [bug] = project.bugs;
+        assignBug(bug, { assignee: 'Specialist-Executor-Code-2', actor: 'SuperAgent', comment: 'check the form' });
+        expect(bug.history[1]).toMatchObject({ action: 'ASSIGN_BUG', comment: 'Assigned to Specialist-Executor-Code-2: check the form' });
+        expect(bugTaskDescription(bug, 'Executor-Code')).toBe('Fix bug B1: Login fails (files: /app.js, /login.js)');
+        expect(bugTaskDescription(bug, 'Executor-Test')).toBe('Verify the fix of bug B1: Login fails (files: /app.js, /login.js)');
+    });
+});
+
+describe('listing', () => {
+    test('getOpenBugs returns the unverified bugs, most severe first', () => {
+        const project = withBug({ severity: 'Low', description: 'Typo' });
+        reportBug(project, { description: 'Crash', severity: 'High', reporter: 'x' });
+        reportBug(project, { description: 'Slow', severity: 'Medium', reporter: 'x' });
+        fixBug(project, { id: 'B3', actor: 'y' });
+        verifyBug(project, { id: 'B3', status: 'Verified', actor: 'z' });
+        expect(getOpenBugs(project).map(bug => bug.id)).toEqual(['B2', 'B1']);
+        expect(getOpenBugs(undefined)).toEqual([]);
+    });
+
+    test('formatBug shows the status, assignee, files and last comment', () => {
+        const project = withBug();
+        const [bug] = project.bugs;
+        assignBug(bug, { assignee: 'Specialist-Executor-Code-2', actor: 'SuperAgent' });
+        fixBug(project, { id: 'B1', comment: 'Checked the password', actor: 'Specialist-Executor-Code-2' });
+        expect(formatBug(bug)).toBe('B1 [High, Fixed, assigned to Specialist-Executor-Code-2] Login fails (files: /app.js, /login.js) - last: FIX_BUG by Specialist-Executor-Code-2: "Checked the password"');
+    });
+});
@@ -0,0 +1,90 @@
+// patch_utils.test.js - Tests for unified diffs and SEARCH/REPLACE blocks
+
+import { applyUnifiedDiff, applySearchReplace } from '../patch_utils.js';
+
+const FILE = ['function add(a, b) {', '    return a + b;', '}', '', 'function sub(a, b) {', '    return a - b;', '}', ''].join('\n');
+
+describe('applyUnifiedDiff', () => {
+    test('applies a hunk at its context', () => {
+        const diff = ['--- a/math.js', '+++ b/math.js', '@@ -1,3 +1,3 @@', ' function add(a, b) {', '-    return a + b;', '+    return Number(a) + Number(b);', ' }'].join('\n');
+        const { content, hunks } = applyUnifiedDiff(FILE, diff);
+        expect(hunks).toEqual([{ index: 1, header: '@@ -1,3 +1,3 @@', success: true, line: 1 }]);
+        expect(content).toBe(FILE.replace('return a + b;', 'return Number(a) + Number(b);'));
+    });
+
+    test('treats wrong line numbers in the header only as a hint', () => {
+        const diff = ['@@ -40,3 +40,3 @@', ' function sub(a, b) {', '-    return a - b;', '+    return b - a;', ' }'].join('\n');
+        const { content, hunks } = applyUnifiedDiff(FILE, diff);
+        expect(hunks[0]).toMatchObject({ success: true, line: 5 });
+        expect(content).toContain('return b - a;');
+    });
+
+    test('matches context with different indentation and keeps the file\'s own lines', () => {
+        const diff = ['@@ @@', 'function add(a, b) {', '-return a + b;', '+    return a + b + 0;', '}'].join('\n');
+        const { content, hunks } = applyUnifiedDiff(FILE, diff);
+        expect(hunks[0].success).toBe(true);
+        expect(content.split('\n').slice(0, 3)).toEqual(['function add(a, b) {', '    return a + b + 0;', '}']);
+    });
+
+    test('drops unmatched context lines at the ends of a hunk', () => {
+        const diff = ['@@ -4,4 +4,4 @@', ' // a comment that is not in the file', ' function sub(a, b) {', '-    return a - b;', '+    return a - b - 0;', ' }'].join('\n');
+        const { content, hunks } = applyUnifiedDiff(FILE, diff);
+        expect(hunks[0].success).toBe(true);
+        expect(content).toContain('return a - b - 0;');
+    });
+
+    test('applies the hunks that match and reports the others', () => {
+        const diff = [
+            '@@ -1,3 +1,3 @@', ' function add(a, b) {', '-    return a + b;', '+    return a + b + 1;', ' }',
+            '@@ -9,2 +9,2 @@', ' function mul(a, b) {', '-    return a * b;', '+    return b * a;'
+        ].join('\n');
+        const { content, hunks } = applyUnifiedDiff(FILE, diff);
+        expect(hunks.map(h => h.success)).toEqual([true, false]);
+        expect(hunks[1].error).toMatch(/Context not found near line 9/);
+        expect(content).toContain('return a + b + 1;');
+    });
+
+    test('refuses ambiguous context without a line number', () => {
+        const diff = ['@@ @@', '-}', '+};'].join('\n');
+        const { content, hunks } = applyUnifiedDiff(FILE, diff);
+        expect(hunks[0]).toMatchObject({ success: false, error: expect.stringMatching(/matches 2 places/) });
+        expect(content).toBe(FILE);
+    });
+
+    test('reports a diff without hunks', () => {
+        expect(applyUnifiedDiff(FILE, 'just some text').hunks).toEqual([{ index: 1, header: null, success: false, error: 'No "@@" hunks found in the diff.' }]);
+    });
+
+    test('keeps CRLF line endings', () => {
+        const crlf = 'a\r\nb\r\nc\r\n';
+        const { content } = applyUnifiedDiff(crlf, ['@@ -1,3 +1,3 @@', ' a', '-b', '+B', ' c'].join('\n'));
+        expect(content).toBe('a\r\nB\r\nc\r\n');
+    });
+});
+
+describe('applySearchReplace', () => {
+    const edit = (search, replace) => ['<<<<<<< SEARCH', ...search, '=======', ...replace, '>>>>>>> REPLACE'].join('\n');
+
+    test('replaces a unique SEARCH text', () => {
+        const { content, hunks } = applySearchReplace(FILE, edit(['    return a - b;'], ['    return a - b - 1;']));
+        expect(hunks).toEqual([{ index: 1, header: 'return a - b;', success: true, line: 6 }]);
+        expect(content).toBe(FILE.replace('return a - b;', 'return a - b - 1;'));
+    });
+
+    test('appends the replacement when SEARCH is empty', () => {
+        const { content, hunks } = applySearchReplace('a\n', edit([], ['b']));
+        expect(hunks[0]).toMatchObject({ header: '(append)', success: true, line: 2 });
+        expect(content).toBe('a\nb\n');
+    });
+
+    test('rejects SEARCH text that is missing or not unique', () => {
+        expect(applySearchReplace(FILE, edit(['nothing like this'], ['x'])).hunks[0].error).toMatch(/SEARCH text not found/);
+        expect(applySearchReplace(FILE, edit(['}'], ['};'])).hunks[0].error).toMatch(/matches 2 places/);
+    });
+
+    test('reports malformed blocks', () => {
+        expect(applySearchReplace(FILE, '<<<<<<< SEARCH\nx\n>>>>>>> REPLACE').hunks[0].error).toMatch(/no "=======" line/);
+        expect(applySearchReplace(FILE, '<<<<<<< SEARCH\nx\n=======\ny').hunks[0].error).toMatch(/not closed/);
+        expect(applySearchReplace(FILE, 'no blocks').hunks[0].error).toMatch(/No "<<<<<<< SEARCH"/);
+    });
+});
@@ -0,0 +1,146 @@
+// task_backlog.test.js - Tests for the SuperAgent's task backlog
+
+import {
+    planTasks, addTask, splitTask, reorderTasks, cancelTask, nextTask,
+    startTask, finishTask, reassignTask, taskDescriptionFor, formatBacklog
+} from '../task_backlog.js';
+
+const PLAN = [
+    '1. [Executor-Code] Create index.html | accept: has a header',
+    '2. [executor-design] Style the page | after: 1',
+    '3. [Executor-Test] Test the page | after: 1, 2 | check files: /index.html | check command: node test.js'
+].join('\n');
+
+const planned = () => {
+    const project = { name: 'demo' };
+    planTasks(project, PLAN);
+    return project;
+};
+const idsOf = (project) => project.tasks.map(task => `${task.id}:${task.status}`);
+
+describe('planTasks', () => {
+    test('creates tasks with sequential IDs, roles, acceptance criteria, dependencies and checks', () => {
+        const project = { name: 'demo' };
+        const result = planTasks(project, PLAN);
+        expect(result.success).toBe(true);
+        expect(project.tasks.map(t => [t.id, t.role, t.status, t.dependsOn])).toEqual([
+            ['T1', 'Executor-Code', 'Pending', []],
+            ['T2', 'Executor-Design', 'Pending', ['T1']],
+            ['T3', 'Executor-Test', 'Pending', ['T1', 'T2']]
+        ]);
+        expect(project.tasks[0].acceptance).toBe('has a header');
+        expect(project.tasks[2].checks).toEqual({ files: ['/index.html'], command: 'node test.js', match: null });
+    });
+
+    test('replaces only the Pending tasks of an earlier plan', () => {
+        const project = planned();
+        startTask(project.tasks[0], 'Specialist-1');
+        const result = planTasks(project, '1. [Executor-Code] Add a footer');
+        expect(result.success).toBe(true);
+        expect(idsOf(project)).toEqual(['T1:InProgress', 'T4:Pending']);
+    });
+
+    test('rejects invalid lines without using up IDs', () => {
+        const project = planned();
+        for (const text of ['', '1. [Executor-Chef] Cook', '1. [Executor-Code] Build | after: T9', '1. [Executor-Code] Build | check command: rm -rf /']) {
+            const result = planTasks(project, text);
+            expect(result).toMatchObject({ success: false, tasks: [] });
+            expect(result.error).toEqual(expect.any(String));
+        }
+        expect(project.tasks).toHaveLength(3);
+        expect(addTask(project, { role: 'Executor-Code', description: 'Next' }).tasks[0].id).toBe('T4');
+    });
+
+    test('rejects a plan that depends on the tasks it replaces', () => {
+        const project = planned();
+        expect(planTasks(project, '1. [Executor-Code] Rework | after: T1').error).toMatch(/depends on T1, which the new plan replaces/);
+    });
+});
+
+describe('backlog operations', () => {
+    test('addTask appends, or inserts before another task', () => {
+        const project = planned();
+        expect(addTask(project, { role: 'Executor-Code', description: 'Fix the build', before: 't2', after: '1' }).success).toBe(true);
+        expect(project.tasks.map(t => t.id)).toEqual(['T1', 'T4', 'T2', 'T3']);
+        expect(project.tasks[1].dependsOn).toEqual(['T1']);
+        expect(addTask(project, { role: 'Executor-Code', description: '' }).error).toMatch(/^ADD_TASK: /);
+        expect(addTask(project, { role: 'Executor-Code', description: 'x', before: 'T99' }).error).toMatch(/^ADD_TASK before: /);
+    });
+
+    test('splitTask replaces a task and moves the dependencies on it to the new tasks', () => {
+        const project = planned();
+        const result = splitTask(project, 'T2', '1. [Executor-Design] Colors\n2. [Executor-Design] Layout | after: 1');
+        expect(result.success).toBe(true);
+        expect(idsOf(project)).toEqual(['T1:Pending', 'T2:Cancelled', 'T4:Pending', 'T5:Pending', 'T3:Pending']);
+        expect(project.tasks.find(t => t.id === 'T4').dependsOn).toEqual(['T1']);
+        expect(project.tasks.find(t => t.id === 'T5').dependsOn).toEqual(['T1', 'T4']);
+        expect(project.tasks.find(t => t.id === 'T3').dependsOn).toEqual(['T1', 'T4', 'T5']);
+    });
+
+    test('splitTask refuses tasks that have started', () => {
+        const project = planned();
+        startTask(project.tasks[0], 'Specialist-1');
+        expect(splitTask(project, 'T1', '1. [Executor-Code] Part').error).toBe('T1 is InProgress; only Pending or Blocked tasks can be split.');
+    });
+
+    test('reorderTasks moves tasks to the front', () => {
+        const project = planned();
+        expect(reorderTasks(project, 'T3, #2').success).toBe(true);
+        expect(project.tasks.map(t => t.id)).toEqual(['T3', 'T2', 'T1']);
+        expect(reorderTasks(project, 'T7').success).toBe(false);
+        expect(reorderTasks(project, '').success).toBe(false);
+    });
+
+    test('cancelTask cancels open tasks only', () => {
+        const project = planned();
+        expect(cancelTask(project, 'T1', 'not needed').success).toBe(true);
+        expect(project.tasks[0].notes).toEqual(['Cancelled: not needed']);
+        expect(cancelTask(project, 'T1').error).toBe('T1 is already Cancelled.');
+    });
+});
+
+describe('delegation', () => {
+    test('nextTask picks the first Pending task whose dependencies are resolved', () => {
+        const project = planned();
+        expect(nextTask(project).task.id).toBe('T1');
+        startTask(project.tasks[0], 'Specialist-1');
+        expect(nextTask(project)).toMatchObject({ success: false, task: null });
+        finishTask(project, 'T1', { status: 'Done', assignee: 'Specialist-1' });
+        expect(nextTask(project).task.id).toBe('T2');
+        expect(nextTask(project, 'T3').error).toBe('T3 is Pending and waits for T2; it cannot be delegated now.');
+        cancelTask(project, 'T2');
+        expect(nextTask(project, 'T3').task.id).toBe('T3');
+    });
+
+    test('nextTask explains an empty backlog', () => {
+        expect(nextTask({}).error).toBe('The backlog is empty; use PLAN first.');
+    });
+
+    test('finishTask and reassignTask only accept the current assignee', () => {
+        const project = planned();
+        startTask(project.tasks[0], 'Specialist-1');
+        expect(finishTask(project, 'T1', { status: 'Done', assignee: 'Specialist-2' })).toBeNull();
+        expect(reassignTask(project, 'T1', { from: 'Specialist-1', to: 'Specialist-2', note: 'blocked' })).toMatchObject({ status: 'InProgress', assignee: 'Specialist-2' });
+        expect(reassignTask(project, 'T1', { from: 'Specialist-2', to: null })).toMatchObject({ status: 'Pending', assignee: null });
+        expect(project.tasks[0].notes).toEqual(['Reassigned from Specialist-1 to Specialist-2: blocked', 'Released by Specialist-2']);
+    });
+});
+
+describe('rendering', () => {
+    test('taskDescriptionFor includes the ID and the acceptance criteria', () => {
+        expect(taskDescriptionFor(planned().tasks[0])).toBe('T1: Create index.html (Acceptance: has a header)');
+    });
+
+    test('formatBacklog lists open tasks with their state', () => {
+        const project = planned();
+        startTask(project.tasks[0], 'Specialist-1');
+        expect(formatBacklog(project, 2)).toBe([
+            'Task Backlog (0 done, 1 in progress, 2 to do, 0 cancelled):',
+            '- T1 [InProgress, Executor-Code -> Specialist-1] Create index.html | accept: has a header',
+            '- T2 [Pending, Executor-Design, after T1] Style the page',
+            '- ... 1 more',
+            ''
+        ].join('\n'));
+        expect(formatBacklog({ tasks: [] }, 5)).toBe('');
+    });
+});
@@ -0,0 +1,127 @@
+// usage_tracker.js - Token and latency accounting per role, agent, specialist task and project
+
+/*
+ * Usage is kept in the state file under db.usage, keyed by project name:
+ *   db.usage[projectName] = { totals, byRole: {}, byAgent: {}, byTask: {}, corrections: {} }
+ * where every bucket is { calls, promptTokens, completionTokens, latencyMs, maxPromptTokens }.
+ * Token counts the backend did not report are simply not added.
+ * corrections[role] = { responses, corrected, attempts, recovered } counts how many responses
+ * of each role had no usable action and were re-prompted (see correctResponse in simulation.js).
+ */
+
+/**
+ * Create an empty usage bucket
+ * @returns {Object} - { calls, promptTokens, completionTokens, latencyMs, maxPromptTokens }
+ */
+function emptyTotals() {
+    return { calls: 0, promptTokens: 0, completionTokens: 0, latencyMs: 0, maxPromptTokens: 0 };
+}
+
+/**
+ * Add one call's usage to a bucket
+ * @param {Object} totals - The bucket to update
+ * @param {Object} usage - The usage record of the call (see complete() in ai_interface.js)
+ */
+function addToTotals(totals, usage) {
+    totals.calls++;
+    totals.promptTokens += usage.promptTokens || 0;
+    totals.completionTokens += usage.completionTokens || 0;
+    totals.latencyMs += usage.latencyMs || 0;
+    totals.maxPromptTokens = Math.max(totals.maxPromptTokens, usage.promptTokens || 0);
+}
+
+/**
+ * Get the usage record of the current project, creating it if needed
+ * @param {Object} db - The database state
+ * @returns {Object} - { totals, byRole, byAgent, byTask, corrections }
+ */
+function projectUsage(db) {
+    const projectName = db.state?.currentProject?.name || 'Unknown Project';
+    if (!db.usage) db.usage = {};
+    if (!db.usage[projectName]) db.usage[projectName] = { totals: emptyTotals(), byRole: {}, byAgent: {}, byTask: {}, corrections: {} };
+    if (!db.usage[projectName].corrections) db.usage[projectName].corrections = {};
+    return db.usage[projectName];
+}
+
+/**
+ * Record the usage of an AI call against the current project
+ * @param {Object} db - The database state
+ * @param {Object} call - { agentId, role, taskDescription (specialists only), usage }
+ */
+function recordUsage(db, { agentId, role, taskDescription = null, usage }) {
+    if (!usage) return;
+    const project = projectUsage(db);
+
+    const buckets = [
+        project.totals,
+        project.byRole[role] || (project.byRole[role] = emptyTotals()),
+        project.byAgent[agentId] || (project.byAgent[agentId] = emptyTotals())
+    ];
+    if (taskDescription) {
+        buckets.push(project.byTask[taskDescription] || (project.byTask[taskDescription] = emptyTotals()));
+    }
+    buckets.forEach(bucket => addToTotals(bucket, usage));
+}
+
+/**
+ * Record the outcome of an agent turn for the correction statistics of its role
+ * @param {Object} db - The database state
+ * @param {Object} turn - { role, attempts (re-prompts sent), recovered (a usable response was obtained) }
+ */
+function recordCorrection(db, { role, attempts, recovered }) {
+    const corrections = projectUsage(db).corrections;
+    const stats = corrections[role] || (corrections[role] = { responses: 0, corrected: 0, attempts: 0, recovered: 0 });
+    stats.responses++;
+    if (attempts === 0) return;
+    stats.corrected++;
+    stats.attempts += attempts;
+    if (recovered) stats.recovered++;
+}
+
+/**
+ * Format one bucket as a summary line
+ * @param {string} label - The line label
+ * @param {Object} totals - The bucket
+ * @returns {string} - The formatted line
+ */
+function formatTotals(label, totals) {
+    return `  ${label}: ${totals.calls} calls, ${totals.promptTokens} prompt + ${totals.completionTokens} completion tokens ` +
+        `(largest prompt ${totals.maxPromptTokens}), ${(totals.latencyMs / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Build the usage summary of a project
+ * @param {Object} db - The database state
+ * @param {string} projectName - The project to summarize
+ * @returns {string} - The summary, or a note that nothing was recorded
+ */
+function formatUsageSummary(db, projectName) {
+    const project = db.usage?.[projectName];
+    if (!project || project.totals.calls === 0) return `[SYSTEM] No AI usage recorded for project "${projectName}".`;
+
+    const lines = [`--- AI Usage for project "${projectName}" ---`, formatTotals('Total', project.totals), 'By role:'];
+    Object.entries(project.byRole).forEach(([role, totals]) => lines.push(formatTotals(role, totals)));
+    lines.push('By agent:');
+    Object.entries(project.byAgent).forEach(([agentId, totals]) => lines.push(formatTotals(agentId, totals)));
+    if (Object.keys(project.byTask).length > 0) {
+        lines.push('By task (slowest first):');
+        Object.entries(project.byTask)
+            .sort(([, a], [, b]) => b.latencyMs - a.latencyMs)
+            .forEach(([task, totals]) => lines.push(formatTotals(`"${task.length > 60 ? task.substring(0, 57) + '...' : task}"`, totals)));
+    }
+    const corrections = Object.entries(project.corrections || {}).filter(([, stats]) => stats.corrected > 0);
+    if (corrections.length > 0) {
+        lines.push('Responses re-prompted for a missing action:');
+        corrections.forEach(([role, stats]) => lines.push(
+            `  ${role}: ${stats.corrected} of ${stats.responses} responses (${stats.attempts} re-prompts, ${stats.recovered} recovered)`
+        ));
+    }
+    lines.push('--- End AI Usage ---');
+    return lines.join('\n');
+}
+
+export {
+    recordUsage,
+    recordCorrection,
+    formatUsageSummary
+};